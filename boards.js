@@ -0,0 +1,555 @@
+/* boards.js
+   Project boards ("Smith Residence – Kitchen", "Favorites", ...). A board holds
+   products with the finish and sheet size chosen for the job and a note per item.
+   Boards live in IndexedDB so they survive reloads, are listed in a sidebar opened
+   from the toolbar, and can be exported to / imported from JSON to hand them to
+   someone else. Products are added from the detail drawer's "Boards" section.
+   Items are keyed "<type>::<code>", so a board still lists products whose data
+   file isn't loaded.
+   Requires viewer.js (window.Viewer), detail.js (window.ProductDetail) and Units
+   (units.js); exports download through export.js (window.LaminateExport). The
+   toolbar button is #boards-toggle.
+   Usage:
+     Boards.ready().then(() => Boards.list());   // [{ id, name, items: [{ key, finish, sheet, note, ... }] }]
+*/
+
+(function () {
+  const DB_NAME = 'wilsonart-viewer';
+  const DB_VERSION = 1;
+  const STORE = 'boards';
+  const ACTIVE_KEY = 'wilsonart-viewer:active-board';
+  const EXPORT_FORMAT = 'wilsonart-viewer-boards';
+  const EXPORT_VERSION = 1;
+  const DEFAULT_BOARD = 'Favorites';
+  const OPEN_CLASS = 'is-boards-open';
+
+  let boards = [];          // sorted by name
+  let activeId = '';
+  let persistent = true;    // false when IndexedDB isn't available; boards last for the session
+  let ready = null;
+  let db = null;
+  let toggleButton = null;
+  let sidebar = null;
+  const sectionRefreshers = new Set();
+
+  // --------- Storage ----------
+  function promisify(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function openDb() {
+    return new Promise((resolve) => {
+      let req;
+      try {
+        req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      // private windows and file:// pages may refuse storage
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+  }
+
+  function store(mode) {
+    return db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  function load() {
+    if (ready) return ready;
+    ready = (window.indexedDB ? openDb() : Promise.resolve(null))
+      .then((opened) => {
+        db = opened;
+        persistent = !!db;
+        return db ? promisify(store('readonly').getAll()) : [];
+      })
+      .catch(() => [])
+      .then((stored) => {
+        boards = (stored || []).filter((b) => b && b.id && Array.isArray(b.items));
+        sortBoards();
+        try {
+          activeId = window.localStorage.getItem(ACTIVE_KEY) || '';
+        } catch (err) {
+          // storage may be unavailable; start on the first board
+        }
+        if (!boardById(activeId)) activeId = boards.length ? boards[0].id : '';
+      });
+    return ready;
+  }
+
+  function persist(board) {
+    board.updated = new Date().toISOString();
+    if (!db) return Promise.resolve();
+    return promisify(store('readwrite').put(board)).catch(() => {});
+  }
+
+  function unpersist(id) {
+    if (!db) return Promise.resolve();
+    return promisify(store('readwrite').delete(id)).catch(() => {});
+  }
+
+  function rememberActive() {
+    try {
+      window.localStorage.setItem(ACTIVE_KEY, activeId);
+    } catch (err) {
+      // the board still switches for this page
+    }
+  }
+
+  // --------- Boards ----------
+  function sortBoards() {
+    boards.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }));
+  }
+
+  function boardById(id) {
+    return boards.find((b) => b.id === id) || null;
+  }
+
+  function activeBoard() {
+    return boardById(activeId);
+  }
+
+  function newId() {
+    return `board-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function uniqueName(name) {
+    const base = String(name || '').trim() || DEFAULT_BOARD;
+    const taken = new Set(boards.map((b) => b.name.toLowerCase()));
+    if (!taken.has(base.toLowerCase())) return base;
+    let n = 2;
+    while (taken.has(`${base} (${n})`.toLowerCase())) n += 1;
+    return `${base} (${n})`;
+  }
+
+  function createBoard(name) {
+    const now = new Date().toISOString();
+    const board = { id: newId(), name: uniqueName(name), created: now, updated: now, items: [] };
+    boards.push(board);
+    sortBoards();
+    setActive(board.id);
+    return persist(board).then(() => board);
+  }
+
+  function setActive(id) {
+    activeId = id;
+    rememberActive();
+  }
+
+  function itemKey(record) {
+    const code = String(record.code || record.name || '').trim();
+    return `${String(record.type || '').trim()}::${code}`;
+  }
+
+  function finishLabel(finish) {
+    if (!finish || typeof finish !== 'object') return String(finish || '');
+    return [finish.code, finish.name].map((v) => String(v == null ? '' : v).trim()).filter(Boolean).join(' ');
+  }
+
+  function asList(value) {
+    return value == null ? [] : (Array.isArray(value) ? value : [value]);
+  }
+
+  function recordFor(key) {
+    const records = window.Viewer.records() || [];
+    return records.find((r) => itemKey(r) === key) || null;
+  }
+
+  function itemFor(record) {
+    const finishes = asList(window.Viewer.fieldValue(record, 'finish')).map(finishLabel).filter(Boolean);
+    const sheets = asList(record.sheet_sizes).map(String);
+    return {
+      key: itemKey(record),
+      type: String(record.type || '').trim(),
+      code: String(record.code || '').trim(),
+      name: String(record.name || '').trim(),
+      image: String(record.texture_image_url || '').trim(),
+      finish: finishes.length === 1 ? finishes[0] : '',
+      sheet: sheets.length === 1 ? sheets[0] : '',
+      note: '',
+      added: new Date().toISOString(),
+    };
+  }
+
+  function boardsWith(record) {
+    const key = itemKey(record);
+    return boards.filter((b) => b.items.some((item) => item.key === key));
+  }
+
+  function addToBoard(board, record) {
+    const key = itemKey(record);
+    if (board.items.some((item) => item.key === key)) return Promise.resolve();
+    board.items.push(itemFor(record));
+    return changed(board);
+  }
+
+  function removeFromBoard(board, key) {
+    board.items = board.items.filter((item) => item.key !== key);
+    return changed(board);
+  }
+
+  function changed(board) {
+    renderSidebar();
+    refreshSections();
+    return persist(board);
+  }
+
+  // --------- Import / export ----------
+  function fileName(board) {
+    const base = board ? board.name : 'boards';
+    return `${base.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'board'}.json`;
+  }
+
+  function exportBoards(list, name) {
+    const payload = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported: new Date().toISOString(),
+      boards: list.map((b) => ({ name: b.name, created: b.created, updated: b.updated, items: b.items })),
+    };
+    window.LaminateExport.download(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), name);
+  }
+
+  function cleanItem(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const text = (v) => (v == null ? '' : String(v));
+    const key = text(raw.key).trim() || (raw.code ? `${text(raw.type).trim()}::${text(raw.code).trim()}` : '');
+    if (!key) return null;
+    return {
+      key,
+      type: text(raw.type),
+      code: text(raw.code),
+      name: text(raw.name),
+      image: text(raw.image),
+      finish: text(raw.finish),
+      sheet: text(raw.sheet),
+      note: text(raw.note),
+      added: text(raw.added) || new Date().toISOString(),
+    };
+  }
+
+  /** Adds the boards in an exported file as new boards; returns how many. */
+  function importBoards(json) {
+    const list = json && json.format === EXPORT_FORMAT && Array.isArray(json.boards) ? json.boards : null;
+    if (!list) return Promise.reject(new Error('not a boards file'));
+    const now = new Date().toISOString();
+    const added = list.map((raw) => ({
+      id: newId(),
+      name: uniqueName(raw && raw.name),
+      created: (raw && raw.created) || now,
+      updated: now,
+      items: (raw && Array.isArray(raw.items) ? raw.items : []).map(cleanItem).filter(Boolean),
+    }));
+    added.forEach((b) => boards.push(b));
+    sortBoards();
+    if (added.length) setActive(added[0].id);
+    return Promise.all(added.map(persist)).then(() => added.length);
+  }
+
+  // --------- Sidebar ----------
+  function ensureSidebar() {
+    if (sidebar) return sidebar;
+    const container = document.createElement('aside');
+    container.id = 'boards-sidebar';
+    container.className = 'boards-sidebar is-hidden';
+    container.setAttribute('aria-label', 'Project boards');
+    container.innerHTML = `
+      <div class="boards-header">
+        <h2>Boards</h2>
+        <button type="button" class="boards-close" aria-label="Close boards">&times;</button>
+      </div>
+      <div class="boards-bar">
+        <select class="boards-select" aria-label="Board"></select>
+        <button type="button" data-board-action="new">New</button>
+        <button type="button" data-board-action="rename">Rename</button>
+        <button type="button" data-board-action="delete">Delete</button>
+      </div>
+      <div class="boards-message" aria-live="polite"></div>
+      <ul class="boards-items"></ul>
+      <div class="boards-footer">
+        <button type="button" data-board-action="export">Export board</button>
+        <button type="button" data-board-action="export-all">Export all</button>
+        <button type="button" data-board-action="import">Import…</button>
+        <input type="file" accept="application/json,.json" hidden />
+      </div>
+    `;
+    document.body.appendChild(container);
+    sidebar = {
+      container,
+      select: container.querySelector('.boards-select'),
+      message: container.querySelector('.boards-message'),
+      items: container.querySelector('.boards-items'),
+      file: container.querySelector('input[type="file"]'),
+    };
+    container.querySelector('.boards-close').addEventListener('click', closeSidebar);
+    sidebar.select.addEventListener('change', () => {
+      setActive(sidebar.select.value);
+      renderSidebar();
+      refreshSections();
+    });
+    container.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-board-action]');
+      if (button) runAction(button.getAttribute('data-board-action'));
+    });
+    sidebar.file.addEventListener('change', () => {
+      const file = sidebar.file.files && sidebar.file.files[0];
+      sidebar.file.value = '';
+      if (!file) return;
+      file.text()
+        .then((text) => importBoards(JSON.parse(text)))
+        .then((count) => {
+          renderSidebar();
+          refreshSections();
+          setMessage(`Imported ${count} board${count === 1 ? '' : 's'} from ${file.name}.`);
+        })
+        .catch((err) => setMessage(`${file.name}: ${err.message}`));
+    });
+    return sidebar;
+  }
+
+  function setMessage(text) {
+    if (sidebar) sidebar.message.textContent = text;
+  }
+
+  function runAction(action) {
+    const board = activeBoard();
+    if (action === 'new') {
+      const name = (window.prompt('Name the new board:', '') || '').trim();
+      if (name) createBoard(name).then(() => { renderSidebar(); refreshSections(); });
+    } else if (action === 'rename' && board) {
+      const name = (window.prompt('Rename board:', board.name) || '').trim();
+      if (!name || name === board.name) return;
+      board.name = uniqueName(name);
+      sortBoards();
+      changed(board);
+    } else if (action === 'delete' && board) {
+      const count = board.items.length;
+      if (count && !window.confirm(`Delete "${board.name}" and its ${count} product${count === 1 ? '' : 's'}?`)) return;
+      boards = boards.filter((b) => b !== board);
+      setActive(boards.length ? boards[0].id : '');
+      unpersist(board.id);
+      renderSidebar();
+      refreshSections();
+    } else if (action === 'export' && board) {
+      exportBoards([board], fileName(board));
+    } else if (action === 'export-all' && boards.length) {
+      exportBoards(boards, fileName(null));
+    } else if (action === 'import') {
+      sidebar.file.click();
+    }
+  }
+
+  function openSidebar() {
+    ensureSidebar();
+    load().then(() => {
+      renderSidebar();
+      sidebar.container.classList.remove('is-hidden');
+      document.body.classList.add(OPEN_CLASS);
+      if (toggleButton) toggleButton.setAttribute('aria-expanded', 'true');
+      sidebar.select.focus();
+    });
+  }
+
+  function closeSidebar() {
+    if (!sidebar || sidebar.container.classList.contains('is-hidden')) return;
+    sidebar.container.classList.add('is-hidden');
+    document.body.classList.remove(OPEN_CLASS);
+    if (toggleButton) {
+      toggleButton.setAttribute('aria-expanded', 'false');
+      toggleButton.focus();
+    }
+  }
+
+  function choiceSelect(label, options, value, onChange, optionLabel) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', label);
+    select.appendChild(new Option(`${label}: not chosen`, ''));
+    const all = options.slice();
+    if (value && !all.includes(value)) all.push(value);
+    all.forEach((option) => select.appendChild(new Option(optionLabel ? optionLabel(option) : option, option)));
+    select.value = value || '';
+    select.disabled = all.length === 0;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  function renderItem(board, item) {
+    const record = recordFor(item.key);
+    const li = document.createElement('li');
+    li.className = 'boards-item';
+
+    const head = document.createElement('div');
+    head.className = 'boards-item__head';
+    if (item.image) {
+      const img = document.createElement('img');
+      img.src = item.image;
+      img.alt = '';
+      img.loading = 'lazy';
+      img.referrerPolicy = 'no-referrer';
+      head.appendChild(img);
+    }
+    const title = document.createElement(record ? 'button' : 'span');
+    title.className = 'boards-item__title';
+    title.textContent = [item.code, item.name].filter(Boolean).join(' ') || item.key;
+    if (record) {
+      title.type = 'button';
+      title.title = 'Show product details';
+      title.addEventListener('click', () => window.ProductDetail.open(record));
+    } else {
+      title.title = `${item.type || 'This'} data isn't loaded`;
+    }
+    head.appendChild(title);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'boards-item__remove';
+    remove.setAttribute('aria-label', `Remove ${item.code || item.name} from ${board.name}`);
+    remove.textContent = '×';
+    remove.addEventListener('click', () => removeFromBoard(board, item.key));
+    head.appendChild(remove);
+    li.appendChild(head);
+
+    const finishes = record ? asList(window.Viewer.fieldValue(record, 'finish')).map(finishLabel).filter(Boolean) : [];
+    const sheets = record ? asList(record.sheet_sizes).map(String) : [];
+    const choices = document.createElement('div');
+    choices.className = 'boards-item__choices';
+    choices.appendChild(choiceSelect('Finish', finishes, item.finish, (value) => { item.finish = value; persist(board); }));
+    // the stored sheet stays the scraped label; it is shown in the picked units
+    choices.appendChild(choiceSelect('Sheet', sheets, item.sheet, (value) => { item.sheet = value; persist(board); }, window.Units.formatSheet));
+    li.appendChild(choices);
+
+    const note = document.createElement('textarea');
+    note.className = 'boards-item__note';
+    note.rows = 2;
+    note.placeholder = 'Note (room, edge, quantity…)';
+    note.setAttribute('aria-label', `Note for ${item.code || item.name}`);
+    note.value = item.note || '';
+    note.addEventListener('change', () => {
+      item.note = note.value;
+      persist(board);
+    });
+    li.appendChild(note);
+    return li;
+  }
+
+  function renderSidebar() {
+    if (!sidebar) return;
+    const { select, items } = sidebar;
+    select.innerHTML = '';
+    boards.forEach((b) => select.appendChild(new Option(`${b.name} (${b.items.length})`, b.id)));
+    select.value = activeId;
+    select.disabled = !boards.length;
+    const board = activeBoard();
+    sidebar.container.querySelectorAll('[data-board-action]').forEach((button) => {
+      const action = button.getAttribute('data-board-action');
+      button.disabled = (action === 'rename' || action === 'delete' || action === 'export') ? !board
+        : (action === 'export-all' ? !boards.length : false);
+    });
+    items.innerHTML = '';
+    if (!board) {
+      setMessage('No boards yet. Create one, or add a product from its detail drawer.');
+    } else if (!board.items.length) {
+      setMessage('This board is empty. Open a product and use "Add to board".');
+    } else {
+      setMessage(persistent ? '' : 'This browser won\'t store boards; export them before closing the page.');
+      board.items.forEach((item) => items.appendChild(renderItem(board, item)));
+    }
+  }
+
+  // --------- Detail drawer section ----------
+  function refreshSections() {
+    sectionRefreshers.forEach((refresh) => {
+      if (!refresh()) sectionRefreshers.delete(refresh);
+    });
+  }
+
+  function renderSection(record) {
+    const wrap = document.createElement('div');
+    wrap.className = 'boards-section';
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Board');
+    const button = document.createElement('button');
+    button.type = 'button';
+    const also = document.createElement('p');
+    also.className = 'boards-section__also';
+    wrap.appendChild(select);
+    wrap.appendChild(button);
+    wrap.appendChild(also);
+
+    // false once the drawer has moved on, so the refresher is dropped
+    const refresh = () => {
+      if (!wrap.isConnected) return false;
+      const key = itemKey(record);
+      select.innerHTML = '';
+      boards.forEach((b) => select.appendChild(new Option(b.name, b.id)));
+      select.appendChild(new Option('New board…', ''));
+      select.value = activeBoard() ? activeId : '';
+      const board = activeBoard();
+      const onBoard = !!board && board.items.some((item) => item.key === key);
+      button.textContent = onBoard ? 'Remove from board' : (board ? 'Add to board' : 'Add to new board');
+      button.setAttribute('aria-pressed', String(onBoard));
+      const others = boardsWith(record).filter((b) => b !== board).map((b) => b.name);
+      also.textContent = others.length ? `Also on ${others.join(', ')}` : '';
+      return true;
+    };
+
+    select.addEventListener('change', () => {
+      if (select.value) {
+        setActive(select.value);
+        renderSidebar();
+        refreshSections();
+        return;
+      }
+      const name = (window.prompt('Name the new board:', '') || '').trim();
+      if (name) createBoard(name).then(() => { renderSidebar(); refreshSections(); });
+      else refresh();
+    });
+    button.addEventListener('click', () => {
+      const board = activeBoard();
+      if (board && board.items.some((item) => item.key === itemKey(record))) {
+        removeFromBoard(board, itemKey(record));
+      } else if (board) {
+        addToBoard(board, record);
+      } else {
+        createBoard(DEFAULT_BOARD).then((created) => addToBoard(created, record));
+      }
+    });
+
+    load().then(() => {
+      if (refresh()) sectionRefreshers.add(refresh);
+    });
+    return wrap;
+  }
+
+  function init() {
+    toggleButton = document.getElementById('boards-toggle');
+    if (toggleButton) {
+      toggleButton.setAttribute('aria-controls', 'boards-sidebar');
+      toggleButton.setAttribute('aria-expanded', 'false');
+      toggleButton.addEventListener('click', () => {
+        if (sidebar && !sidebar.container.classList.contains('is-hidden')) closeSidebar();
+        else openSidebar();
+      });
+    }
+    window.ProductDetail.registerSection('Boards', renderSection);
+    document.addEventListener('viewer:units', renderSidebar);
+  }
+
+  window.Boards = {
+    list: () => boards.slice(),
+    ready: load,
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init, { once: true });
+  } else {
+    init();
+  }
+})();
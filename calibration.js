@@ -0,0 +1,167 @@
+/* calibration.js
+   Display calibration for true-size viewing. The user stretches an on-screen
+   outline until it matches a credit card held against the monitor (ID-1 size,
+   3.370" x 2.125"); the resulting CSS pixels per inch are kept in localStorage.
+   The device pixel ratio at calibration time is stored too, so browser zoom
+   changes are corrected for.
+   Usage:
+     DisplayCalibration.ppi();          // CSS px per inch now, or null when not calibrated
+     DisplayCalibration.calibrate();    // Promise<ppi | null> (null = cancelled or reset)
+     DisplayCalibration.isOpen();       // the calibration dialog is showing
+*/
+
+(function (global) {
+  const STORAGE_KEY = 'wilsonart-viewer:display-ppi';
+  const CARD_WIDTH_IN = 3.370;
+  const CARD_HEIGHT_IN = 2.125;
+  const DEFAULT_PPI = 96;  // CSS reference pixel; right for few real screens
+  const MIN_PPI = 40;
+  const MAX_PPI = 300;
+
+  function dpr() {
+    return global.devicePixelRatio || 1;
+  }
+
+  function read() {
+    try {
+      const stored = JSON.parse(global.localStorage.getItem(STORAGE_KEY) || 'null');
+      if (stored && stored.ppi > 0 && stored.dpr > 0) return stored;
+    } catch (err) {
+      // unreadable; treat as not calibrated
+    }
+    return null;
+  }
+
+  function write(value) {
+    try {
+      if (value) global.localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+      else global.localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+      // storage unavailable; calibration lasts for this page only
+    }
+    session = value;
+  }
+
+  let session = read();
+  let openOverlay = null;
+
+  /** CSS pixels per physical inch on this display, or null when not calibrated. */
+  function ppi() {
+    if (!session) return null;
+    // browser zoom scales the device pixel ratio and shrinks CSS pixels by the same factor
+    return session.ppi * (session.dpr / dpr());
+  }
+
+  function isCalibrated() {
+    return !!session;
+  }
+
+  // the dialog sits over the lightbox; its keys aren't the lightbox's
+  function isOpen() {
+    return !!(openOverlay && openOverlay.isConnected);
+  }
+
+  function calibrate() {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.className = 'calibration-overlay';
+      const dialog = document.createElement('form');
+      dialog.className = 'popover-panel calibration-prompt';
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', 'calibration-title');
+
+      const title = document.createElement('h2');
+      title.id = 'calibration-title';
+      title.textContent = 'Calibrate true size';
+      dialog.appendChild(title);
+      const hint = document.createElement('p');
+      hint.className = 'calibration-hint';
+      hint.textContent = 'Hold a credit card (or any ID-size card) against the screen and drag the slider until the outline matches its edges.';
+      dialog.appendChild(hint);
+
+      const card = document.createElement('div');
+      card.className = 'calibration-card';
+      card.setAttribute('aria-hidden', 'true');
+      dialog.appendChild(card);
+
+      const start = Math.round((ppi() || DEFAULT_PPI) * CARD_WIDTH_IN);
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = String(Math.round(MIN_PPI * CARD_WIDTH_IN));
+      slider.max = String(Math.round(MAX_PPI * CARD_WIDTH_IN));
+      slider.step = '1';
+      slider.value = String(start);
+      slider.setAttribute('aria-label', 'Card width on screen');
+      dialog.appendChild(slider);
+      const readout = document.createElement('div');
+      readout.className = 'calibration-readout';
+      dialog.appendChild(readout);
+
+      const sync = () => {
+        const width = Number(slider.value);
+        card.style.width = `${width}px`;
+        card.style.height = `${Math.round(width * (CARD_HEIGHT_IN / CARD_WIDTH_IN))}px`;
+        readout.textContent = `${Math.round(width / CARD_WIDTH_IN)} px per inch`;
+      };
+      slider.addEventListener('input', sync);
+      sync();
+
+      const footer = document.createElement('div');
+      footer.className = 'calibration-footer';
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.textContent = 'Forget';
+      reset.disabled = !session;
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.textContent = 'Cancel';
+      const ok = document.createElement('button');
+      ok.type = 'submit';
+      ok.textContent = 'Save';
+      footer.appendChild(reset);
+      footer.appendChild(cancel);
+      footer.appendChild(ok);
+      dialog.appendChild(footer);
+
+      const lastFocus = document.activeElement;
+      const finish = (result) => {
+        document.removeEventListener('keydown', onKey, true);
+        overlay.remove();
+        openOverlay = null;
+        if (lastFocus && typeof lastFocus.focus === 'function') lastFocus.focus();
+        resolve(result);
+      };
+      const onKey = (event) => {
+        if (event.key === 'Escape' || event.key === 'Esc') {
+          event.preventDefault();
+          event.stopPropagation();
+          finish(null);
+        }
+      };
+      cancel.addEventListener('click', () => finish(null));
+      reset.addEventListener('click', () => {
+        write(null);
+        finish(null);
+      });
+      dialog.addEventListener('submit', (event) => {
+        event.preventDefault();
+        write({ ppi: Number(slider.value) / CARD_WIDTH_IN, dpr: dpr() });
+        finish(ppi());
+      });
+      document.addEventListener('keydown', onKey, true);
+
+      overlay.appendChild(dialog);
+      document.body.appendChild(overlay);
+      openOverlay = overlay;
+      slider.focus();
+    });
+  }
+
+  global.DisplayCalibration = {
+    ppi,
+    isCalibrated,
+    isOpen,
+    calibrate,
+  };
+})(window);
@@ -0,0 +1,239 @@
+/* colorlab.js
+   Colour maths shared by the viewer and the Node image pre-pass
+   (wilsonart-image-features.js): sRGB <-> CIE Lab (D65), CIEDE2000 colour
+   difference and dominant colours of an RGBA pixel buffer by k-means in Lab.
+   Usage:
+     ColorLab.hexToLab('#8a6e4f');                  // [L, a, b]
+     ColorLab.deltaE(labA, labB);                   // CIEDE2000; ~1 = just noticeable
+     ColorLab.dominantColors(rgba, { k: 5 });       // [{ lab, hex, weight }], largest first
+   In Node: const ColorLab = require('./colorlab.js');
+*/
+
+(function (global) {
+  // --------- Conversions ----------
+  function srgbToLinear(c) {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  }
+
+  function linearToSrgb(v) {
+    const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(c * 255)));
+  }
+
+  // D65 reference white
+  const XN = 0.95047;
+  const YN = 1.0;
+  const ZN = 1.08883;
+
+  function f(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (t * 24389 / 27 + 16) / 116;
+  }
+
+  function fInv(t) {
+    return t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) * 27 / 24389;
+  }
+
+  function rgbToLab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / XN;
+    const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) / YN;
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / ZN;
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  function labToRgb(lab) {
+    const fy = (lab[0] + 16) / 116;
+    const fx = fy + lab[1] / 500;
+    const fz = fy - lab[2] / 200;
+    const x = fInv(fx) * XN;
+    const y = fInv(fy) * YN;
+    const z = fInv(fz) * ZN;
+    return [
+      linearToSrgb(x * 3.2404542 - y * 1.5371385 - z * 0.4985314),
+      linearToSrgb(-x * 0.9692660 + y * 1.8760108 + z * 0.0415560),
+      linearToSrgb(x * 0.0556434 - y * 0.2040259 + z * 1.0572252),
+    ];
+  }
+
+  function hexToRgb(hex) {
+    const m = String(hex || '').trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!m) return null;
+    const h = m[1].length === 3 ? m[1].split('').map((c) => c + c).join('') : m[1];
+    return [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+  }
+
+  function rgbToHex(rgb) {
+    return `#${rgb.map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  function hexToLab(hex) {
+    const rgb = hexToRgb(hex);
+    return rgb ? rgbToLab(rgb[0], rgb[1], rgb[2]) : null;
+  }
+
+  function labToHex(lab) {
+    return rgbToHex(labToRgb(lab));
+  }
+
+  // --------- CIEDE2000 ----------
+  const RAD = Math.PI / 180;
+
+  function deltaE(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const h1p = C1p === 0 ? 0 : (Math.atan2(b1, a1p) / RAD + 360) % 360;
+    const h2p = C2p === 0 ? 0 : (Math.atan2(b2, a2p) / RAD + 360) % 360;
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * RAD);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) > 180) hbarp += h1p + h2p < 360 ? 360 : -360;
+      hbarp /= 2;
+    }
+    const T = 1
+      - 0.17 * Math.cos((hbarp - 30) * RAD)
+      + 0.24 * Math.cos(2 * hbarp * RAD)
+      + 0.32 * Math.cos((3 * hbarp + 6) * RAD)
+      - 0.20 * Math.cos((4 * hbarp - 63) * RAD);
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin(2 * dTheta * RAD) * Rc;
+    return Math.sqrt(
+      Math.pow(dLp / Sl, 2) + Math.pow(dCp / Sc, 2) + Math.pow(dHp / Sh, 2)
+      + Rt * (dCp / Sc) * (dHp / Sh)
+    );
+  }
+
+  // --------- Dominant colours ----------
+  function dist2(a, b) {
+    const dl = a[0] - b[0];
+    const da = a[1] - b[1];
+    const db = a[2] - b[2];
+    return dl * dl + da * da + db * db;
+  }
+
+  /**
+   * Dominant colours of an RGBA byte array (canvas ImageData.data or a plain
+   * array). Transparent pixels are ignored; clusters under `minWeight` are dropped.
+   * Deterministic: the same pixels always give the same colours.
+   */
+  function dominantColors(rgba, opts) {
+    const options = opts || {};
+    const k = options.k || 5;
+    const maxSamples = options.maxSamples || 4096;
+    const minWeight = options.minWeight == null ? 0.02 : options.minWeight;
+    const iterations = options.iterations || 12;
+
+    const total = Math.floor(rgba.length / 4);
+    const step = Math.max(1, Math.floor(total / maxSamples));
+    const points = [];
+    for (let i = 0; i < total; i += step) {
+      const o = i * 4;
+      if (rgba[o + 3] < 128) continue;
+      points.push(rgbToLab(rgba[o], rgba[o + 1], rgba[o + 2]));
+    }
+    if (!points.length) return [];
+
+    // k-means++ seeding, always starting from the first sample and taking the farthest-weighted next
+    const centers = [points[0].slice()];
+    const nearest = points.map((p) => dist2(p, centers[0]));
+    while (centers.length < Math.min(k, points.length)) {
+      let best = -1;
+      let bestD = 0;
+      for (let i = 0; i < points.length; i += 1) {
+        if (nearest[i] > bestD) {
+          bestD = nearest[i];
+          best = i;
+        }
+      }
+      if (best < 0) break; // every sample sits on a centre already
+      centers.push(points[best].slice());
+      for (let i = 0; i < points.length; i += 1) nearest[i] = Math.min(nearest[i], dist2(points[i], points[best]));
+    }
+
+    const assign = new Array(points.length).fill(0);
+    for (let iter = 0; iter < iterations; iter += 1) {
+      let moved = false;
+      for (let i = 0; i < points.length; i += 1) {
+        let best = 0;
+        let bestD = Infinity;
+        for (let c = 0; c < centers.length; c += 1) {
+          const d = dist2(points[i], centers[c]);
+          if (d < bestD) {
+            bestD = d;
+            best = c;
+          }
+        }
+        if (assign[i] !== best) moved = true;
+        assign[i] = best;
+      }
+      const sums = centers.map(() => [0, 0, 0, 0]);
+      for (let i = 0; i < points.length; i += 1) {
+        const s = sums[assign[i]];
+        s[0] += points[i][0];
+        s[1] += points[i][1];
+        s[2] += points[i][2];
+        s[3] += 1;
+      }
+      sums.forEach((s, c) => {
+        if (s[3]) centers[c] = [s[0] / s[3], s[1] / s[3], s[2] / s[3]];
+      });
+      if (!moved && iter > 0) break;
+    }
+
+    const counts = centers.map(() => 0);
+    assign.forEach((c) => { counts[c] += 1; });
+    const round1 = (n) => Math.round(n * 10) / 10;
+    return centers
+      .map((lab, c) => ({
+        lab: lab.map(round1),
+        hex: labToHex(lab),
+        weight: Math.round((counts[c] / points.length) * 1000) / 1000,
+      }))
+      .filter((entry) => entry.weight >= minWeight)
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  const ColorLab = {
+    rgbToLab,
+    labToRgb,
+    hexToRgb,
+    rgbToHex,
+    hexToLab,
+    labToHex,
+    deltaE,
+    dominantColors,
+  };
+
+  global.ColorLab = ColorLab;
+  if (typeof module === 'object' && module.exports) module.exports = ColorLab;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,367 @@
+/* colorsearch.js
+   Search by colour. Pick any hex colour, or a photo (say, of a paint chip), and
+   every product with image colour data is ranked by perceptual distance
+   (CIEDE2000 ΔE) from its closest dominant colour. The viewer sorts by that
+   distance and shows it as a column; a "Color match" facet buckets it.
+   Colour data comes from the image-features sidecar, or is worked out from the
+   images in this browser from the panel (imagefeatures.js); records without it
+   sink to the bottom.
+   Requires Filters (filters.js), DataSources (sources.js), ColorLab (colorlab.js),
+   ImageFeatures (imagefeatures.js) and Popover (popover.js); load before viewer.js.
+   Usage:
+     ColorSearch.init({ toggleButton, onChange: (message) => rebuild(message) });
+     ColorSearch.active();                     // a colour is being matched
+     record[ColorSearch.DISTANCE_KEY];         // ΔE, or undefined without colour data
+*/
+
+(function (global) {
+  const FACET_KEY = 'color_match';
+  const DISTANCE_KEY = '__colorDistance';
+  // a colour has to cover this much of the texture to count as one of its colours
+  const MIN_COVERAGE = 0.15;
+  const PHOTO_SAMPLE = 64;     // photos are shrunk to this before analysis
+  const BUCKETS = [
+    { max: 3, label: 'Nearly identical (ΔE ≤ 3)' },
+    { max: 6, label: 'Very close (ΔE ≤ 6)' },
+    { max: 12, label: 'Close (ΔE ≤ 12)' },
+    { max: 20, label: 'Similar (ΔE ≤ 20)' },
+    { max: Infinity, label: 'Different' },
+  ];
+  const NO_DATA = 'No color data';
+
+  let _opts = {};
+  let _target = null;           // { hex, lab, source } while matching
+  let _nearest = new WeakMap(); // record -> hex of its closest colour
+  let _ranked = 0;
+  let panel = null;
+  let popover = null;
+  let toggleButton = null;
+  let pickedHex = '#8a6e4f';
+  let analysisJob = null;     // ImageFeatures.analyse() job while it runs
+  let lastAnalysis = null;    // ...and once it has finished
+  let analysisView = null;    // syncs the panel currently rendered
+
+  global.Filters.registerFacet(FACET_KEY, {
+    label: 'Color match',
+    values: (row) => {
+      if (!_target) return null;
+      const d = row[DISTANCE_KEY];
+      if (d == null) return NO_DATA;
+      return BUCKETS.find((b) => d <= b.max).label;
+    },
+    first: true,
+    open: true,
+    order: BUCKETS.map((b) => b.label).concat(NO_DATA),
+  });
+
+  function init(opts) {
+    _opts = opts || {};
+    toggleButton = _opts.toggleButton || null;
+    if (!toggleButton) return;
+    popover = global.Popover.create({
+      button: toggleButton,
+      id: 'color-search-panel',
+      className: 'color-search-panel',
+      label: 'Search by color',
+      focus: 'input',
+      render: (el) => {
+        panel = el;
+        renderPanel();
+      },
+    });
+  }
+
+  function active() {
+    return !!_target;
+  }
+
+  function nearestHex(record) {
+    return _nearest.get(record) || '';
+  }
+
+  /** "Color #8a6e4f: 1203 ranked" for the status line, '' when off. */
+  function summary() {
+    if (!_target) return '';
+    return `Color ${_target.hex}${_target.source ? ` (${_target.source})` : ''}: ${_ranked} ranked`;
+  }
+
+  // --------- Ranking ----------
+  function setDistance(record, value) {
+    global.DataSources.annotate(record, DISTANCE_KEY, value);
+  }
+
+  function rank(lab) {
+    _nearest = new WeakMap();
+    _ranked = 0;
+    global.DataSources.records().forEach((record) => {
+      const entry = global.ImageFeatures.get(record);
+      const colors = entry && Array.isArray(entry.colors) ? entry.colors.filter((c) => Array.isArray(c.lab)) : [];
+      if (!colors.length) {
+        setDistance(record, undefined);
+        return;
+      }
+      const candidates = colors.filter((c) => c.weight >= MIN_COVERAGE);
+      let best = null;
+      (candidates.length ? candidates : colors.slice(0, 1)).forEach((c) => {
+        const d = global.ColorLab.deltaE(lab, c.lab);
+        if (!best || d < best.d) best = { d, hex: c.hex };
+      });
+      setDistance(record, Math.round(best.d * 10) / 10);
+      _nearest.set(record, best.hex);
+      _ranked += 1;
+    });
+  }
+
+  function notify(message) {
+    if (typeof _opts.onChange === 'function') _opts.onChange(message);
+  }
+
+  /** Rank every loaded product against `hex`. */
+  function start(hex, source) {
+    const lab = global.ColorLab.hexToLab(hex);
+    if (!lab) return Promise.resolve(false);
+    return global.ImageFeatures.load().then((ok) => {
+      if (!ok) return false;
+      _target = { hex: global.ColorLab.rgbToHex(global.ColorLab.hexToRgb(hex)), lab, source: source || '' };
+      rank(lab);
+      notify('');
+      return true;
+    });
+  }
+
+  function stop() {
+    if (!_target) return;
+    _target = null;
+    global.DataSources.records().forEach((record) => {
+      if (record[DISTANCE_KEY] !== undefined) setDistance(record, undefined);
+    });
+    // a Color match selection would hide every row once the buckets are gone
+    const plain = global.Filters.serialize();
+    if (plain.facets[FACET_KEY]) {
+      delete plain.facets[FACET_KEY];
+      global.Filters.setState(plain);
+    }
+    notify('Color search off');
+  }
+
+  // Colour data for the textures the sidecar doesn't cover, from the images themselves.
+  function startAnalysis() {
+    const job = global.ImageFeatures.analyse(global.DataSources.records(), {
+      onProgress: () => { if (analysisView) analysisView(); },
+    });
+    analysisJob = job;
+    lastAnalysis = null;
+    job.finished.then(() => {
+      analysisJob = null;
+      lastAnalysis = job;
+      if (_target) {
+        rank(_target.lab);
+        notify('');
+      }
+      if (analysisView) analysisView();
+    });
+  }
+
+  function analysisMessage(job) {
+    if (job.blocked) return 'The image host doesn\'t allow reading its pixels from this page (no CORS). Run "node wilsonart-image-features.js" instead.';
+    const analysed = job.done - job.failed;
+    return `${job.cancelled ? 'Stopped: ' : ''}${analysed} analysed${job.failed ? `, ${job.failed} failed` : ''}.`;
+  }
+
+  /** Sources were added or removed: rank the new set against the same colour. */
+  function refresh() {
+    if (_target) rank(_target.lab);
+  }
+
+  // --------- Photo ----------
+  // Dominant colour of the middle of a photo; the edges are usually table or hand.
+  function colorFromPhoto(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        try {
+          const w = img.naturalWidth;
+          const h = img.naturalHeight;
+          const sx = w * 0.25;
+          const sy = h * 0.25;
+          const scale = Math.min(1, PHOTO_SAMPLE / Math.max(w / 2, h / 2));
+          const canvas = document.createElement('canvas');
+          canvas.width = Math.max(1, Math.round((w / 2) * scale));
+          canvas.height = Math.max(1, Math.round((h / 2) * scale));
+          const ctx = canvas.getContext('2d');
+          ctx.drawImage(img, sx, sy, w / 2, h / 2, 0, 0, canvas.width, canvas.height);
+          const colors = global.ColorLab.dominantColors(ctx.getImageData(0, 0, canvas.width, canvas.height).data, { k: 3 });
+          resolve(colors.length ? colors[0].hex : null);
+        } catch (err) {
+          reject(err);
+        } finally {
+          URL.revokeObjectURL(url);
+        }
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('not a readable image'));
+      };
+      img.src = url;
+    });
+  }
+
+  // --------- Panel ----------
+  function closePanel() {
+    if (popover) popover.close();
+  }
+
+  function renderPanel() {
+    panel.innerHTML = '';
+    const intro = document.createElement('p');
+    intro.className = 'color-search-intro';
+    intro.textContent = 'Loading color data…';
+    panel.appendChild(intro);
+
+    const analysis = document.createElement('div');
+    analysis.className = 'color-search-analysis';
+    analysis.hidden = true;
+    const analysisText = document.createElement('span');
+    analysisText.className = 'color-search-summary';
+    const progress = document.createElement('progress');
+    const analyse = document.createElement('button');
+    analyse.type = 'button';
+    analysis.appendChild(analysisText);
+    analysis.appendChild(progress);
+    analysis.appendChild(analyse);
+    panel.appendChild(analysis);
+    analyse.addEventListener('click', () => {
+      if (analysisJob) analysisJob.cancelled = true;
+      else startAnalysis();
+      if (analysisView) analysisView();
+    });
+
+    const row = document.createElement('div');
+    row.className = 'color-search-row';
+    const picker = document.createElement('input');
+    picker.type = 'color';
+    picker.value = pickedHex;
+    picker.setAttribute('aria-label', 'Color');
+    const hexInput = document.createElement('input');
+    hexInput.type = 'text';
+    hexInput.size = 8;
+    hexInput.value = pickedHex;
+    hexInput.setAttribute('aria-label', 'Hex color');
+    row.appendChild(picker);
+    row.appendChild(hexInput);
+    panel.appendChild(row);
+
+    const photo = document.createElement('label');
+    photo.className = 'color-search-photo';
+    photo.appendChild(document.createTextNode('Or match a photo (e.g. a paint chip; the middle is used): '));
+    const photoInput = document.createElement('input');
+    photoInput.type = 'file';
+    photoInput.accept = 'image/*';
+    photo.appendChild(photoInput);
+    panel.appendChild(photo);
+
+    const footer = document.createElement('div');
+    footer.className = 'color-search-footer';
+    const summaryEl = document.createElement('span');
+    summaryEl.className = 'color-search-summary';
+    summaryEl.textContent = summary();
+    footer.appendChild(summaryEl);
+    if (_target) {
+      const off = document.createElement('button');
+      off.type = 'button';
+      off.textContent = 'Clear';
+      off.addEventListener('click', () => {
+        stop();
+        closePanel();
+      });
+      footer.appendChild(off);
+    }
+    const go = document.createElement('button');
+    go.type = 'button';
+    go.className = 'color-search-go';
+    go.textContent = 'Rank by color';
+    go.disabled = true;
+    footer.appendChild(go);
+    panel.appendChild(footer);
+
+    let photoName = '';
+    const setHex = (hex, fromPhoto) => {
+      const rgb = global.ColorLab.hexToRgb(hex);
+      hexInput.classList.toggle('is-invalid', !rgb);
+      if (!rgb) return;
+      pickedHex = global.ColorLab.rgbToHex(rgb);
+      picker.value = pickedHex;
+      if (hexInput.value.trim().toLowerCase() !== pickedHex) hexInput.value = pickedHex;
+      if (!fromPhoto) photoName = '';
+    };
+    picker.addEventListener('input', () => setHex(picker.value));
+    hexInput.addEventListener('change', () => setHex(hexInput.value));
+    photoInput.addEventListener('change', () => {
+      const file = photoInput.files && photoInput.files[0];
+      if (!file) return;
+      summaryEl.textContent = 'Reading photo…';
+      colorFromPhoto(file).then((hex) => {
+        if (!hex) throw new Error('no colour found');
+        photoName = file.name;
+        setHex(hex, true);
+        summaryEl.textContent = `${file.name}: ${hex}`;
+      }).catch((err) => {
+        summaryEl.textContent = `${file.name}: ${err.message}`;
+      });
+    });
+    go.addEventListener('click', () => {
+      go.disabled = true;
+      start(pickedHex, photoName).then((ok) => {
+        if (ok) closePanel();
+        else go.disabled = false;
+      });
+    });
+
+    const sync = () => {
+      const count = global.ImageFeatures.size();
+      if (count) {
+        intro.textContent = `Products are ranked by ΔE to their closest main color (${count} textures analysed).`;
+      } else {
+        intro.textContent = 'No image color data yet. Analyse the images below, or run "node wilsonart-image-features.js" to create wilsonart-image-features.json next to the viewer.';
+      }
+      go.disabled = !count;
+      if (_target) go.textContent = 'Update';
+      const todo = global.ImageFeatures.missing(global.DataSources.records()).length;
+      analysis.hidden = !analysisJob && !lastAnalysis && !todo;
+      progress.hidden = !analysisJob;
+      if (analysisJob) {
+        progress.max = analysisJob.total || 1;
+        progress.value = analysisJob.done;
+        analysisText.textContent = `Analysing images… ${analysisJob.done} / ${analysisJob.total}`;
+        analyse.textContent = 'Cancel';
+        analyse.disabled = analysisJob.cancelled;
+        return;
+      }
+      analysisText.textContent = [
+        lastAnalysis ? analysisMessage(lastAnalysis) : '',
+        todo ? `${todo} textures have no color data.` : '',
+      ].filter(Boolean).join(' ');
+      analyse.textContent = `Analyse ${todo} images here`;
+      analyse.hidden = !todo;
+      analyse.disabled = false;
+    };
+
+    global.ImageFeatures.load().then(() => {
+      analysisView = sync;
+      sync();
+    });
+  }
+
+  global.ColorSearch = {
+    FACET_KEY,
+    DISTANCE_KEY,
+    init,
+    active,
+    nearestHex,
+    summary,
+    start,
+    stop,
+    refresh,
+  };
+})(window);
@@ -0,0 +1,495 @@
+/* columns.js
+   Column layout for the viewer table: visibility, order, widths, frozen columns
+   and named presets, persisted in localStorage. The panel is a Popover (popover.js).
+   Usage:
+     ColumnLayout.init({
+       columns: COLUMNS,                          // [{ key, label }]
+       toggleButton: document.getElementById('columns-toggle'),
+       onChange: (reason) => { ... },             // 'layout' (re-render) | 'width' (re-measure)
+     });
+     const cols = ColumnLayout.apply(COLUMNS);    // visible columns, in layout order
+     ColumnLayout.attachHeader(headRow);          // resize handles + frozen offsets
+*/
+
+(function (global) {
+  const STORAGE_KEY = 'wilsonart-viewer:column-layout';
+  const PRESETS_KEY = 'wilsonart-viewer:column-presets';
+  const STYLE_ID = 'column-layout-styles';
+  const MIN_WIDTH = 48;
+
+  // Frozen columns always sit on the left. The row number and the compare
+  // column (injected by compare.js) stay in front of them.
+  const LEADING_CELLS = {
+    index: ['.col-index'],
+    compare: ['.compare-col', '.compare-cell'],
+  };
+
+  const BUILT_IN_PRESETS = {
+    Estimating: {
+      order: ['texture_image_url', 'code', 'name', 'type', 'sheet_sizes', 'finish', 'texture_scale', 'no_repeat', 'no_repeat_texture_scale', 'product-link'],
+      frozen: ['texture_image_url', 'code', 'name'],
+    },
+    'Design review': {
+      order: ['texture_image_url', 'code', 'name', 'type', 'design_groups', 'colors', 'species', 'cut', 'match', 'shade', 'finish', 'design_collections', 'description'],
+      frozen: ['texture_image_url', 'code', 'name'],
+    },
+  };
+
+  let _opts = {};
+  let _allKeys = [];
+  let _labels = Object.create(null);
+  let layout = null; // { order: [key], hidden: [key], frozen: [key], widths: { key: px } }
+  let panel = null;
+  let popover = null;
+
+  // --------- Storage ----------
+  function readJson(key) {
+    try {
+      const raw = global.localStorage ? global.localStorage.getItem(key) : null;
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function writeJson(key, value) {
+    try {
+      if (global.localStorage) global.localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      // storage full or disabled; the layout still applies for this session
+    }
+  }
+
+  function savedPresets() {
+    const stored = readJson(PRESETS_KEY);
+    return stored && typeof stored === 'object' ? stored : {};
+  }
+
+  function allPresets() {
+    return { ...BUILT_IN_PRESETS, ...savedPresets() };
+  }
+
+  // --------- Layout helpers ----------
+  function defaultLayout() {
+    return { order: _allKeys.slice(), hidden: [], frozen: [], widths: {} };
+  }
+
+  /**
+   * Bring a stored or preset layout in line with the current COLUMNS:
+   * unknown keys are dropped, new columns are appended (hidden when the
+   * layout came from a preset that lists only the columns it wants).
+   */
+  function normalizeLayout(source, { presetOrder = false } = {}) {
+    const known = new Set(_allKeys);
+    const src = source && typeof source === 'object' ? source : {};
+    const order = [];
+    const seen = new Set();
+    const addKey = (key) => {
+      if (!known.has(key) || seen.has(key)) return;
+      seen.add(key);
+      order.push(key);
+    };
+    (Array.isArray(src.order) ? src.order : []).forEach(addKey);
+    const listed = new Set(order);
+    _allKeys.forEach(addKey);
+
+    let hidden = (Array.isArray(src.hidden) ? src.hidden : []).filter((k) => known.has(k));
+    if (presetOrder && !Array.isArray(src.hidden)) {
+      hidden = _allKeys.filter((k) => !listed.has(k));
+    }
+    const frozen = (Array.isArray(src.frozen) ? src.frozen : []).filter((k) => known.has(k) && !hidden.includes(k));
+    const widths = {};
+    if (src.widths && typeof src.widths === 'object') {
+      Object.keys(src.widths).forEach((k) => {
+        const w = Number(src.widths[k]);
+        if (known.has(k) && Number.isFinite(w) && w >= MIN_WIDTH) widths[k] = Math.round(w);
+      });
+    }
+    return { order: pinFrozenFirst(order, frozen), hidden, frozen, widths };
+  }
+
+  function pinFrozenFirst(order, frozen) {
+    const frozenSet = new Set(frozen);
+    return [...order.filter((k) => frozenSet.has(k)), ...order.filter((k) => !frozenSet.has(k))];
+  }
+
+  function cloneLayout(src) {
+    return {
+      order: src.order.slice(),
+      hidden: src.hidden.slice(),
+      frozen: src.frozen.slice(),
+      widths: { ...src.widths },
+    };
+  }
+
+  function commit(reason) {
+    writeJson(STORAGE_KEY, layout);
+    updateLayoutStyles();
+    if (reason === 'layout') renderPanel();
+    if (typeof _opts.onChange === 'function') _opts.onChange(reason);
+  }
+
+  function cssKey(key) {
+    return String(key).replace(/[^a-z0-9_-]/gi, '\\$&');
+  }
+
+  // Width rules live in one <style> so header and body cells stay in step.
+  function updateLayoutStyles(frozenOffsets) {
+    let style = document.getElementById(STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = STYLE_ID;
+      document.head.appendChild(style);
+    }
+    const rules = [];
+    Object.keys(layout.widths).forEach((key) => {
+      const w = layout.widths[key];
+      rules.push(`table.grid .col-${cssKey(key)} { width:${w}px; min-width:${w}px; max-width:${w}px; overflow:hidden; }`);
+    });
+    if (Array.isArray(frozenOffsets)) {
+      frozenOffsets.forEach(({ cells, left, last }) => {
+        const body = cells.map((c) => `table.grid ${c}`).join(', ');
+        const head = cells.map((c) => `table.grid thead ${c}`).join(', ');
+        rules.push(`${body} { position:sticky; left:${left}px; z-index:2; background:var(--bg); }`);
+        rules.push(`${head} { z-index:6; background:var(--panel); }`);
+        if (last) rules.push(`${body} { box-shadow:inset -1px 0 0 var(--border); }`);
+      });
+    }
+    // rewriting the sheet restyles the whole table; skip it when nothing moved
+    const text = rules.join('\n');
+    if (style.textContent !== text) style.textContent = text;
+  }
+
+  // --------- Header integration ----------
+  function frozenOffsetsFor(headRow) {
+    if (!layout.frozen.length || !headRow) return [];
+    const frozen = new Set(layout.frozen);
+    const cells = Array.from(headRow.children);
+    let lastFrozen = -1;
+    cells.forEach((th, i) => {
+      const key = th.getAttribute('data-col-key');
+      if (key && frozen.has(key)) lastFrozen = i;
+    });
+    if (lastFrozen < 0) return [];
+    const offsets = [];
+    let left = 0;
+    for (let i = 0; i <= lastFrozen; i += 1) {
+      const th = cells[i];
+      const key = th.getAttribute('data-col-key');
+      let cellSelectors = null;
+      if (th.classList.contains('col-index')) cellSelectors = LEADING_CELLS.index;
+      else if (th.classList.contains('compare-col')) cellSelectors = LEADING_CELLS.compare;
+      else if (key) cellSelectors = [`.col-${cssKey(key)}`];
+      if (cellSelectors) offsets.push({ cells: cellSelectors, left, last: i === lastFrozen });
+      left += th.offsetWidth || 0;
+    }
+    return offsets;
+  }
+
+  function refreshFrozen(headRow) {
+    updateLayoutStyles(frozenOffsetsFor(headRow));
+  }
+
+  function attachHeader(headRow) {
+    if (!headRow) return;
+    headRow.querySelectorAll('th[data-col-key]').forEach((th) => {
+      if (th.querySelector('.col-resizer')) return;
+      const key = th.getAttribute('data-col-key');
+      const handle = document.createElement('span');
+      handle.className = 'col-resizer';
+      handle.setAttribute('aria-hidden', 'true');
+      handle.title = 'Drag to resize';
+      handle.addEventListener('pointerdown', (event) => startResize(event, th, key, headRow));
+      handle.addEventListener('dblclick', () => {
+        delete layout.widths[key];
+        commit('width');
+        refreshFrozen(headRow);
+      });
+      th.appendChild(handle);
+    });
+    refreshFrozen(headRow);
+  }
+
+  function startResize(event, th, key, headRow) {
+    event.preventDefault();
+    event.stopPropagation();
+    const startX = event.clientX;
+    const startWidth = th.offsetWidth || layout.widths[key] || 120;
+    const handle = event.currentTarget;
+    if (handle && handle.setPointerCapture && event.pointerId != null) {
+      try { handle.setPointerCapture(event.pointerId); } catch (err) { /* ignore */ }
+    }
+    th.classList.add('is-resizing');
+
+    const onMove = (e) => {
+      layout.widths[key] = Math.max(MIN_WIDTH, Math.round(startWidth + (e.clientX - startX)));
+      updateLayoutStyles(frozenOffsetsFor(headRow));
+    };
+    const onUp = () => {
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      th.classList.remove('is-resizing');
+      commit('width');
+      refreshFrozen(headRow);
+    };
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+  }
+
+  // --------- Panel ----------
+  function renderPanel() {
+    if (!panel) return;
+    panel.innerHTML = '';
+
+    // Presets
+    const presetBar = document.createElement('div');
+    presetBar.className = 'column-presets';
+    const select = document.createElement('select');
+    select.className = 'column-preset-select';
+    select.setAttribute('aria-label', 'Column preset');
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Presets…';
+    select.appendChild(placeholder);
+    const presets = allPresets();
+    const userPresets = savedPresets();
+    Object.keys(presets).forEach((name) => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = Object.prototype.hasOwnProperty.call(userPresets, name) ? name : `${name} (built-in)`;
+      select.appendChild(opt);
+    });
+    select.addEventListener('change', () => {
+      const name = select.value;
+      if (!name || !presets[name]) return;
+      const fromUser = Object.prototype.hasOwnProperty.call(userPresets, name);
+      layout = normalizeLayout(presets[name], { presetOrder: !fromUser });
+      commit('layout');
+    });
+    presetBar.appendChild(select);
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.textContent = 'Save as…';
+    saveBtn.addEventListener('click', () => {
+      const name = (global.prompt('Save current columns as preset:', '') || '').trim();
+      if (!name) return;
+      const next = savedPresets();
+      next[name] = cloneLayout(layout);
+      writeJson(PRESETS_KEY, next);
+      renderPanel();
+    });
+    presetBar.appendChild(saveBtn);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.title = 'Delete the selected saved preset';
+    deleteBtn.addEventListener('click', () => {
+      const name = select.value;
+      const next = savedPresets();
+      if (!name || !Object.prototype.hasOwnProperty.call(next, name)) return;
+      delete next[name];
+      writeJson(PRESETS_KEY, next);
+      renderPanel();
+    });
+    presetBar.appendChild(deleteBtn);
+
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.textContent = 'Show all';
+    resetBtn.addEventListener('click', () => {
+      layout = defaultLayout();
+      commit('layout');
+    });
+    presetBar.appendChild(resetBtn);
+    panel.appendChild(presetBar);
+
+    // Column list
+    const list = document.createElement('ol');
+    list.className = 'column-list';
+    const hidden = new Set(layout.hidden);
+    const frozen = new Set(layout.frozen);
+    layout.order.forEach((key, index) => {
+      const item = document.createElement('li');
+      item.className = 'column-item';
+      item.draggable = true;
+      item.dataset.key = key;
+      if (frozen.has(key)) item.classList.add('is-frozen');
+
+      const grip = document.createElement('span');
+      grip.className = 'column-grip';
+      grip.setAttribute('aria-hidden', 'true');
+      grip.textContent = '☰';
+      item.appendChild(grip);
+
+      const show = document.createElement('label');
+      show.className = 'column-show';
+      const showInput = document.createElement('input');
+      showInput.type = 'checkbox';
+      showInput.checked = !hidden.has(key);
+      showInput.addEventListener('change', () => {
+        setHidden(key, !showInput.checked);
+      });
+      const name = document.createElement('span');
+      name.textContent = _labels[key] || key;
+      show.appendChild(showInput);
+      show.appendChild(name);
+      item.appendChild(show);
+
+      const freeze = document.createElement('label');
+      freeze.className = 'column-freeze';
+      freeze.title = 'Keep this column on the left while scrolling';
+      const freezeInput = document.createElement('input');
+      freezeInput.type = 'checkbox';
+      freezeInput.checked = frozen.has(key);
+      freezeInput.disabled = hidden.has(key);
+      freezeInput.addEventListener('change', () => {
+        setFrozen(key, freezeInput.checked);
+      });
+      const freezeText = document.createElement('span');
+      freezeText.textContent = 'Freeze';
+      freeze.appendChild(freezeInput);
+      freeze.appendChild(freezeText);
+      item.appendChild(freeze);
+
+      const up = document.createElement('button');
+      up.type = 'button';
+      up.className = 'column-move';
+      up.textContent = '↑';
+      up.setAttribute('aria-label', `Move ${_labels[key] || key} up`);
+      up.disabled = index === 0;
+      up.addEventListener('click', () => moveColumn(key, index - 1));
+      item.appendChild(up);
+
+      const down = document.createElement('button');
+      down.type = 'button';
+      down.className = 'column-move';
+      down.textContent = '↓';
+      down.setAttribute('aria-label', `Move ${_labels[key] || key} down`);
+      down.disabled = index === layout.order.length - 1;
+      down.addEventListener('click', () => moveColumn(key, index + 1));
+      item.appendChild(down);
+
+      item.addEventListener('dragstart', (event) => {
+        item.classList.add('is-dragging');
+        if (event.dataTransfer) {
+          event.dataTransfer.effectAllowed = 'move';
+          event.dataTransfer.setData('text/plain', key);
+        }
+      });
+      item.addEventListener('dragend', () => item.classList.remove('is-dragging'));
+      item.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        if (event.dataTransfer) event.dataTransfer.dropEffect = 'move';
+        item.classList.add('is-drop-target');
+      });
+      item.addEventListener('dragleave', () => item.classList.remove('is-drop-target'));
+      item.addEventListener('drop', (event) => {
+        event.preventDefault();
+        item.classList.remove('is-drop-target');
+        const dragged = event.dataTransfer ? event.dataTransfer.getData('text/plain') : '';
+        if (dragged && dragged !== key) moveColumn(dragged, layout.order.indexOf(key));
+      });
+
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+
+    const hint = document.createElement('p');
+    hint.className = 'column-hint';
+    hint.textContent = 'Drag to reorder. Drag a header edge to resize; double-click it to reset the width.';
+    panel.appendChild(hint);
+  }
+
+  function setHidden(key, isHidden) {
+    const hidden = new Set(layout.hidden);
+    if (isHidden) {
+      hidden.add(key);
+      layout.frozen = layout.frozen.filter((k) => k !== key);
+    } else {
+      hidden.delete(key);
+    }
+    layout.hidden = _allKeys.filter((k) => hidden.has(k));
+    commit('layout');
+  }
+
+  function setFrozen(key, isFrozen) {
+    const frozen = new Set(layout.frozen);
+    if (isFrozen) frozen.add(key);
+    else frozen.delete(key);
+    layout.frozen = layout.order.filter((k) => frozen.has(k));
+    layout.order = pinFrozenFirst(layout.order, layout.frozen);
+    commit('layout');
+  }
+
+  function moveColumn(key, toIndex) {
+    const from = layout.order.indexOf(key);
+    if (from < 0 || toIndex < 0 || toIndex >= layout.order.length || from === toIndex) return;
+    const order = layout.order.slice();
+    order.splice(from, 1);
+    order.splice(toIndex, 0, key);
+    // a column dropped inside the frozen block joins it; dropped past it, it leaves
+    const frozen = new Set(layout.frozen);
+    const frozenOthers = layout.frozen.filter((k) => k !== key).length;
+    if (toIndex < frozenOthers) frozen.add(key);
+    else if (toIndex > frozenOthers) frozen.delete(key);
+    layout.frozen = order.filter((k) => frozen.has(k));
+    layout.order = pinFrozenFirst(order, layout.frozen);
+    commit('layout');
+  }
+
+  // Public API
+  const ColumnLayout = {
+    init(opts) {
+      _opts = opts || {};
+      const columns = Array.isArray(_opts.columns) ? _opts.columns : [];
+      _allKeys = [];
+      _labels = Object.create(null);
+      columns.forEach((c) => {
+        if (!c || !c.key || _labels[c.key]) return;
+        _allKeys.push(c.key);
+        _labels[c.key] = c.label || c.key;
+      });
+      layout = normalizeLayout(readJson(STORAGE_KEY) || defaultLayout());
+      updateLayoutStyles();
+
+      if (!popover) {
+        popover = global.Popover.create({
+          button: _opts.toggleButton,
+          id: 'column-panel',
+          className: 'column-panel',
+          label: 'Columns',
+          focus: 'select, button, input',
+          render: (el) => {
+            panel = el;
+            renderPanel();
+          },
+        });
+      }
+      return this;
+    },
+    apply(columns) {
+      const byKey = new Map();
+      (Array.isArray(columns) ? columns : []).forEach((c) => {
+        if (c && c.key && !byKey.has(c.key)) byKey.set(c.key, c);
+      });
+      if (!layout) return Array.from(byKey.values());
+      const hidden = new Set(layout.hidden);
+      return layout.order.filter((k) => byKey.has(k) && !hidden.has(k)).map((k) => byKey.get(k));
+    },
+    isFrozen(key) {
+      return !!layout && layout.frozen.includes(key);
+    },
+    hasFrozen() {
+      return !!layout && layout.frozen.length > 0;
+    },
+    current() {
+      return layout ? cloneLayout(layout) : null;
+    },
+    attachHeader,
+    refreshFrozen,
+  };
+
+  global.ColumnLayout = ColumnLayout;
+})(window);
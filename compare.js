@@ -5,12 +5,14 @@
   const COMPARE_BUTTON_CLASS = 'compare-btn';
   const COMPARE_OPEN_CLASS = 'is-compare-open';
   const COMPARE_FOCUS_CLASS = 'compare-focus';
+  const PRODUCT_CARD_CLASS = 'product-card';
 
   const selectedProducts = new Map();
 
   function init() {
     const headRow = document.getElementById('head-row');
     const bodyRows = document.getElementById('body-rows');
+    const cardGrid = document.getElementById('card-grid');
     if (!headRow || !bodyRows) return;
 
     const sidebar = createSidebar();
@@ -33,12 +35,17 @@
       ensureHeader();
     });
 
+    const cardObserver = new MutationObserver(() => {
+      renderAllCards();
+    });
+
     ensureHeader();
     renderAllRows();
     updateSidebar();
 
     bodyObserver.observe(bodyRows, { childList: true });
     headerObserver.observe(headRow, { childList: true });
+    if (cardGrid) cardObserver.observe(cardGrid, { childList: true });
 
     function ensureHeader() {
       let th = headRow.querySelector(`th.${COMPARE_HEADER_CLASS}`);
@@ -59,6 +66,38 @@
       updateRowStates();
     }
 
+    function renderAllCards() {
+      if (!cardGrid) return;
+      cardGrid.querySelectorAll(`.${PRODUCT_CARD_CLASS}`).forEach(prepareCard);
+    }
+
+    // Cards (viewer card view) carry their data as attributes and render their own button.
+    function prepareCard(card) {
+      const data = extractCardData(card);
+      if (!data) return;
+      card.dataset.compareKey = data.key;
+      if (selectedProducts.has(data.key)) {
+        selectedProducts.set(data.key, { ...selectedProducts.get(data.key), ...data });
+      }
+      const button = card.querySelector(`button.${COMPARE_BUTTON_CLASS}`);
+      if (!button) return;
+      if (!button.dataset.compareBound) {
+        button.dataset.compareBound = '1';
+        button.addEventListener('click', () => {
+          const latest = extractCardData(card);
+          if (!latest) return;
+          if (selectedProducts.has(latest.key)) {
+            selectedProducts.delete(latest.key);
+          } else {
+            selectedProducts.set(latest.key, latest);
+          }
+          updateRowStates();
+          updateSidebar();
+        });
+      }
+      updateRowState(card, button);
+    }
+
     function prepareRow(tr) {
       const data = extractRowData(tr);
       if (!data) return;
@@ -76,11 +115,14 @@
       if (!cell) {
         cell = document.createElement('td');
         cell.className = COMPARE_CELL_CLASS;
+        // the viewer's keyboard grid moves focus between cells; Space toggles this
+        cell.tabIndex = -1;
 
         button = document.createElement('button');
         button.type = 'button';
         button.className = COMPARE_BUTTON_CLASS;
         button.textContent = 'Compare';
+        button.tabIndex = -1;
         button.setAttribute('aria-pressed', 'false');
 
         cell.appendChild(button);
@@ -129,6 +171,12 @@
         if (!button) return;
         updateRowState(tr, button);
       });
+      if (cardGrid) {
+        cardGrid.querySelectorAll(`.${PRODUCT_CARD_CLASS}`).forEach((card) => {
+          const button = card.querySelector(`button.${COMPARE_BUTTON_CLASS}`);
+          if (button) updateRowState(card, button);
+        });
+      }
     }
 
     function updateSidebar() {
@@ -175,7 +223,8 @@
 
       const link = document.createElement('a');
       link.className = 'compare-card__link';
-      link.href = product.anchorId ? `#${product.anchorId}` : '#';
+      const anchorId = product.anchorId || `compare-${sanitizeKey(product.key)}`;
+      link.href = `#${anchorId}`;
       link.tabIndex = 0;
 
       const media = document.createElement('div');
@@ -215,26 +264,31 @@
       link.appendChild(media);
       link.appendChild(meta);
 
-      if (product.anchorId) {
-        link.addEventListener('click', (event) => {
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        focusRow(anchorId, product.key);
+      });
+      link.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ' || event.key === 'Space' || event.key === 'Spacebar') {
           event.preventDefault();
-          focusRow(product.anchorId);
-        });
-        link.addEventListener('keydown', (event) => {
-          if (event.key === 'Enter' || event.key === ' ' || event.key === 'Space' || event.key === 'Spacebar') {
-            event.preventDefault();
-            focusRow(product.anchorId);
-          }
-        });
-      }
+          focusRow(anchorId, product.key);
+        }
+      });
 
       card.appendChild(closeBtn);
       card.appendChild(link);
       return card;
     }
 
-    function focusRow(anchorId) {
-      const row = anchorId ? document.getElementById(anchorId) : null;
+    function focusRow(anchorId, key) {
+      let row = null;
+      if (key && window.Viewer && typeof window.Viewer.revealRow === 'function') {
+        // the viewer only renders rows (or cards) near the viewport; ask it to bring this one in
+        row = window.Viewer.revealRow(key);
+        if (row && row.nodeName === 'TR') prepareRow(row);
+        else if (row) prepareCard(row);
+      }
+      if (!row) row = anchorId ? document.getElementById(anchorId) : null;
       if (!row) return;
       row.classList.add(COMPARE_FOCUS_CLASS);
       try {
@@ -277,20 +331,20 @@
 
     function extractRowData(tr) {
       if (!tr || tr.nodeName !== 'TR') return null;
-      const codeCell = tr.querySelector('td.col-code');
-      const nameCell = tr.querySelector('td.col-name');
-      const typeCell = tr.querySelector('td.col-type');
+      // the record, not the cells: the layout can hide Type, Code or Name
+      const record = recordFor(tr);
       const imageButton = tr.querySelector('td.col-texture_image_url .thumb');
 
-      const code = textContent(codeCell);
-      const name = textContent(nameCell);
-      const type = textContent(typeCell);
-      const imageUrl = imageButton ? imageButton.getAttribute('data-full') || '' : '';
-      const imageAlt = imageButton ? imageButton.getAttribute('data-alt') || '' : '';
+      const code = record ? recordText(record.code) : textContent(tr.querySelector('td.col-code'));
+      const name = record ? recordText(record.name) : textContent(tr.querySelector('td.col-name'));
+      const type = record ? recordText(record.type) : textContent(tr.querySelector('td.col-type'));
+      const imageUrl = imageButton
+        ? imageButton.getAttribute('data-full') || ''
+        : (record ? recordText(record.texture_image_url) : '');
+      const imageAlt = imageButton ? imageButton.getAttribute('data-alt') || '' : name;
 
-      const keyParts = [type, code, name].filter(Boolean);
-      if (!keyParts.length) return null;
-      const key = keyParts.join('::');
+      const key = record ? window.Viewer.rowKey(record) : [type, code, name].filter(Boolean).join('::');
+      if (!key) return null;
       const rowNumber = getRowNumber(tr);
       const anchorId = ensureRowAnchor(tr, rowNumber, key);
 
@@ -307,6 +361,36 @@
     }
   }
 
+  function extractCardData(card) {
+    if (!card || !card.dataset) return null;
+    const code = card.dataset.code || '';
+    const name = card.dataset.name || '';
+    const type = card.dataset.type || '';
+    const imageButton = card.querySelector('.thumb');
+    const keyParts = [type, code, name].filter(Boolean);
+    if (!keyParts.length) return null;
+    const key = keyParts.join('::');
+    return {
+      key,
+      code,
+      name,
+      type,
+      imageUrl: imageButton ? imageButton.getAttribute('data-full') || '' : '',
+      imageAlt: imageButton ? imageButton.getAttribute('data-alt') || '' : '',
+      rowNumber: NaN,
+      anchorId: `compare-${sanitizeKey(key)}`,
+    };
+  }
+
+  function recordFor(node) {
+    const viewer = window.Viewer;
+    return viewer && typeof viewer.recordForElement === 'function' ? viewer.recordForElement(node) : null;
+  }
+
+  function recordText(value) {
+    return value == null ? '' : String(value).trim();
+  }
+
   function textContent(node) {
     return node ? node.textContent.trim() : '';
   }
@@ -367,6 +451,12 @@
     };
   }
 
+  // Read-only view of the selection for other modules (e.g. printing).
+  // Keys are type::code::name, in the order products were added.
+  window.Compare = {
+    selectedKeys: () => Array.from(selectedProducts.keys()),
+  };
+
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init, { once: true });
   } else {
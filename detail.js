@@ -0,0 +1,421 @@
+/* detail.js
+   Product detail drawer. Clicking a table row or card opens every field of that
+   record, with the large (banner-cropped when needed) image, finishes and sheet sizes.
+   Each product has a stable deep link: #/product/<type>/<code>, e.g. #/product/HPL/Y0864.
+   Other modules can add sections with ProductDetail.registerSection(title, render).
+   Requires viewer.js (window.Viewer) and Units (units.js) to be loaded before this file.
+*/
+
+(function () {
+  const ROUTE_PREFIX = '#/product/';
+  const OPEN_CLASS = 'is-detail-open';
+
+  // Known fields in display order. Anything else on the record is listed after these.
+  // `types` limits a field to records of those types (e.g. TFL-only data).
+  const DETAIL_FIELDS = [
+    { key: 'type', label: 'Type' },
+    { key: 'surface-group', label: 'Surface' },
+    { key: 'product-link', label: 'Product page', format: 'link' },
+    { key: 'design_groups', label: 'Design groups' },
+    { key: 'design_collections', label: 'Design collections' },
+    { key: 'design_tfl_collection', label: 'TFL collection', types: ['TFL'] },
+    { key: 'colors', label: 'Colors', aliases: ['color'] },
+    { key: 'species', label: 'Species' },
+    { key: 'cut', label: 'Cut' },
+    { key: 'match', label: 'Match' },
+    { key: 'shade', label: 'Shade' },
+    { key: 'performance_enhancements', label: 'Performance enhancements', aliases: ['performace_enchancments'] },
+    { key: 'specialty_features', label: 'Specialty features', aliases: ['specality_features'] },
+    { key: 'texture_scale', label: 'Texture scale', format: 'scale' },
+    { key: 'no_repeat', label: 'No repeat', format: 'boolean' },
+    { key: 'no_repeat_texture_scale', label: 'No-repeat texture scale', format: 'scale' },
+    { key: 'texture_image_pixels', label: 'Image pixels', format: 'pixels' },
+    { key: 'banner_cropped', label: 'Banner cropped', format: 'boolean' },
+    { key: 'texture_image_url', label: 'Image URL', format: 'link' },
+    { key: DataSources.SOURCE_KEY, label: 'Source file' },
+  ];
+  // Shown in their own sections above the field list.
+  const HEADLINE_KEYS = ['code', 'name', 'description', 'finish', 'sheet_sizes'];
+
+  let drawer = null;
+  let lastFocus = null;
+  let currentRecord = null;
+  const extraSections = []; // [{ title, render(record) -> Node | null }] from other modules
+
+  function init() {
+    if (!window.Viewer) return;
+    drawer = createDrawer();
+
+    const bodyRows = document.getElementById('body-rows');
+    const cardGrid = document.getElementById('card-grid');
+    if (bodyRows) bodyRows.addEventListener('click', onResultClick);
+    if (cardGrid) cardGrid.addEventListener('click', onResultClick);
+
+    window.addEventListener('hashchange', syncFromHash);
+    document.addEventListener('viewer:data', syncFromHash);
+    // sizes, the surface preview and the match layout are shown in the picked units
+    document.addEventListener('viewer:units', () => {
+      if (currentRecord && isOpen()) renderRecord(currentRecord);
+    });
+    document.addEventListener('keydown', (event) => {
+      if (!isOpen() || event.defaultPrevented) return;
+      if (event.key !== 'Escape' && event.key !== 'Esc') return;
+      // the lightbox sits above the drawer and closes first
+      if (document.querySelector('.lightbox.is-visible')) return;
+      close();
+    });
+    syncFromHash();
+  }
+
+  // --------- Routing ----------
+  function routeFor(record) {
+    const type = String(record.type || '').trim() || '-';
+    return `${ROUTE_PREFIX}${encodeURIComponent(type)}/${encodeURIComponent(String(record.code || '').trim())}`;
+  }
+
+  function parseRoute(hash) {
+    if (typeof hash !== 'string' || !hash.startsWith(ROUTE_PREFIX)) return null;
+    const parts = hash.slice(ROUTE_PREFIX.length).split('/');
+    if (parts.length < 2) return null;
+    try {
+      return { type: decodeURIComponent(parts[0]), code: decodeURIComponent(parts.slice(1).join('/')) };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function findRecord(route) {
+    const records = window.Viewer.records() || [];
+    const code = route.code.toLowerCase();
+    const type = route.type === '-' ? '' : route.type.toLowerCase();
+    let fallback = null;
+    for (let i = 0; i < records.length; i += 1) {
+      const r = records[i];
+      if (!r || String(r.code || '').trim().toLowerCase() !== code) continue;
+      if (String(r.type || '').trim().toLowerCase() === type) return r;
+      if (!fallback) fallback = r;
+    }
+    return fallback;
+  }
+
+  function syncFromHash() {
+    const route = parseRoute(window.location.hash);
+    if (!route) {
+      if (isOpen()) hide();
+      return;
+    }
+    const records = window.Viewer.records() || [];
+    if (!records.length) return; // data not loaded yet; viewer:data will call again
+    const record = findRecord(route);
+    if (record) show(record);
+    else showMissing(route);
+  }
+
+  function open(record) {
+    if (!record) return;
+    const route = routeFor(record);
+    if (window.location.hash !== route) {
+      try {
+        // marked so close() knows Back would land on the list rather than on another change
+        window.history.pushState({ productDetail: true }, '', `${window.location.pathname}${window.location.search}${route}`);
+      } catch (err) {
+        window.location.hash = route;
+        return;
+      }
+    }
+    show(record);
+  }
+
+  function close() {
+    const state = window.history.state;
+    if (state && state.productDetail && parseRoute(window.location.hash)) {
+      window.history.back(); // hashchange hides the drawer
+      return;
+    }
+    try {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    } catch (err) {
+      window.location.hash = '';
+    }
+    hide();
+  }
+
+  // --------- Events ----------
+  function onResultClick(event) {
+    const target = event.target;
+    if (!target || !target.closest) return;
+    // thumbnails, links and buttons keep their own behaviour
+    if (target.closest('a, button, input, select, label, .thumb')) return;
+    const record = window.Viewer.recordForElement(target);
+    if (!record) return;
+    lastFocus = target.closest('tr, .product-card');
+    open(record);
+  }
+
+  function isOpen() {
+    return !!drawer && drawer.container.classList.contains('is-open');
+  }
+
+  // --------- Rendering ----------
+  function show(record) {
+    currentRecord = record;
+    if (!lastFocus) lastFocus = document.activeElement;
+    renderRecord(record);
+    drawer.container.classList.add('is-open');
+    drawer.container.setAttribute('aria-hidden', 'false');
+    document.body.classList.add(OPEN_CLASS);
+    drawer.close.focus();
+  }
+
+  function showMissing(route) {
+    currentRecord = null;
+    drawer.title.textContent = `${route.type} ${route.code}`;
+    drawer.subtitle.textContent = '';
+    drawer.body.innerHTML = '';
+    const note = document.createElement('p');
+    note.className = 'detail-missing';
+    note.textContent = `No product with code ${route.code}${route.type && route.type !== '-' ? ` (${route.type})` : ''} is in the loaded data.`;
+    drawer.body.appendChild(note);
+    drawer.container.classList.add('is-open');
+    drawer.container.setAttribute('aria-hidden', 'false');
+    document.body.classList.add(OPEN_CLASS);
+    drawer.close.focus();
+  }
+
+  function hide() {
+    if (!drawer) return;
+    currentRecord = null;
+    drawer.container.classList.remove('is-open');
+    drawer.container.setAttribute('aria-hidden', 'true');
+    document.body.classList.remove(OPEN_CLASS);
+    if (lastFocus && typeof lastFocus.focus === 'function' && document.contains(lastFocus)) {
+      lastFocus.focus();
+    }
+    lastFocus = null;
+  }
+
+  function renderRecord(record) {
+    drawer.title.textContent = [record.code, record.name].filter(Boolean).join(' · ');
+    drawer.subtitle.textContent = [record.type, record['surface-group']].filter(Boolean).join(' / ');
+    const body = drawer.body;
+    body.innerHTML = '';
+
+    body.appendChild(renderMedia(record));
+
+    if (record.description) {
+      const desc = document.createElement('p');
+      desc.className = 'detail-description';
+      desc.textContent = record.description;
+      body.appendChild(desc);
+    }
+
+    const finishes = Array.isArray(record.finish) ? record.finish : [];
+    body.appendChild(section('Finishes', pills(finishes.map((f) => (
+      f ? [f.code, f.name].filter(Boolean).join(' ') : ''
+    )))));
+    body.appendChild(section('Sheet sizes', pills(arrify(record.sheet_sizes).map((s) => window.Units.formatSheet(s)))));
+    extraSections.forEach((extra) => {
+      const content = extra.render(record);
+      if (content) body.appendChild(section(extra.title, content));
+    });
+
+    const list = document.createElement('dl');
+    list.className = 'detail-fields';
+    const shown = new Set(HEADLINE_KEYS);
+    DETAIL_FIELDS.forEach((field) => {
+      shown.add(field.key);
+      (field.aliases || []).forEach((a) => shown.add(a));
+      if (field.types && !field.types.includes(record.type) && isEmpty(record[field.key])) return;
+      let value = record[field.key];
+      if (isEmpty(value) && field.aliases) {
+        for (let i = 0; i < field.aliases.length && isEmpty(value); i += 1) value = record[field.aliases[i]];
+      }
+      appendField(list, field.label, formatValue(value, field.format));
+    });
+    Object.keys(record).forEach((key) => {
+      if (shown.has(key)) return;
+      appendField(list, key, formatValue(record[key]));
+    });
+    body.appendChild(section('All fields', list));
+  }
+
+  function renderMedia(record) {
+    const media = document.createElement('div');
+    media.className = 'detail-media';
+    const url = record.texture_image_url;
+    if (!url) {
+      media.classList.add('is-empty');
+      media.textContent = 'No image';
+      return media;
+    }
+    const alt = `${record.code || ''} ${record.name || ''}`.trim();
+    if (record.banner_cropped === true) {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'detail-canvas';
+      canvas.setAttribute('role', 'img');
+      canvas.setAttribute('aria-label', alt);
+      window.Viewer.drawBannerCrop(canvas, url, 93);
+      media.appendChild(canvas);
+    } else {
+      const img = document.createElement('img');
+      img.className = 'detail-img';
+      img.src = url;
+      img.alt = alt;
+      img.referrerPolicy = 'no-referrer';
+      media.appendChild(img);
+    }
+    return media;
+  }
+
+  function section(title, content) {
+    const wrap = document.createElement('section');
+    wrap.className = 'detail-section';
+    const h = document.createElement('h3');
+    h.textContent = title;
+    wrap.appendChild(h);
+    wrap.appendChild(content);
+    return wrap;
+  }
+
+  function pills(values) {
+    const wrap = document.createElement('div');
+    const cleaned = values.filter((v) => !isEmpty(v));
+    if (!cleaned.length) {
+      wrap.className = 'detail-empty';
+      wrap.textContent = '—';
+      return wrap;
+    }
+    cleaned.forEach((v) => {
+      const pill = document.createElement('span');
+      pill.className = 'pill';
+      pill.textContent = String(v);
+      wrap.appendChild(pill);
+    });
+    return wrap;
+  }
+
+  function appendField(list, label, valueNode) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.appendChild(valueNode);
+    list.appendChild(dt);
+    list.appendChild(dd);
+  }
+
+  function formatValue(value, format) {
+    if (isEmpty(value)) return emptyNode();
+    if (format === 'link' && typeof value === 'string') {
+      const a = document.createElement('a');
+      a.className = 'link';
+      a.href = value;
+      a.target = '_blank';
+      a.rel = 'noopener';
+      a.textContent = value;
+      return a;
+    }
+    if (format === 'boolean') return document.createTextNode(value === true ? 'Yes' : (value === false ? 'No' : String(value)));
+    if (format === 'scale') {
+      const text = window.Viewer.formatScale(value);
+      return text ? document.createTextNode(text) : emptyNode();
+    }
+    if (format === 'pixels' && typeof value === 'object') {
+      const parts = [];
+      if (value.width != null && value.height != null) parts.push(`${value.width} × ${value.height} px`);
+      if (value.ratio != null) parts.push(`ratio ${value.ratio}`);
+      return document.createTextNode(parts.join(', ') || JSON.stringify(value));
+    }
+    if (Array.isArray(value)) {
+      return pills(value.map((v) => (v && typeof v === 'object' ? JSON.stringify(v) : v)));
+    }
+    if (typeof value === 'object') return document.createTextNode(JSON.stringify(value));
+    return document.createTextNode(String(value));
+  }
+
+  function emptyNode() {
+    const span = document.createElement('span');
+    span.className = 'detail-empty';
+    span.textContent = '—';
+    return span;
+  }
+
+  function isEmpty(value) {
+    if (value == null || value === '') return true;
+    if (Array.isArray(value)) return value.every((v) => v == null || (typeof v === 'string' && !v.trim()));
+    return false;
+  }
+
+  function arrify(v) {
+    return v == null ? [] : (Array.isArray(v) ? v : [v]);
+  }
+
+  function copyLink() {
+    if (!currentRecord) return;
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${routeFor(currentRecord)}`;
+    const done = () => {
+      drawer.copy.textContent = 'Copied';
+      window.setTimeout(() => { drawer.copy.textContent = 'Copy link'; }, 1200);
+    };
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+      navigator.clipboard.writeText(url).then(done, () => window.prompt('Copy this link:', url));
+    } else {
+      window.prompt('Copy this link:', url);
+    }
+  }
+
+  function createDrawer() {
+    let container = document.getElementById('detail-drawer');
+    if (!container) {
+      container = document.createElement('aside');
+      container.id = 'detail-drawer';
+      container.className = 'detail-drawer';
+      container.setAttribute('role', 'dialog');
+      container.setAttribute('aria-labelledby', 'detail-title');
+      container.setAttribute('aria-hidden', 'true');
+      container.innerHTML = `
+        <div class="detail-header">
+          <div class="detail-heading">
+            <h2 id="detail-title"></h2>
+            <div class="detail-subtitle"></div>
+          </div>
+          <button type="button" class="detail-copy">Copy link</button>
+          <button type="button" class="detail-close" aria-label="Close product details">&times;</button>
+        </div>
+        <div class="detail-body"></div>
+      `;
+      document.body.appendChild(container);
+    }
+    const parts = {
+      container,
+      title: container.querySelector('#detail-title'),
+      subtitle: container.querySelector('.detail-subtitle'),
+      body: container.querySelector('.detail-body'),
+      close: container.querySelector('.detail-close'),
+      copy: container.querySelector('.detail-copy'),
+    };
+    parts.close.addEventListener('click', close);
+    parts.copy.addEventListener('click', copyLink);
+    return parts;
+  }
+
+  /**
+   * Add a section to the drawer, shown below the sheet sizes. `render(record)`
+   * returns its content, or null to leave it out for that record.
+   */
+  function registerSection(title, render) {
+    extraSections.push({ title, render });
+    if (currentRecord && isOpen()) renderRecord(currentRecord);
+  }
+
+  window.ProductDetail = {
+    open,
+    close,
+    registerSection,
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init, { once: true });
+  } else {
+    init();
+  }
+})();
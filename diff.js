@@ -0,0 +1,333 @@
+/* diff.js
+   Snapshot diff: pick two loaded data sources (e.g. last month's scrape and
+   today's) as "before" and "after". Records are matched by type + code and the
+   viewer shows the after records plus the removed ones, each marked Added,
+   Removed, Changed or Unchanged. Changed cells keep the old value for a tooltip,
+   and a "Change" facet filters by status.
+   Requires Filters (filters.js), DataSources (sources.js) and Popover (popover.js);
+   load before viewer.js.
+   Usage:
+     SnapshotDiff.init({ toggleButton, onChange: (message) => rebuild(message) });
+     const records = SnapshotDiff.merge(DataSources.list());   // null when off
+     SnapshotDiff.statusOf(record);        // 'added' | 'removed' | 'changed' | 'unchanged' | ''
+     SnapshotDiff.change(record, 'name');  // { before } when that field changed, else null
+*/
+
+(function (global) {
+  const FACET_KEY = 'change';
+  const STATUS_LABELS = {
+    added: 'Added',
+    removed: 'Removed',
+    changed: 'Changed',
+    unchanged: 'Unchanged',
+  };
+
+  let _opts = {};
+  let _pair = null;             // { beforeId, afterId } while diffing
+  let _info = new WeakMap();    // record -> { status, changes: Map(field -> old value) }
+  let _counts = null;
+  let panel = null;
+  let popover = null;
+  let toggleButton = null;
+
+  global.Filters.registerFacet(FACET_KEY, {
+    label: 'Change',
+    values: (row) => {
+      const info = _info.get(row);
+      return info ? STATUS_LABELS[info.status] : null;
+    },
+    first: true,
+    open: true,
+    order: Object.values(STATUS_LABELS),
+  });
+
+  function init(opts) {
+    _opts = opts || {};
+    toggleButton = _opts.toggleButton || null;
+    if (!toggleButton) return;
+    popover = global.Popover.create({
+      button: toggleButton,
+      id: 'diff-panel',
+      className: 'diff-panel',
+      label: 'Compare two snapshots',
+      focus: 'select, button',
+      render: (el) => {
+        panel = el;
+        renderPanel();
+      },
+    });
+  }
+
+  function active() {
+    return !!_pair;
+  }
+
+  // --------- Matching ----------
+  function text(v) {
+    return v == null ? '' : String(v).trim();
+  }
+
+  function matchKey(record) {
+    return `${text(record.type)}::${text(record.code) || text(record.name)}`;
+  }
+
+  // key -> record; a code repeated within one snapshot is matched by occurrence
+  function indexRecords(records) {
+    const out = new Map();
+    const seen = new Map();
+    records.forEach((record) => {
+      const base = matchKey(record);
+      const n = (seen.get(base) || 0) + 1;
+      seen.set(base, n);
+      out.set(n > 1 ? `${base}#${n}` : base, record);
+    });
+    return out;
+  }
+
+  // Comparable form: empty values are equal, list order and object key order don't matter
+  function canonical(value) {
+    if (value == null || value === '') return '';
+    if (Array.isArray(value)) {
+      const items = value.map(canonical).filter((v) => v !== '');
+      return items.length ? `[${items.sort().join(',')}]` : '';
+    }
+    if (typeof value === 'object') {
+      const keys = Object.keys(value).sort();
+      const parts = keys.map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`);
+      return `{${parts.join(',')}}`;
+    }
+    if (typeof value === 'string') return JSON.stringify(value.trim());
+    return JSON.stringify(value);
+  }
+
+  function changedFields(before, after) {
+    const changes = new Map();
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach((key) => {
+      if (canonical(before[key]) !== canonical(after[key])) changes.set(key, before[key]);
+    });
+    return changes;
+  }
+
+  /**
+   * Records to show while diffing: every "after" record, then the removed ones.
+   * Returns null (and leaves diff mode) when not diffing or a side was unloaded.
+   */
+  function merge(sources) {
+    _info = new WeakMap();
+    _counts = null;
+    if (!_pair) return null;
+    const before = sources.find((s) => s.id === _pair.beforeId);
+    const after = sources.find((s) => s.id === _pair.afterId);
+    if (!before || !after) {
+      _pair = null;
+      updateToggle();
+      return null;
+    }
+
+    const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    const beforeIndex = indexRecords(before.records);
+    const afterIndex = indexRecords(after.records);
+    const out = [];
+    afterIndex.forEach((record, key) => {
+      const old = beforeIndex.get(key);
+      let info;
+      if (!old) info = { status: 'added', changes: new Map() };
+      else {
+        const changes = changedFields(old, record);
+        info = { status: changes.size ? 'changed' : 'unchanged', changes };
+      }
+      _info.set(record, info);
+      counts[info.status] += 1;
+      out.push(record);
+    });
+    beforeIndex.forEach((record, key) => {
+      if (afterIndex.has(key)) return;
+      _info.set(record, { status: 'removed', changes: new Map() });
+      counts.removed += 1;
+      out.push(record);
+    });
+    _counts = { ...counts, beforeLabel: before.label, afterLabel: after.label };
+    return out;
+  }
+
+  function statusOf(record) {
+    const info = record ? _info.get(record) : null;
+    return info ? info.status : '';
+  }
+
+  function statusLabel(record) {
+    return STATUS_LABELS[statusOf(record)] || '';
+  }
+
+  function change(record, key) {
+    const info = record ? _info.get(record) : null;
+    if (!info || !info.changes.has(key)) return null;
+    return { before: info.changes.get(key) };
+  }
+
+  function changedKeys(record) {
+    const info = record ? _info.get(record) : null;
+    return info ? Array.from(info.changes.keys()) : [];
+  }
+
+  /** Short text for an old value, for tooltips. */
+  function describe(value) {
+    if (value == null || value === '') return '(empty)';
+    if (Array.isArray(value)) {
+      const items = value.map((v) => describe(v)).filter((v) => v !== '(empty)');
+      return items.length ? items.join(', ') : '(empty)';
+    }
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'object') {
+      if ('code' in value || 'name' in value) return [value.code, value.name].map(text).filter(Boolean).join(' ');
+      if (value.width != null && value.height != null) {
+        const scale = global.Viewer && global.Viewer.formatScale(value);
+        return scale || `${value.width} x ${value.height}`;
+      }
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  function summaryText() {
+    if (!_counts) return '';
+    return Object.keys(STATUS_LABELS)
+      .map((status) => `${_counts[status]} ${STATUS_LABELS[status].toLowerCase()}`)
+      .join(', ');
+  }
+
+  /** "Diff a.json → b.json: 3 added, …" for the status line, '' when off. */
+  function summary() {
+    if (!_pair || !_counts) return '';
+    return `Diff ${_counts.beforeLabel} → ${_counts.afterLabel}: ${summaryText()}`;
+  }
+
+  // --------- Start / stop ----------
+  function notify(message) {
+    if (typeof _opts.onChange === 'function') _opts.onChange(message);
+  }
+
+  function start(beforeId, afterId) {
+    _pair = { beforeId, afterId };
+    updateToggle();
+    notify('');
+  }
+
+  function stop() {
+    if (!_pair) return;
+    _pair = null;
+    updateToggle();
+    // a Change selection would hide every row once the statuses are gone
+    const plain = global.Filters.serialize();
+    if (plain.facets[FACET_KEY]) {
+      delete plain.facets[FACET_KEY];
+      global.Filters.setState(plain);
+    }
+    notify('Diff off');
+  }
+
+  function updateToggle() {
+    if (!toggleButton) return;
+    toggleButton.setAttribute('aria-pressed', _pair ? 'true' : 'false');
+    document.body.classList.toggle('is-diff-mode', !!_pair);
+  }
+
+  // --------- Panel ----------
+  function closePanel() {
+    if (popover) popover.close();
+  }
+
+  function sourceSelect(name, sources, selectedId) {
+    const label = document.createElement('label');
+    label.className = 'diff-side';
+    const span = document.createElement('span');
+    span.textContent = name;
+    label.appendChild(span);
+    const select = document.createElement('select');
+    sources.forEach((s) => {
+      const option = new Option(`${s.label} (${s.records.length})`, String(s.id));
+      option.selected = s.id === selectedId;
+      select.appendChild(option);
+    });
+    label.appendChild(select);
+    return { label, select };
+  }
+
+  function renderPanel() {
+    panel.innerHTML = '';
+    const sources = global.DataSources.list();
+
+    const intro = document.createElement('p');
+    intro.className = 'diff-intro';
+    panel.appendChild(intro);
+
+    if (sources.length < 2) {
+      intro.textContent = 'Load two snapshots (pick or drop JSON files) to see what changed between them.';
+      return;
+    }
+    intro.textContent = 'Products are matched by type and code.';
+
+    // default: the newest source as "after", the newest earlier one of the same type as "before"
+    const newest = sources[sources.length - 1];
+    const earlier = sources.slice(0, -1).reverse();
+    const sameType = earlier.find((s) => s.type && s.type === newest.type) || earlier[0];
+    const beforeId = _pair ? _pair.beforeId : sameType.id;
+    const afterId = _pair ? _pair.afterId : newest.id;
+    const before = sourceSelect('Before', sources, beforeId);
+    const after = sourceSelect('After', sources, afterId);
+    panel.appendChild(before.label);
+    panel.appendChild(after.label);
+
+    const footer = document.createElement('div');
+    footer.className = 'diff-footer';
+    const summary = document.createElement('span');
+    summary.className = 'diff-summary';
+    summary.textContent = summaryText();
+    footer.appendChild(summary);
+
+    if (_pair) {
+      const off = document.createElement('button');
+      off.type = 'button';
+      off.textContent = 'Exit diff';
+      off.addEventListener('click', () => {
+        stop();
+        closePanel();
+      });
+      footer.appendChild(off);
+    }
+    const go = document.createElement('button');
+    go.type = 'button';
+    go.className = 'diff-go';
+    go.textContent = _pair ? 'Update' : 'Show diff';
+    const validate = () => {
+      go.disabled = before.select.value === after.select.value;
+    };
+    before.select.addEventListener('change', validate);
+    after.select.addEventListener('change', validate);
+    validate();
+    go.addEventListener('click', () => {
+      start(Number(before.select.value), Number(after.select.value));
+      renderPanel();
+    });
+    footer.appendChild(go);
+    panel.appendChild(footer);
+  }
+
+  const SnapshotDiff = {
+    FACET_KEY,
+    init,
+    active,
+    merge,
+    statusOf,
+    statusLabel,
+    change,
+    changedKeys,
+    describe,
+    summary,
+    start,
+    stop,
+  };
+
+  global.SnapshotDiff = SnapshotDiff;
+})(window);
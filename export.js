@@ -0,0 +1,429 @@
+/* export.js
+   Export menu: writes the rows currently shown in the viewer (Viewer.visible(),
+   in their on-screen order) to CSV, an .xlsx workbook or JSON. Everything is
+   generated in the browser; nothing is sent anywhere.
+   Columns default to the current column layout and can be picked per export.
+   CSV and Excel sizes follow the imperial / metric toggle; JSON keeps the stored values.
+   Requires viewer.js (window.Viewer) and Popover (popover.js) to be loaded before this file.
+*/
+
+(function () {
+  const FORMATS = {
+    csv: { label: 'CSV', ext: 'csv', mime: 'text/csv;charset=utf-8' },
+    xlsx: { label: 'Excel (.xlsx)', ext: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { label: 'JSON', ext: 'json', mime: 'application/json' },
+  };
+  const LIST_SEPARATOR = '; ';
+
+  let panel = null;
+  let popover = null;
+  let toggleButton = null;
+  let format = 'csv';
+  let pickedKeys = null; // null -> follow the column layout
+
+  function init() {
+    if (!window.Viewer) return;
+    toggleButton = document.getElementById('export-toggle');
+    if (!toggleButton) return;
+    popover = window.Popover.create({
+      button: toggleButton,
+      id: 'export-panel',
+      className: 'export-panel',
+      label: 'Export',
+      focus: 'input',
+      render: (el) => {
+        panel = el;
+        renderPanel();
+      },
+    });
+  }
+
+  // --------- Values ----------
+  function finishLabel(entry) {
+    if (!entry || typeof entry !== 'object') return entry == null ? '' : String(entry);
+    return [entry.code, entry.name].map((v) => (v == null ? '' : String(v).trim())).filter(Boolean).join(' ');
+  }
+
+  /** Flat text for one cell: lists are joined, finishes read "#60 Matte", sizes are in the shown units. */
+  function cellText(row, key) {
+    const value = window.Viewer.fieldValue(row, key);
+    if (value == null) return '';
+    if (key === 'finish') return (Array.isArray(value) ? value : [value]).map(finishLabel).filter(Boolean).join(LIST_SEPARATOR);
+    if (key === 'texture_scale' || key === 'no_repeat_texture_scale') return window.Viewer.formatScale(value) || '';
+    if (key === 'sheet_sizes') {
+      return (Array.isArray(value) ? value : [value]).map((v) => window.Units.formatSheet(v)).filter(Boolean).join(LIST_SEPARATOR);
+    }
+    if (key === 'texture_image_pixels' && typeof value === 'object') {
+      return value.width != null && value.height != null ? `${value.width} x ${value.height}` : '';
+    }
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) {
+      return value
+        .map((v) => (v && typeof v === 'object' ? JSON.stringify(v) : (v == null ? '' : String(v).trim())))
+        .filter(Boolean)
+        .join(LIST_SEPARATOR);
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  function selectedColumns() {
+    const all = window.Viewer.columns();
+    if (!pickedKeys) return window.Viewer.layoutColumns();
+    const byKey = new Map(all.map((c) => [c.key, c]));
+    return pickedKeys.filter((k) => byKey.has(k)).map((k) => byKey.get(k));
+  }
+
+  // --------- CSV ----------
+  // Spreadsheet apps run a CSV cell that starts with one of these as a formula;
+  // tags and notes are free text, possibly from someone else's overlay. (XLSX
+  // cells are written as inline strings, which are never evaluated.)
+  const FORMULA_START = /^[=+\-@\t\r]/;
+
+  function spreadsheetText(text) {
+    const str = String(text);
+    return FORMULA_START.test(str) ? `'${str}` : str;
+  }
+
+  function csvEscape(text) {
+    const str = spreadsheetText(text);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function toCsv(rows, columns) {
+    const lines = [columns.map((c) => csvEscape(c.label)).join(',')];
+    rows.forEach((row) => {
+      lines.push(columns.map((c) => csvEscape(cellText(row, c.key))).join(','));
+    });
+    // BOM so Excel opens it as UTF-8
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  // --------- JSON ----------
+  function toJson(rows, columns) {
+    const out = rows.map((row) => {
+      const obj = {};
+      columns.forEach((c) => {
+        const value = window.Viewer.fieldValue(row, c.key);
+        if (value !== undefined) obj[c.key] = value;
+      });
+      return obj;
+    });
+    return `${JSON.stringify(out, null, 2)}\n`;
+  }
+
+  // --------- XLSX ----------
+  function xmlEscape(text) {
+    return String(text)
+      // characters XML 1.0 cannot carry at all
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function columnName(index) {
+    let n = index + 1;
+    let name = '';
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      name = String.fromCharCode(65 + rem) + name;
+      n = Math.floor((n - 1) / 26);
+    }
+    return name;
+  }
+
+  function sheetCell(ref, text, style) {
+    const s = style ? ` s="${style}"` : '';
+    if (text === '') return `<c r="${ref}"${s}/>`;
+    return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+  }
+
+  function toXlsx(rows, columns) {
+    const widths = columns.map((c) => Math.min(60, Math.max(8, String(c.label).length + 2)));
+    const sheetRows = [];
+    sheetRows.push(`<row r="1">${columns.map((c, i) => sheetCell(`${columnName(i)}1`, c.label, 1)).join('')}</row>`);
+    rows.forEach((row, r) => {
+      const rowNum = r + 2;
+      const cells = columns.map((c, i) => {
+        const text = cellText(row, c.key);
+        if (text.length + 2 > widths[i]) widths[i] = Math.min(60, text.length + 2);
+        return sheetCell(`${columnName(i)}${rowNum}`, text, 0);
+      });
+      sheetRows.push(`<row r="${rowNum}">${cells.join('')}</row>`);
+    });
+    const cols = widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('');
+
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      + `<cols>${cols}</cols>`
+      + `<sheetData>${sheetRows.join('')}</sheetData>`
+      + '</worksheet>';
+
+    const files = [
+      {
+        name: '[Content_Types].xml',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+          + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+          + '<Default Extension="xml" ContentType="application/xml"/>'
+          + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+          + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+          + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+          + '</Types>',
+      },
+      {
+        name: '_rels/.rels',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+          + '</Relationships>',
+      },
+      {
+        name: 'xl/workbook.xml',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+          + '<sheets><sheet name="Laminates" sheetId="1" r:id="rId1"/></sheets>'
+          + '</workbook>',
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+          + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+          + '</Relationships>',
+      },
+      {
+        name: 'xl/styles.xml',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+          + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+          + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+          + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+          + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+          + '<cellXfs count="2">'
+          + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf>'
+          + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+          + '</cellXfs>'
+          + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+          + '</styleSheet>',
+      },
+      { name: 'xl/worksheets/sheet1.xml', data: sheet },
+    ];
+    return zipStore(files);
+  }
+
+  // --------- ZIP (stored, no compression) ----------
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i += 1) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function zipStore(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    files.forEach((file) => {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);        // version needed
+      local.setUint16(6, 0x0800, true);    // UTF-8 names
+      local.setUint16(8, 0, true);         // stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(new Uint8Array(local.buffer), name, data);
+
+      const dir = new DataView(new ArrayBuffer(46));
+      dir.setUint32(0, 0x02014b50, true);
+      dir.setUint16(4, 20, true);          // version made by
+      dir.setUint16(6, 20, true);
+      dir.setUint16(8, 0x0800, true);
+      dir.setUint16(10, 0, true);
+      dir.setUint16(12, dosTime, true);
+      dir.setUint16(14, dosDate, true);
+      dir.setUint32(16, crc, true);
+      dir.setUint32(20, data.length, true);
+      dir.setUint32(24, data.length, true);
+      dir.setUint16(28, name.length, true);
+      dir.setUint32(42, offset, true);
+      central.push(new Uint8Array(dir.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)]);
+  }
+
+  // --------- Download ----------
+  function fileName(ext) {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `wilsonart-laminates-${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}.${ext}`;
+  }
+
+  /** Save a Blob as a file through a temporary download link (used by boards, tags and match too). */
+  function download(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function runExport() {
+    const rows = window.Viewer.visible() || [];
+    const columns = selectedColumns();
+    if (!columns.length) return;
+    const spec = FORMATS[format];
+    let blob;
+    if (format === 'xlsx') blob = toXlsx(rows, columns);
+    else if (format === 'json') blob = new Blob([toJson(rows, columns)], { type: spec.mime });
+    else blob = new Blob([toCsv(rows, columns)], { type: spec.mime });
+    download(blob, fileName(spec.ext));
+    closePanel();
+  }
+
+  // --------- Panel ----------
+  function closePanel() {
+    if (popover) popover.close();
+  }
+
+  function renderPanel() {
+    panel.innerHTML = '';
+    const rows = window.Viewer.visible() || [];
+
+    const formats = document.createElement('fieldset');
+    formats.className = 'export-formats';
+    const legend = document.createElement('legend');
+    legend.textContent = 'Format';
+    formats.appendChild(legend);
+    Object.keys(FORMATS).forEach((key) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'export-format';
+      input.value = key;
+      input.checked = key === format;
+      input.addEventListener('change', () => { format = key; });
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${FORMATS[key].label}`));
+      formats.appendChild(label);
+    });
+    panel.appendChild(formats);
+
+    const colsWrap = document.createElement('fieldset');
+    colsWrap.className = 'export-columns';
+    const colsLegend = document.createElement('legend');
+    colsLegend.textContent = 'Columns';
+    colsWrap.appendChild(colsLegend);
+
+    const useLayout = document.createElement('button');
+    useLayout.type = 'button';
+    useLayout.textContent = 'Match column layout';
+    useLayout.addEventListener('click', () => {
+      pickedKeys = null;
+      renderPanel();
+    });
+    colsWrap.appendChild(useLayout);
+
+    const current = new Set(selectedColumns().map((c) => c.key));
+    // layout order first, then the columns the layout hides
+    const layoutKeys = window.Viewer.layoutColumns().map((c) => c.key);
+    const all = window.Viewer.columns();
+    const ordered = [
+      ...layoutKeys.map((k) => all.find((c) => c.key === k)).filter(Boolean),
+      ...all.filter((c) => !layoutKeys.includes(c.key)),
+    ];
+    const list = document.createElement('div');
+    list.className = 'export-column-list';
+    ordered.forEach((col) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = current.has(col.key);
+      input.addEventListener('change', () => {
+        const keys = new Set(selectedColumns().map((c) => c.key));
+        if (input.checked) keys.add(col.key);
+        else keys.delete(col.key);
+        pickedKeys = ordered.map((c) => c.key).filter((k) => keys.has(k));
+        updateSummary();
+      });
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${col.label}`));
+      list.appendChild(label);
+    });
+    colsWrap.appendChild(list);
+    panel.appendChild(colsWrap);
+
+    const footer = document.createElement('div');
+    footer.className = 'export-footer';
+    const summary = document.createElement('span');
+    summary.className = 'export-summary';
+    footer.appendChild(summary);
+    const go = document.createElement('button');
+    go.type = 'button';
+    go.className = 'export-download';
+    go.textContent = 'Download';
+    go.addEventListener('click', runExport);
+    footer.appendChild(go);
+    panel.appendChild(footer);
+
+    function updateSummary() {
+      const count = selectedColumns().length;
+      summary.textContent = `${rows.length} rows × ${count} columns`;
+      go.disabled = !count || !rows.length;
+    }
+    updateSummary();
+  }
+
+  window.LaminateExport = {
+    download,
+    cellText,
+    toCsv,
+    toJson,
+    toXlsx,
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init, { once: true });
+  } else {
+    init();
+  }
+})();
@@ -5,14 +5,32 @@
        data,                 // array of records
        containerId: 'filters',
        queryInput: document.getElementById('q'),
+       initialState: saved,  // optional, from Filters.serialize(); applied before the first onChange
        onChange: (state) => {
          renderTable(Filters.apply(data));
        }
      });
+     const saved = Filters.serialize();  // JSON-safe copy of the current selections
+
+   Other modules can add facets before init (values(row) returns the row's values):
+     Filters.registerFacet('change', { label: 'Change', values: (row) => [...], first: true });
+   and extra text for the search box to match (a string or an array of strings):
+     Filters.registerSearchText((row) => [...]);
+   and min / max ranges over sizes (values(row) returns [{ width, height }]; a row
+   matches when one of its sizes is inside every bound that is set):
+     Filters.registerRange('sheet_sizes', {
+       label: 'Sheet size',
+       dimensions: [{ key: 'width', label: 'Width' }, { key: 'height', label: 'Length' }],
+       values: (row) => [...],
+       parse: (text) => number,   // NaN when unreadable
+       format: (n) => text,
+     });
+   Bounds are kept as numbers under "<key>.<dimension>" (e.g. "sheet_sizes.width").
 */
 
 (function (global) {
   const FACET_KEYS = [
+    'type',
     'surface-group',
     'design_groups',
     'color',
@@ -23,10 +41,24 @@
     'finish',
     'finish_code',
     'design_collections',
+    'design_tfl_collection',
     'specialty_features',
     'performance_enhancements',
     'no_repeat',
   ];
+  const COUNTS_BY_TYPE_KEY = 'wilsonart-viewer:facet-counts-by-type';
+
+  // Type-specific facets: only records of these types count towards them.
+  const FACET_TYPES = {
+    design_tfl_collection: ['TFL'],
+  };
+  // Facets added with Filters.registerFacet: { key, label, values(row), first, open, order, types }
+  const _customFacets = [];
+  // Functions added with Filters.registerSearchText: (row) -> string or string[]
+  const _searchTexts = [];
+  // Ranges added with Filters.registerRange: { key, label, dimensions, values(row), parse, format }
+  const _ranges = [];
+  const RANGE_SLACK = 1e-6; // parsed bounds are rounded (66.04 cm -> 26")
 
     const COLOR_SWATCH_MAP = {
   aqua: '#34d3eb',
@@ -56,22 +88,77 @@
   yellow: '#facc15',
   };
 
+  function readCountsByType() {
+    try {
+      return global.localStorage.getItem(COUNTS_BY_TYPE_KEY) === '1';
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function saveCountsByType() {
+    try {
+      global.localStorage.setItem(COUNTS_BY_TYPE_KEY, _countsByType ? '1' : '0');
+    } catch (err) {
+      // storage unavailable; the choice lasts for this page only
+    }
+  }
+
   function resolveColorSwatch(value) {
     if (!value) return '#94a3b8';
     const key = String(value).trim().toLowerCase();
     return COLOR_SWATCH_MAP[key] || '#94a3b8';
   }
 
+  // built-in facet keys plus registered ones, in sidebar order
+  function facetKeyList() {
+    return [
+      ..._customFacets.filter((f) => f.first).map((f) => f.key),
+      ...FACET_KEYS,
+      ..._customFacets.filter((f) => !f.first).map((f) => f.key),
+    ];
+  }
+
+  // "<range key>.<dimension key>" for every registered range dimension
+  function rangeKeyList() {
+    const keys = [];
+    _ranges.forEach((range) => range.dimensions.forEach((dim) => keys.push(`${range.key}.${dim.key}`)));
+    return keys;
+  }
+
+  function readBound(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // { key: [min, max] } with only the known keys that have a bound
+  function readRanges(source) {
+    const out = Object.create(null);
+    if (!source || typeof source !== 'object') return out;
+    const keys = rangeKeyList();
+    for (let i = 0; i < keys.length; i += 1) {
+      const pair = source[keys[i]];
+      if (!Array.isArray(pair)) continue;
+      const min = readBound(pair[0]);
+      const max = readBound(pair[1]);
+      if (min !== null || max !== null) out[keys[i]] = [min, max];
+    }
+    return out;
+  }
+
   function createDefaultState() {
     const facets = Object.create(null);
-    for (let i = 0; i < FACET_KEYS.length; i += 1) {
-      facets[FACET_KEYS[i]] = new Set();
+    const keys = facetKeyList();
+    for (let i = 0; i < keys.length; i += 1) {
+      facets[keys[i]] = new Set();
     }
     return {
       query: '',
       withImageOnly: false,
       withoutImageOnly: false,
       facets,
+      ranges: Object.create(null),
     };
   }
 
@@ -83,8 +170,9 @@
       state.withoutImageOnly = false;
     }
     const freshFacets = Object.create(null);
-    for (let i = 0; i < FACET_KEYS.length; i += 1) {
-      const key = FACET_KEYS[i];
+    const keys = facetKeyList();
+    for (let i = 0; i < keys.length; i += 1) {
+      const key = keys[i];
       const source = nextState.facets[key];
       if (source instanceof Set) {
         freshFacets[key] = new Set(source);
@@ -99,6 +187,44 @@
       }
     }
     state.facets = freshFacets;
+    state.ranges = readRanges(nextState.ranges);
+  }
+
+  // Plain object (arrays instead of Sets) -> state shape accepted by applyState
+  function stateFromPlain(plain) {
+    const next = createDefaultState();
+    if (!plain || typeof plain !== 'object') return next;
+    next.query = typeof plain.query === 'string' ? plain.query : '';
+    next.withImageOnly = !!plain.withImageOnly;
+    next.withoutImageOnly = !!plain.withoutImageOnly;
+    const facets = plain.facets && typeof plain.facets === 'object' ? plain.facets : {};
+    const keys = facetKeyList();
+    for (let i = 0; i < keys.length; i += 1) {
+      const key = keys[i];
+      const values = Array.isArray(facets[key]) ? facets[key] : [];
+      next.facets[key] = new Set(values.map((v) => String(v)));
+    }
+    next.ranges = readRanges(plain.ranges);
+    return next;
+  }
+
+  function stateToPlain() {
+    const facets = {};
+    const keys = facetKeyList();
+    for (let i = 0; i < keys.length; i += 1) {
+      const key = keys[i];
+      const set = state.facets[key];
+      if (set && set.size) facets[key] = Array.from(set);
+    }
+    const ranges = {};
+    Object.keys(state.ranges).forEach((key) => { ranges[key] = state.ranges[key].slice(); });
+    return {
+      query: state.query || '',
+      withImageOnly: !!state.withImageOnly,
+      withoutImageOnly: !!state.withoutImageOnly,
+      facets,
+      ranges,
+    };
   }
 
   function resetFacetMeta(newMeta) {
@@ -113,8 +239,11 @@
   const facetMeta = {}; // { facetKey: {label, values: Map(value -> count)} }
 
   let _opts = {};
+  let _boundQueryInput = null;
   let _debTimer = null;
   let _hideImageToggles = false;
+  let _countsByType = readCountsByType(); // show facet counts split by record type
+  let _rangesWithData = new Set(); // registered range keys some record has a value for
 
   function debounce(fn, ms = 160) {
     clearTimeout(_debTimer);
@@ -157,9 +286,22 @@
     return out;
   }
 
-  // Build facet value maps (value -> count) from data
+  function facetApplies(facetKey, record) {
+    const custom = _customFacets.find((f) => f.key === facetKey);
+    const types = custom ? custom.types : FACET_TYPES[facetKey];
+    return !types || types.includes(record && record.type);
+  }
+
+  // trimmed, de-duplicated values of a registered facet for one record
+  function customFacetValues(facet, record) {
+    return collectFacetValues({ value: facet.values(record) }, ['value']);
+  }
+
+  // Build facet value maps (value -> count) from data, plus a per-type
+  // breakdown (value -> Map(type -> count)) for each facet
   function buildFacets(data) {
     const m = {
+      type: { label: 'Type', values: new Map() },
       'surface-group': { label: 'Surface', values: new Map() },
       design_groups: { label: 'Design Groups', values: new Map() },
       color: { label: 'Color', values: new Map() },
@@ -170,17 +312,27 @@
       finish: { label: 'Finish', values: new Map() },        // finish[].name
       finish_code: { label: 'Finish Code', values: new Map() }, // finish[].code
       design_collections: { label: 'Collections', values: new Map() },
+      design_tfl_collection: { label: 'TFL Collection', values: new Map() },
       specialty_features: { label: 'Specialty Features', values: new Map() },
       performance_enhancements: { label: 'Performance Enhancements', values: new Map() },
       no_repeat: { label: 'No Repeat', values: new Map() },  // "Yes"/"No"
     };
 
+    const byType = new Map(); // values map -> Map(value -> Map(type -> count))
+    let rowType = '';
     const bump = (map, key) => {
       if (!key && key !== false) return;
       map.set(key, (map.get(key) || 0) + 1);
+      if (!byType.has(map)) byType.set(map, new Map());
+      const perValue = byType.get(map);
+      if (!perValue.has(key)) perValue.set(key, new Map());
+      const perType = perValue.get(key);
+      perType.set(rowType, (perType.get(rowType) || 0) + 1);
     };
 
     for (const r of data) {
+      rowType = r && typeof r.type === 'string' ? r.type : '';
+      bump(m.type.values, r.type);
       bump(m['surface-group'].values, r['surface-group']);
 
       for (const v of collectFacetValues(r, ['design_groups'])) bump(m.design_groups.values, v);
@@ -190,6 +342,9 @@
       for (const v of collectFacetValues(r, ['match'])) bump(m.match.values, v);
       for (const v of collectFacetValues(r, ['shade'])) bump(m.shade.values, v);
       for (const v of collectFacetValues(r, ['design_collections'])) bump(m.design_collections.values, v);
+      if (facetApplies('design_tfl_collection', r)) {
+        for (const v of collectFacetValues(r, ['design_tfl_collection'])) bump(m.design_tfl_collection.values, v);
+      }
       for (const v of collectFacetValues(r, ['specialty_features', 'specality_features'])) bump(m.specialty_features.values, v);
       for (const v of collectFacetValues(r, ['performance_enhancements', 'performace_enchancments'])) bump(m.performance_enhancements.values, v);
 
@@ -205,14 +360,34 @@
       if (yn) bump(m.no_repeat.values, yn);
     }
 
-    // sort facet values alpha
-    for (const k of Object.keys(m)) {
-      const sorted = [...m[k].values.entries()].sort((a, b) =>
-        String(a[0]).localeCompare(String(b[0]), undefined, { sensitivity: 'base' })
+    const custom = {};
+    for (const facet of _customFacets) {
+      const values = new Map();
+      for (const r of data) {
+        if (!facetApplies(facet.key, r)) continue;
+        rowType = r && typeof r.type === 'string' ? r.type : '';
+        for (const v of customFacetValues(facet, r)) bump(values, v);
+      }
+      custom[facet.key] = { label: facet.label, values };
+    }
+
+    // sort facet values alpha (registered facets may give their own order)
+    const byKey = { ...m, ...custom };
+    const out = {};
+    for (const k of facetKeyList()) {
+      if (!byKey[k]) continue;
+      const facet = _customFacets.find((f) => f.key === k);
+      const order = facet && Array.isArray(facet.order) ? facet.order : null;
+      const rank = (v) => {
+        const i = order ? order.indexOf(v) : -1;
+        return i < 0 ? Infinity : i;
+      };
+      const sorted = [...byKey[k].values.entries()].sort((a, b) =>
+        (rank(a[0]) - rank(b[0])) || String(a[0]).localeCompare(String(b[0]), undefined, { sensitivity: 'base' })
       );
-      m[k].values = new Map(sorted);
+      out[k] = { label: byKey[k].label, values: new Map(sorted), byType: byType.get(byKey[k].values) || new Map() };
     }
-    return m;
+    return out;
   }
 
   // Build UI
@@ -268,6 +443,25 @@
       });
     }
 
+    // Count breakdown by type, once more than one type is loaded
+    const typeCount = facetMeta.type ? facetMeta.type.values.size : 0;
+    if (typeCount > 1) {
+      const typeBar = document.createElement('label');
+      typeBar.className = 'filters-toggle filters-counts-by-type';
+      typeBar.innerHTML = `
+        <input type="checkbox" id="filter-counts-by-type">
+        <span>Counts by type</span>
+      `;
+      const typeInput = typeBar.querySelector('input');
+      typeInput.checked = _countsByType;
+      typeInput.addEventListener('change', () => {
+        _countsByType = !!typeInput.checked;
+        saveCountsByType();
+        renderUI();
+      });
+      root.appendChild(typeBar);
+    }
+
     // Facet groups
     const groupsWrap = document.createElement('div');
     groupsWrap.className = 'filters-groups';
@@ -276,7 +470,8 @@
     for (const [facetKey, meta] of Object.entries(facetMeta)) {
       if (!meta.values.size) continue;
       const section = document.createElement('details');
-      section.open = ['design_groups', 'color', 'finish'].includes(facetKey); // expand a few by default
+      const custom = _customFacets.find((f) => f.key === facetKey);
+      section.open = custom ? !!custom.open : ['type', 'design_groups', 'color', 'finish'].includes(facetKey); // expand a few by default
       section.className = 'facet';
 
       const sum = document.createElement('summary');
@@ -288,13 +483,15 @@
       if (facetKey === 'color') list.classList.add('facet-body-color');
       for (const [val, count] of meta.values.entries()) {
         const valueStr = String(val);
+        const split = facetKey === 'type' || typeCount < 2 ? '' : typeBreakdown(meta.byType.get(val));
+        const countText = _countsByType && split ? `(${split})` : `(${count})`;
         const id = `facet_${facetKey}_${valueStr.replace(/[^a-z0-9]+/gi, '_')}_${count}`;
         const row = document.createElement('label');
         let input = null;
 
         if (facetKey === 'color') {
           row.className = 'color-swatch';
-          row.setAttribute('title', `${valueStr} (${count})`);
+          row.setAttribute('title', `${valueStr} (${split || count})`);
 
           input = document.createElement('input');
           input.type = 'checkbox';
@@ -318,18 +515,31 @@
 
           const countEl = document.createElement('span');
           countEl.className = 'facet-count';
-          countEl.textContent = `(${count})`;
+          countEl.textContent = countText;
           metaWrap.appendChild(countEl);
 
           row.appendChild(metaWrap);
         } else {
           row.className = 'facet-row';
-          row.innerHTML = `
-            <input type="checkbox" id="${id}" data-facet="${facetKey}" data-value="${valueStr}">
-            <span class="facet-val">${valueStr}</span>
-            <span class="facet-count">(${count})</span>
-          `;
-          input = row.querySelector('input');
+
+          input = document.createElement('input');
+          input.type = 'checkbox';
+          input.id = id;
+          input.setAttribute('data-facet', facetKey);
+          input.setAttribute('data-value', valueStr);
+          row.appendChild(input);
+
+          const valEl = document.createElement('span');
+          valEl.className = 'facet-val';
+          valEl.textContent = valueStr;
+          row.appendChild(valEl);
+
+          const countEl = document.createElement('span');
+          countEl.className = 'facet-count';
+          countEl.textContent = countText;
+          row.appendChild(countEl);
+
+          if (split) row.title = split;
         }
 
         if (!input) continue;
@@ -355,18 +565,91 @@
       groupsWrap.appendChild(section);
     }
 
-    // Wire search input if provided
+    for (const range of _ranges) {
+      if (_rangesWithData.has(range.key)) groupsWrap.appendChild(renderRange(range));
+    }
+
+    // Wire search input if provided (once: init runs again whenever the data changes)
     if (_opts.queryInput) {
       _opts.queryInput.value = state.query;
-      _opts.queryInput.addEventListener('input', () =>
-        debounce(() => {
-          state.query = _opts.queryInput.value || '';
-          triggerChange();
-        }, 120)
-      );
+      if (_boundQueryInput !== _opts.queryInput) {
+        _boundQueryInput = _opts.queryInput;
+        _boundQueryInput.addEventListener('input', (e) =>
+          debounce(() => {
+            state.query = e.target.value || '';
+            triggerChange();
+          }, 120)
+        );
+      }
     }
   }
 
+  // One section per range: a min and a max input for each dimension, shown in
+  // whatever the range's format() gives and read back with its parse().
+  function renderRange(range) {
+    const section = document.createElement('details');
+    section.className = 'facet facet-range';
+    const sum = document.createElement('summary');
+    sum.textContent = range.label;
+    section.appendChild(sum);
+
+    const body = document.createElement('div');
+    body.className = 'facet-body';
+    range.dimensions.forEach((dim) => {
+      const stateKey = `${range.key}.${dim.key}`;
+      const bounds = state.ranges[stateKey] || [null, null];
+      if (bounds[0] !== null || bounds[1] !== null) section.open = true;
+
+      const row = document.createElement('div');
+      row.className = 'range-row';
+      const name = document.createElement('span');
+      name.className = 'range-label';
+      name.textContent = dim.label;
+      row.appendChild(name);
+
+      ['min', 'max'].forEach((end, index) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'range-input';
+        input.placeholder = end;
+        input.setAttribute('aria-label', `${range.label} ${dim.label.toLowerCase()} ${index ? 'maximum' : 'minimum'}`);
+        input.value = bounds[index] === null ? '' : range.format(bounds[index]);
+        input.addEventListener('change', () => {
+          const text = input.value.trim();
+          const value = text ? range.parse(text) : null;
+          const invalid = value !== null && !(value >= 0);
+          input.classList.toggle('is-invalid', invalid);
+          if (invalid) return;
+          const next = (state.ranges[stateKey] || [null, null]).slice();
+          next[index] = value;
+          if (next[0] === null && next[1] === null) delete state.ranges[stateKey];
+          else state.ranges[stateKey] = next;
+          input.value = value === null ? '' : range.format(value);
+          triggerChange();
+        });
+        if (index) {
+          const dash = document.createElement('span');
+          dash.className = 'range-dash';
+          dash.textContent = '–';
+          row.appendChild(dash);
+        }
+        row.appendChild(input);
+      });
+      body.appendChild(row);
+    });
+    section.appendChild(body);
+    return section;
+  }
+
+  // "40 HPL · 4 TFL" (untyped records count as "other")
+  function typeBreakdown(perType) {
+    if (!perType || !perType.size) return '';
+    return Array.from(perType.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, n]) => `${n} ${type || 'other'}`)
+      .join(' · ');
+  }
+
   // Core matcher for a row against current selections
   function matchesFacets(row) {
     // each facet: if selections exist, row must match at least one
@@ -380,6 +663,7 @@
       return false;
     };
 
+    const matchesType    = mustMatch('type', r => arrify(r.type));
     const matchesSurface = mustMatch('surface-group', r => arrify(r['surface-group']));
     const matchesDG      = mustMatch('design_groups', r => arrify(r.design_groups));
     const matchesColor   = mustMatch('color', r => collectFacetValues(r, ['colors', 'color']));
@@ -407,21 +691,47 @@
       return values;
     });
     const matchesColl    = mustMatch('design_collections', r => collectFacetValues(r, ['design_collections']));
+    const matchesTflColl = mustMatch('design_tfl_collection', r => collectFacetValues(r, ['design_tfl_collection']));
     const matchesSpecFeat = mustMatch('specialty_features', r => collectFacetValues(r, ['specialty_features', 'specality_features']));
     const matchesPerf    = mustMatch('performance_enhancements', r => collectFacetValues(r, ['performance_enhancements', 'performace_enchancments']));
     const matchesNR      = mustMatch('no_repeat', r => [r.no_repeat === true ? 'Yes' : (r.no_repeat === false ? 'No' : '')].filter(Boolean));
 
+    for (let i = 0; i < _customFacets.length; i += 1) {
+      const facet = _customFacets[i];
+      if (!mustMatch(facet.key, (r) => customFacetValues(facet, r))) return false;
+    }
+
+    if (!matchesRanges(row)) return false;
+
     const hasImage = !!row.texture_image_url;
     let imageToggleOk = true;
     if (state.withImageOnly) imageToggleOk = hasImage;
     else if (state.withoutImageOnly) imageToggleOk = !hasImage;
 
-    return matchesSurface && matchesDG && matchesColor && matchesSpecies &&
+    return matchesType && matchesSurface && matchesDG && matchesColor && matchesSpecies &&
            matchesCut && matchesMatch && matchesShade &&
-           matchesFinish && matchesFCode && matchesColl &&
+           matchesFinish && matchesFCode && matchesColl && matchesTflColl &&
            matchesSpecFeat && matchesPerf && matchesNR && imageToggleOk;
   }
 
+  // Each range with a bound set: one of the row's sizes has to be inside all of them
+  function matchesRanges(row) {
+    for (let i = 0; i < _ranges.length; i += 1) {
+      const range = _ranges[i];
+      const bounds = range.dimensions
+        .map((dim) => ({ dim: dim.key, bounds: state.ranges[`${range.key}.${dim.key}`] }))
+        .filter((b) => b.bounds);
+      if (!bounds.length) continue;
+      const sizes = arrify(range.values(row));
+      const inside = sizes.some((size) => size && bounds.every(({ dim, bounds: [min, max] }) => {
+        const n = Number(size[dim]);
+        return Number.isFinite(n) && (min === null || n >= min - RANGE_SLACK) && (max === null || n <= max + RANGE_SLACK);
+      }));
+      if (!inside) return false;
+    }
+    return true;
+  }
+
   // Search across common text fields
   function matchesQuery(row) {
     const q = (state.query || '').trim().toLowerCase();
@@ -446,6 +756,7 @@
       collectFacetValues(row, ['colors', 'color']),
       collectFacetValues(row, ['shade']),
       collectFacetValues(row, ['design_collections']),
+      collectFacetValues(row, ['design_tfl_collection']),
       collectFacetValues(row, ['performance_enhancements', 'performace_enchancments']),
       collectFacetValues(row, ['specialty_features', 'specality_features']),
       collectFacetValues(row, ['species']),
@@ -469,6 +780,14 @@
       }
     }
 
+    for (let i = 0; i < _searchTexts.length; i += 1) {
+      const extra = _searchTexts[i](row);
+      const list = Array.isArray(extra) ? extra : [extra];
+      for (let j = 0; j < list.length; j += 1) {
+        if (list[j]) haystack.push(list[j]);
+      }
+    }
+
     for (let i = 0; i < haystack.length; i += 1) {
       const needle = String(haystack[i]).toLowerCase();
       if (needle.includes(q)) return true;
@@ -480,7 +799,7 @@
   const Filters = {
     init(opts) {
       _opts = opts || {};
-      applyState(createDefaultState());
+      applyState(_opts.initialState ? stateFromPlain(_opts.initialState) : createDefaultState());
       const sourceData = Array.isArray(_opts.data) ? _opts.data : [];
       _hideImageToggles = sourceData.length > 0 && sourceData.every((record) => !!(record && record.texture_image_url));
       if (_hideImageToggles) {
@@ -488,6 +807,9 @@
         state.withoutImageOnly = false;
       }
       resetFacetMeta(buildFacets(sourceData));
+      _rangesWithData = new Set(_ranges
+        .filter((range) => sourceData.some((r) => arrify(range.values(r)).length > 0))
+        .map((range) => range.key));
       renderUI();
       triggerChange();
       return this;
@@ -497,6 +819,64 @@
       return source.filter(r => matchesFacets(r) && matchesQuery(r));
     },
     selections() { return state; },
+    facetKeys() { return facetKeyList(); },
+    rangeKeys() { return rangeKeyList(); },
+    /**
+     * Add a facet computed from each row. Call before init (and before the URL
+     * state reads facet keys). opts: { label, values(row) -> value(s), first, open, order,
+     * types } where `types` limits the facet to records of those types.
+     */
+    registerFacet(key, opts = {}) {
+      const facet = {
+        key,
+        label: opts.label || key,
+        values: typeof opts.values === 'function' ? opts.values : (row) => row[key],
+        first: !!opts.first,
+        open: !!opts.open,
+        order: opts.order || null,
+        types: Array.isArray(opts.types) ? opts.types : null,
+      };
+      const existing = _customFacets.findIndex((f) => f.key === key);
+      if (existing >= 0) _customFacets.splice(existing, 1, facet);
+      else _customFacets.push(facet);
+      if (!state.facets[key]) state.facets[key] = new Set();
+      return this;
+    },
+    /** Extra text the search box matches for each row (e.g. the user's own tags). */
+    registerSearchText(fn) {
+      if (typeof fn === 'function' && !_searchTexts.includes(fn)) _searchTexts.push(fn);
+      return this;
+    },
+    /**
+     * Add min / max inputs over sizes. Call before init, like registerFacet.
+     * opts: { label, dimensions: [{ key, label }], values(row) -> [{ [dimension]: number }],
+     * parse(text) -> number (NaN when unreadable), format(number) -> text }.
+     */
+    registerRange(key, opts = {}) {
+      const range = {
+        key,
+        label: opts.label || key,
+        dimensions: Array.isArray(opts.dimensions) ? opts.dimensions : [],
+        values: typeof opts.values === 'function' ? opts.values : () => [],
+        parse: typeof opts.parse === 'function' ? opts.parse : Number,
+        format: typeof opts.format === 'function' ? opts.format : String,
+      };
+      const existing = _ranges.findIndex((r) => r.key === key);
+      if (existing >= 0) _ranges.splice(existing, 1, range);
+      else _ranges.push(range);
+      return this;
+    },
+    serialize() { return stateToPlain(); },
+    // Replace all selections at once (e.g. from the URL) and re-render.
+    setState(plain) {
+      applyState(stateFromPlain(plain));
+      if (_hideImageToggles) {
+        state.withImageOnly = false;
+        state.withoutImageOnly = false;
+      }
+      renderUI();
+      triggerChange();
+    },
     reset() {
       applyState(createDefaultState());
       renderUI();
@@ -0,0 +1,180 @@
+/* imagefeatures.js
+   Per-texture data computed from the image pixels (dominant Lab colours,
+   perceptual hash, colour histogram), keyed "<type>::<code>".
+   It comes from the optional sidecar, wilsonart-image-features.json, written by
+   `node wilsonart-image-features.js`; the sidecar is fetched on first use, so the
+   table doesn't wait for it, and again later while it is missing. Without it (or
+   for textures it doesn't cover) the same features can be computed here, in the
+   browser, from the images themselves: same sampling, same ColorLab / ImageHash
+   code. That needs an image host that allows CORS reads; results are kept in
+   localStorage when there is room.
+   Requires ColorLab (colorlab.js) and ImageHash (imagehash.js) for analyse().
+   Usage:
+     ImageFeatures.load().then((ok) => { ... });   // false while no texture has features
+     ImageFeatures.get(record);                    // { url, colors, phash, hist } or null
+     ImageFeatures.missing(records);               // records with an image but no features
+     const job = ImageFeatures.analyse(records, { onProgress: (job) => ... });
+     job.cancelled = true;                         // stops after the images in flight
+     job.finished.then((job) => ...);              // { total, done, failed, blocked, cancelled }
+*/
+
+(function (global) {
+  const FEATURES_URL = './wilsonart-image-features.json';
+  const LOCAL_KEY = 'wilsonart-viewer:image-features';
+  // sampling as in wilsonart-image-features.js, so both sources compare equally
+  const BANNER_CROP_PX = 93;
+  const SAMPLE_SIZE = 96;
+  const CONCURRENCY = 3;
+  // this many failures before any image could be read: the host doesn't allow CORS
+  const BLOCKED_AFTER = 6;
+  const SAVE_EVERY = 25;
+
+  let _features = null;   // key -> entry from the sidecar once loaded
+  let _loading = null;
+  const _local = readLocal();   // key -> entry analysed in this browser
+
+  function keyFor(record) {
+    if (!record) return '';
+    const code = String(record.code || record.name || '').trim();
+    return `${String(record.type || '').trim()}::${code}`;
+  }
+
+  function readLocal() {
+    try {
+      const stored = JSON.parse(global.localStorage.getItem(LOCAL_KEY) || 'null');
+      if (stored && stored.features && typeof stored.features === 'object') return new Map(Object.entries(stored.features));
+    } catch (err) {
+      // unreadable; analyse again
+    }
+    return new Map();
+  }
+
+  function saveLocal() {
+    try {
+      global.localStorage.setItem(LOCAL_KEY, JSON.stringify({ features: Object.fromEntries(_local) }));
+    } catch (err) {
+      // storage full or unavailable; the analysis lasts for this page only
+    }
+  }
+
+  /** Resolves true once any texture has features (sidecar or analysed here). */
+  function load() {
+    if (_loading) return _loading;
+    const loading = fetch(FEATURES_URL, { cache: 'no-cache' })
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => null)
+      .then((json) => {
+        const features = json && json.features && typeof json.features === 'object' ? json.features : null;
+        _features = new Map(features ? Object.entries(features) : []);
+        // not there (yet): look again next time, so a sidecar written later is picked up
+        if (!features && _loading === loading) _loading = null;
+        return size() > 0;
+      });
+    _loading = loading;
+    return loading;
+  }
+
+  function get(record) {
+    const key = keyFor(record);
+    const entry = _features && _features.get(key);
+    if (entry) return entry;
+    const local = _local.get(key);
+    // analysed from an image the data no longer points at
+    return local && local.url === String(record.texture_image_url || '').trim() ? local : null;
+  }
+
+  function size() {
+    const keys = new Set(_features ? _features.keys() : []);
+    _local.forEach((entry, key) => keys.add(key));
+    return keys.size;
+  }
+
+  function missing(records) {
+    return (records || []).filter((r) => r && String(r.texture_image_url || '').trim() && !get(r));
+  }
+
+  // --------- In-browser analysis ----------
+  function loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.decoding = 'async';
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('image did not load with CORS'));
+      img.src = url;
+    });
+  }
+
+  function analyseOne(record) {
+    const url = String(record.texture_image_url || '').trim();
+    return loadImage(url).then((img) => {
+      const w = img.naturalWidth;
+      const h = Math.max(1, img.naturalHeight - (record.banner_cropped === true ? BANNER_CROP_PX : 0));
+      const scale = Math.min(1, SAMPLE_SIZE / Math.max(w, h));
+      // throws a SecurityError when the host's CORS headers don't cover this page
+      const draw = (width, height) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, w, h, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height).data;
+      };
+      const sample = draw(Math.max(1, Math.round(w * scale)), Math.max(1, Math.round(h * scale)));
+      const square = draw(global.ImageHash.HASH_SIZE, global.ImageHash.HASH_SIZE);
+      return {
+        url,
+        colors: global.ColorLab.dominantColors(sample, { k: 5 }),
+        phash: global.ImageHash.phash(square),
+        hist: global.ImageHash.histogram(sample),
+      };
+    });
+  }
+
+  function analyse(records, opts) {
+    const options = opts || {};
+    const todo = missing(records);
+    const job = { total: todo.length, done: 0, failed: 0, blocked: false, cancelled: false, finished: null };
+    let next = 0;
+    let sinceSave = 0;
+    const worker = () => {
+      if (job.cancelled || job.blocked || next >= todo.length) return Promise.resolve();
+      const record = todo[next];
+      next += 1;
+      return analyseOne(record)
+        .then((entry) => {
+          _local.set(keyFor(record), entry);
+          sinceSave += 1;
+          if (sinceSave >= SAVE_EVERY) {
+            sinceSave = 0;
+            saveLocal();
+          }
+        })
+        .catch(() => {
+          job.failed += 1;
+          if (job.failed >= BLOCKED_AFTER && job.failed === job.done + 1) job.blocked = true;
+        })
+        .then(() => {
+          job.done += 1;
+          if (typeof options.onProgress === 'function') options.onProgress(job);
+          return worker();
+        });
+    };
+    job.finished = Promise.all(Array.from({ length: Math.min(CONCURRENCY, todo.length) }, worker))
+      .then(() => {
+        if (sinceSave) saveLocal();
+        return job;
+      });
+    return job;
+  }
+
+  global.ImageFeatures = {
+    FEATURES_URL,
+    load,
+    get,
+    size,
+    keyFor,
+    missing,
+    analyse,
+  };
+})(window);
@@ -0,0 +1,125 @@
+/* imagehash.js
+   Image signatures for "Find similar", shared by the viewer and the Node image
+   pre-pass (wilsonart-image-features.js): a 64-bit DCT perceptual hash of the
+   texture's structure and a coarse RGB colour histogram.
+   Usage:
+     ImageHash.phash(rgba32x32);                    // 16 hex digits
+     ImageHash.hashSimilarity(hashA, hashB);        // 1 = same, ~0 = unrelated
+     ImageHash.histogram(rgba);                     // HIST_BINS weights summing to 1
+     ImageHash.histogramSimilarity(histA, histB);   // intersection, 0..1
+   In Node: const ImageHash = require('./imagehash.js');
+*/
+
+(function (global) {
+  const HASH_SIZE = 32;       // phash input is HASH_SIZE x HASH_SIZE pixels
+  const HASH_LOW = 8;         // low-frequency block kept from the DCT
+  const HIST_LEVELS = 4;      // per channel, so 4 x 4 x 4 = 64 bins
+  const HIST_BINS = HIST_LEVELS * HIST_LEVELS * HIST_LEVELS;
+
+  // --------- Perceptual hash ----------
+  let cosTable = null;
+
+  function dctCos() {
+    if (cosTable) return cosTable;
+    cosTable = [];
+    for (let u = 0; u < HASH_LOW; u += 1) {
+      const row = new Float64Array(HASH_SIZE);
+      for (let x = 0; x < HASH_SIZE; x += 1) row[x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE));
+      cosTable.push(row);
+    }
+    return cosTable;
+  }
+
+  /**
+   * pHash of a HASH_SIZE x HASH_SIZE RGBA buffer (the image squashed to a square):
+   * luma -> 2-D DCT -> the 8 x 8 lowest frequencies, one bit each for above/below
+   * their median (the DC term is left out of the median).
+   */
+  function phash(rgba) {
+    if (!rgba || rgba.length < HASH_SIZE * HASH_SIZE * 4) return '';
+    const luma = new Float64Array(HASH_SIZE * HASH_SIZE);
+    for (let i = 0; i < luma.length; i += 1) {
+      const o = i * 4;
+      luma[i] = 0.299 * rgba[o] + 0.587 * rgba[o + 1] + 0.114 * rgba[o + 2];
+    }
+    const cos = dctCos();
+    // rows first, then columns, keeping only the low frequencies
+    const rows = new Float64Array(HASH_SIZE * HASH_LOW);
+    for (let y = 0; y < HASH_SIZE; y += 1) {
+      for (let u = 0; u < HASH_LOW; u += 1) {
+        let sum = 0;
+        for (let x = 0; x < HASH_SIZE; x += 1) sum += luma[y * HASH_SIZE + x] * cos[u][x];
+        rows[y * HASH_LOW + u] = sum;
+      }
+    }
+    const coeffs = [];
+    for (let v = 0; v < HASH_LOW; v += 1) {
+      for (let u = 0; u < HASH_LOW; u += 1) {
+        let sum = 0;
+        for (let y = 0; y < HASH_SIZE; y += 1) sum += rows[y * HASH_LOW + u] * cos[v][y];
+        coeffs.push(sum);
+      }
+    }
+    const sorted = coeffs.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+    let hex = '';
+    for (let i = 0; i < coeffs.length; i += 4) {
+      let nibble = 0;
+      for (let j = 0; j < 4; j += 1) nibble = (nibble << 1) | (coeffs[i + j] > median ? 1 : 0);
+      hex += nibble.toString(16);
+    }
+    return hex;
+  }
+
+  function hamming(hashA, hashB) {
+    let bits = 0;
+    for (let i = 0; i < hashA.length; i += 1) {
+      let x = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+      while (x) {
+        bits += x & 1;
+        x >>= 1;
+      }
+    }
+    return bits;
+  }
+
+  // Unrelated images differ in about half the bits, so that counts as 0.
+  function hashSimilarity(hashA, hashB) {
+    if (!hashA || !hashB || hashA.length !== hashB.length) return null;
+    return Math.max(0, 1 - hamming(hashA, hashB) / (hashA.length * 2));
+  }
+
+  // --------- Colour histogram ----------
+  /** Share of (opaque) pixels in each RGB bin, rounded to 3 places. */
+  function histogram(rgba) {
+    const counts = new Array(HIST_BINS).fill(0);
+    let total = 0;
+    const level = (c) => Math.min(HIST_LEVELS - 1, Math.floor((c * HIST_LEVELS) / 256));
+    for (let o = 0; o + 3 < rgba.length; o += 4) {
+      if (rgba[o + 3] < 128) continue;
+      counts[(level(rgba[o]) * HIST_LEVELS + level(rgba[o + 1])) * HIST_LEVELS + level(rgba[o + 2])] += 1;
+      total += 1;
+    }
+    return total ? counts.map((c) => Math.round((c / total) * 1000) / 1000) : [];
+  }
+
+  function histogramSimilarity(histA, histB) {
+    if (!Array.isArray(histA) || !Array.isArray(histB) || histA.length !== histB.length || !histA.length) return null;
+    let sum = 0;
+    for (let i = 0; i < histA.length; i += 1) sum += Math.min(histA[i], histB[i]);
+    return Math.min(1, sum);
+  }
+
+  const ImageHash = {
+    HASH_SIZE,
+    HIST_BINS,
+    phash,
+    hamming,
+    hashSimilarity,
+    histogram,
+    histogramSimilarity,
+  };
+
+  global.ImageHash = ImageHash;
+  if (typeof module === 'object' && module.exports) module.exports = ImageHash;
+})(typeof window !== 'undefined' ? window : globalThis);
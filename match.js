@@ -0,0 +1,288 @@
+/* match.js
+   Veneer match visualizer for woodgrains. Adds a "Match visualizer" section to
+   the product detail drawer that lays the texture out as a row of panels:
+   book match mirrors every other panel, slip match repeats the same slice,
+   reverse slip turns every other panel end for end and random match takes a
+   shuffled slice (and flip) per panel. The grain runs along the long side of
+   texture_scale and is stood upright in the panels. The layout saves as PNG.
+   Requires viewer.js (window.Viewer), detail.js (window.ProductDetail),
+   surface.js (window.SurfacePreview) and export.js (window.LaminateExport) for
+   the PNG download.
+*/
+
+(function () {
+  const MATCHES = {
+    book: 'Book match',
+    slip: 'Slip match',
+    reverse: 'Reverse slip match',
+    random: 'Random match',
+  };
+  // the record's `match` facet values
+  const MATCH_FROM_FACET = {
+    bookmatch: 'book',
+    slipmatch: 'slip',
+    'reverse slipmatch': 'reverse',
+    random: 'random',
+  };
+  const DEFAULT_PANEL = { width: 18, height: 48, count: 4 };
+  const MAX_PANELS = 12;
+  const MAX_HEIGHT = 300;          // css px of the preview
+  const EXPORT_PPI = 24;           // pixels per inch of the saved PNG...
+  const EXPORT_MAX_PX = 4096;      // ...unless that makes it larger than this
+  const JOINT_PX = 2;              // gap drawn between panels in the preview
+  const MAX_TILES_PER_PANEL = 400;
+
+  function list(v) {
+    if (v == null || v === '') return [];
+    return Array.isArray(v) ? v : [v];
+  }
+
+  function isWoodgrain(record) {
+    const field = (key) => list(window.Viewer.fieldValue(record, key));
+    return field('match').length > 0 || field('species').length > 0 || field('cut').length > 0
+      || field('design_groups').some((g) => /woodgrain/i.test(String(g)));
+  }
+
+  function defaultMatch(record) {
+    const found = list(window.Viewer.fieldValue(record, 'match'))
+      .map((m) => MATCH_FROM_FACET[String(m).trim().toLowerCase()])
+      .find(Boolean);
+    return found || 'book';
+  }
+
+  // small seeded generator so a random layout stays put until reshuffled
+  function seeded(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /** Per panel: slice offset in inches and flips, for the chosen match. */
+  function panelPlan(match, count, tile, seed) {
+    const rand = seeded(seed);
+    const plan = [];
+    for (let i = 0; i < count; i += 1) {
+      const odd = i % 2 === 1;
+      if (match === 'random') {
+        plan.push({
+          ox: rand() * tile.width,
+          oy: rand() * tile.height,
+          flipX: rand() < 0.5,
+          flipY: rand() < 0.5,
+        });
+      } else {
+        // end for end is a half turn: flipped both ways
+        plan.push({
+          ox: 0,
+          oy: 0,
+          flipX: (match === 'book' || match === 'reverse') && odd,
+          flipY: match === 'reverse' && odd,
+        });
+      }
+    }
+    return plan;
+  }
+
+  // --------- Drawing ----------
+  function drawPanel(ctx, texture, tile, rect, slice, ppi) {
+    const tw = tile.width * ppi;
+    const th = tile.height * ppi;
+    if (Math.ceil(rect.w / tw + 1) * Math.ceil(rect.h / th + 1) > MAX_TILES_PER_PANEL) return;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(rect.x, rect.y, rect.w, rect.h);
+    ctx.clip();
+    ctx.translate(rect.x + (slice.flipX ? rect.w : 0), rect.y + (slice.flipY ? rect.h : 0));
+    ctx.scale(slice.flipX ? -1 : 1, slice.flipY ? -1 : 1);
+    const startX = -((slice.ox * ppi) % tw);
+    const startY = -((slice.oy * ppi) % th);
+    for (let y = startY; y < rect.h; y += th) {
+      for (let x = startX; x < rect.w; x += tw) ctx.drawImage(texture, x, y, tw, th);
+    }
+    ctx.restore();
+  }
+
+  function drawLayout(canvas, state, ppi, joint, dpr) {
+    const { texture, tile, panel, plan } = state;
+    const pw = panel.width * ppi;
+    const ph = panel.height * ppi;
+    const width = Math.max(1, Math.round(plan.length * pw + (plan.length - 1) * joint));
+    const height = Math.max(1, Math.round(ph));
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return { width, height };
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = '#0b0c0f';
+    ctx.fillRect(0, 0, width, height);
+    plan.forEach((slice, i) => {
+      const rect = { x: i * (pw + joint), y: 0, w: pw, h: ph };
+      if (texture) drawPanel(ctx, texture, tile, rect, slice, ppi);
+    });
+    return { width, height };
+  }
+
+  function fileName(record, match) {
+    const code = String(record.code || record.name || 'texture').trim().replace(/[^\w.-]+/g, '-');
+    return `${code}-${match}-match.png`;
+  }
+
+  // --------- Section ----------
+  function field(labelText, control) {
+    const label = document.createElement('label');
+    label.className = 'surface-field';
+    const span = document.createElement('span');
+    span.textContent = labelText;
+    label.appendChild(span);
+    label.appendChild(control);
+    return label;
+  }
+
+  function textInput(value) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.size = 6;
+    input.value = value;
+    return input;
+  }
+
+  function render(record) {
+    if (!isWoodgrain(record) || !window.Viewer.fieldValue(record, 'texture_image_url')) return null;
+    const scale = window.Viewer.fieldValue(record, 'texture_scale');
+    const sw = scale && Number(scale.width);
+    const sh = scale && Number(scale.height);
+    if (!(sw > 0) || !(sh > 0)) return null;
+    // grain follows the long side of the texture; stand it upright
+    const turn = sw > sh;
+    const tile = turn ? { width: sh, height: sw } : { width: sw, height: sh };
+    const { parseLength, formatLength } = window.SurfacePreview;
+
+    let match = defaultMatch(record);
+    let seed = 1;
+    let texture = null;
+
+    const wrap = document.createElement('div');
+    wrap.className = 'match-visualizer';
+    const controls = document.createElement('div');
+    controls.className = 'surface-controls';
+
+    const matchSelect = document.createElement('select');
+    Object.keys(MATCHES).forEach((key) => matchSelect.appendChild(new Option(MATCHES[key], key)));
+    matchSelect.value = match;
+    const countInput = document.createElement('input');
+    countInput.type = 'number';
+    countInput.min = '2';
+    countInput.max = String(MAX_PANELS);
+    countInput.value = String(DEFAULT_PANEL.count);
+    const widthInput = textInput(formatLength(DEFAULT_PANEL.width));
+    const heightInput = textInput(formatLength(DEFAULT_PANEL.height));
+    const shuffle = document.createElement('button');
+    shuffle.type = 'button';
+    shuffle.textContent = 'Shuffle';
+    const save = document.createElement('button');
+    save.type = 'button';
+    save.textContent = 'Save PNG';
+
+    controls.appendChild(field('Match', matchSelect));
+    controls.appendChild(field('Panels', countInput));
+    controls.appendChild(field('Panel width', widthInput));
+    controls.appendChild(field('Panel height', heightInput));
+    controls.appendChild(shuffle);
+    controls.appendChild(save);
+    wrap.appendChild(controls);
+
+    const stage = document.createElement('div');
+    stage.className = 'surface-stage';
+    const canvas = document.createElement('canvas');
+    canvas.className = 'match-canvas';
+    canvas.setAttribute('role', 'img');
+    stage.appendChild(canvas);
+    wrap.appendChild(stage);
+    const note = document.createElement('p');
+    note.className = 'surface-note';
+    note.setAttribute('aria-live', 'polite');
+    wrap.appendChild(note);
+
+    function currentState() {
+      const width = parseLength(widthInput.value);
+      const height = parseLength(heightInput.value);
+      const count = Math.round(Number(countInput.value));
+      widthInput.classList.toggle('is-invalid', !(width > 0));
+      heightInput.classList.toggle('is-invalid', !(height > 0));
+      countInput.classList.toggle('is-invalid', !(count >= 2 && count <= MAX_PANELS));
+      if (!(width > 0) || !(height > 0) || !(count >= 2 && count <= MAX_PANELS)) return null;
+      const panel = { width, height };
+      return { texture, tile, panel, plan: panelPlan(match, count, tile, seed) };
+    }
+
+    function update() {
+      shuffle.hidden = match !== 'random';
+      const state = currentState();
+      save.disabled = !state || !texture;
+      if (!state) {
+        note.textContent = `Enter 2–${MAX_PANELS} panels and a panel size, e.g. ${formatLength(DEFAULT_PANEL.width)} × ${formatLength(DEFAULT_PANEL.height)}.`;
+        return;
+      }
+      const total = state.plan.length * state.panel.width;
+      const maxWidth = Math.max(200, (stage.clientWidth || 480));
+      const ppi = Math.min((maxWidth - (state.plan.length - 1) * JOINT_PX) / total, MAX_HEIGHT / state.panel.height);
+      const size = drawLayout(canvas, state, ppi, JOINT_PX, window.devicePixelRatio || 1);
+      canvas.style.width = `${size.width}px`;
+      canvas.style.height = `${size.height}px`;
+      const label = `${MATCHES[match]} of ${state.plan.length} panels, ${formatLength(state.panel.width)} × ${formatLength(state.panel.height)} each`;
+      canvas.setAttribute('aria-label', `${label}, ${[record.code, record.name].filter(Boolean).join(' ')}`);
+      const grain = `grain runs along the texture’s ${formatLength(Math.max(sw, sh))} side`;
+      note.textContent = `${label} · ${grain}${texture ? '' : ' · loading image…'}.`;
+    }
+
+    function savePng() {
+      const state = currentState();
+      if (!state || !texture) return;
+      const total = state.plan.length * state.panel.width;
+      const ppi = Math.min(EXPORT_PPI, EXPORT_MAX_PX / total, EXPORT_MAX_PX / state.panel.height);
+      const out = document.createElement('canvas');
+      drawLayout(out, state, ppi, 0, 1);
+      try {
+        out.toBlob((blob) => {
+          if (blob) window.LaminateExport.download(blob, fileName(record, match));
+          else note.textContent = 'The PNG couldn’t be created.';
+        }, 'image/png');
+      } catch (err) {
+        // a texture served without CORS taints the canvas
+        note.textContent = 'This image’s host doesn’t allow saving it; the preview still works.';
+      }
+    }
+
+    matchSelect.addEventListener('change', () => { match = matchSelect.value; update(); });
+    [countInput, widthInput, heightInput].forEach((input) => input.addEventListener('change', update));
+    shuffle.addEventListener('click', () => { seed += 1; update(); });
+    save.addEventListener('click', savePng);
+
+    update();
+    window.SurfacePreview.loadTexture(record).then((img) => {
+      if (!img) {
+        note.textContent = 'The texture image couldn’t be loaded.';
+        return;
+      }
+      texture = turn ? window.SurfacePreview.turnedCopy(img) : img;
+      if (canvas.isConnected) update();
+    });
+    return wrap;
+  }
+
+  function init() {
+    if (!window.Viewer || !window.ProductDetail || !window.SurfacePreview) return;
+    window.ProductDetail.registerSection('Match visualizer', render);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init, { once: true });
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,254 @@
+/* offline.js
+   Offline use for reps at client sites. Registers the service worker (sw.js),
+   which precaches the app and both details JSON files and keeps viewed texture
+   images in a size-capped cache. The Offline panel shows what is cached and can
+   download every product image ahead of time, with progress, so the whole
+   catalog works without a connection.
+   Service workers need http(s) (or localhost); opened from file:// the panel
+   says so and nothing is cached.
+   Requires viewer.js (window.Viewer) and Popover (popover.js).
+*/
+
+(function () {
+  const WORKER_URL = './sw.js';
+  const CONCURRENCY = 4;
+  const REPLY_TIMEOUT_MS = 60000;
+
+  let panel = null;
+  let popover = null;
+  let toggleButton = null;
+  let registration = null;
+  let registerError = '';
+  let job = null;      // { total, done, failed, bytes, cancelled }
+  let jobView = null;  // { progress, finished } of the panel currently rendered
+  let onlyShown = false;
+
+  function supported() {
+    return 'serviceWorker' in navigator && /^https?:$/.test(location.protocol);
+  }
+
+  function init() {
+    toggleButton = document.getElementById('offline-toggle');
+    if (supported()) {
+      navigator.serviceWorker.register(WORKER_URL)
+        .then((reg) => { registration = reg; })
+        .catch((err) => { registerError = err.message || String(err); });
+    }
+    if (!toggleButton || !window.Viewer) return;
+    popover = window.Popover.create({
+      button: toggleButton,
+      id: 'offline-panel',
+      className: 'offline-panel',
+      label: 'Offline use',
+      focus: 'button:not(:disabled)',
+      render: (el) => {
+        panel = el;
+        renderPanel();
+      },
+    });
+    window.addEventListener('online', syncToggle);
+    window.addEventListener('offline', syncToggle);
+    syncToggle();
+  }
+
+  function syncToggle() {
+    if (!toggleButton) return;
+    toggleButton.classList.toggle('is-offline', navigator.onLine === false);
+  }
+
+  // --------- Worker messages ----------
+  /** Post `message` to the active worker and resolve with its reply. */
+  function ask(message) {
+    if (!supported()) return Promise.reject(new Error('service workers unavailable'));
+    return navigator.serviceWorker.ready.then((reg) => new Promise((resolve, reject) => {
+      const worker = reg.active;
+      if (!worker) {
+        reject(new Error('service worker not active yet'));
+        return;
+      }
+      const channel = new MessageChannel();
+      const timer = window.setTimeout(() => reject(new Error('service worker did not answer')), REPLY_TIMEOUT_MS);
+      channel.port1.onmessage = (event) => {
+        window.clearTimeout(timer);
+        resolve(event.data || {});
+      };
+      worker.postMessage(message, [channel.port2]);
+    }));
+  }
+
+  // --------- Values ----------
+  function formatBytes(bytes) {
+    if (!bytes) return '0 MB';
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function imageUrls() {
+    const records = onlyShown ? window.Viewer.visible() : window.Viewer.records();
+    const urls = new Set();
+    (records || []).forEach((r) => {
+      const url = window.Viewer.fieldValue(r, 'texture_image_url');
+      if (url && /^https?:/i.test(String(url))) urls.add(String(url));
+    });
+    return Array.from(urls);
+  }
+
+  // --------- Download all ----------
+  function downloadAll() {
+    const urls = imageUrls();
+    job = { total: urls.length, done: 0, failed: 0, bytes: 0, cancelled: false };
+    const current = job;
+    let next = 0;
+    function worker() {
+      if (current.cancelled || next >= urls.length) return Promise.resolve();
+      const url = urls[next];
+      next += 1;
+      return ask({ type: 'cache-image', url })
+        .then((reply) => {
+          if (reply.ok) current.bytes += reply.bytes || 0;
+          else current.failed += 1;
+        })
+        .catch(() => { current.failed += 1; })
+        .then(() => {
+          current.done += 1;
+          if (jobView) jobView.progress(current);
+          return worker();
+        });
+    }
+    const runners = [];
+    for (let i = 0; i < Math.min(CONCURRENCY, urls.length); i += 1) runners.push(worker());
+    return Promise.all(runners).then(() => ask({ type: 'flush' }).catch(() => null)).then(() => {
+      if (job === current) job = null;
+      if (jobView) jobView.finished(current);
+      return current;
+    });
+  }
+
+  // --------- Panel ----------
+  function el(tag, className, content) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (content != null) node.textContent = content;
+    return node;
+  }
+
+  function renderPanel() {
+    panel.innerHTML = '';
+    if (!supported()) {
+      panel.appendChild(el('p', 'offline-note', location.protocol === 'file:'
+        ? 'Offline use needs the viewer served over http(s), e.g. "npx serve" in this folder.'
+        : 'This browser does not support service workers, so nothing can be kept offline.'));
+      return;
+    }
+
+    const state = el('p', 'offline-state');
+    panel.appendChild(state);
+    const stats = el('p', 'offline-stats', 'Checking image cache…');
+    panel.appendChild(stats);
+
+    const scope = document.createElement('label');
+    scope.className = 'offline-scope';
+    const scopeInput = document.createElement('input');
+    scopeInput.type = 'checkbox';
+    scopeInput.checked = onlyShown;
+    scope.appendChild(scopeInput);
+    scope.appendChild(document.createTextNode(' Only products shown'));
+    panel.appendChild(scope);
+
+    const progress = document.createElement('progress');
+    progress.className = 'offline-progress';
+    progress.hidden = true;
+    panel.appendChild(progress);
+    const progressText = el('p', 'offline-progress-text');
+    progressText.setAttribute('aria-live', 'polite');
+    panel.appendChild(progressText);
+
+    const footer = el('div', 'offline-footer');
+    const download = el('button', 'offline-download', '');
+    download.type = 'button';
+    const cancel = el('button', 'offline-cancel', 'Cancel');
+    cancel.type = 'button';
+    const clear = el('button', 'offline-clear', 'Clear image cache');
+    clear.type = 'button';
+    footer.appendChild(download);
+    footer.appendChild(cancel);
+    footer.appendChild(clear);
+    panel.appendChild(footer);
+
+    function updateState() {
+      const online = navigator.onLine !== false;
+      if (registerError) state.textContent = `Service worker failed to register: ${registerError}`;
+      else if (!registration && !(navigator.serviceWorker && navigator.serviceWorker.controller)) state.textContent = 'Setting up offline support…';
+      else state.textContent = online ? 'App and catalog data are saved for offline use.' : 'Offline: showing saved data.';
+      const count = imageUrls().length;
+      download.textContent = `Download ${count} image${count === 1 ? '' : 's'} for offline`;
+      download.disabled = !!job || !count || !online;
+      cancel.hidden = !job;
+      clear.disabled = !!job;
+      scopeInput.disabled = !!job;
+    }
+
+    function updateStats() {
+      ask({ type: 'image-stats' })
+        .then((reply) => {
+          // what the browser counts (opaque images are charged a padded size) when it says
+          const used = reply.usage != null ? reply.usage : reply.bytes;
+          stats.textContent = `${reply.count} images cached · ${formatBytes(used)} of ${formatBytes(reply.maxBytes)}`;
+        })
+        .catch((err) => { stats.textContent = `Image cache unavailable: ${err.message}`; });
+    }
+
+    function showProgress(current) {
+      progress.hidden = false;
+      progress.max = current.total || 1;
+      progress.value = current.done;
+      const failed = current.failed ? `, ${current.failed} failed` : '';
+      progressText.textContent = `${current.done} of ${current.total} images${failed} · ${formatBytes(current.bytes)}`;
+    }
+
+    scopeInput.addEventListener('change', () => {
+      onlyShown = scopeInput.checked;
+      updateState();
+    });
+    function showFinished(finished) {
+      const failed = finished.failed ? ` (${finished.failed} could not be fetched)` : '';
+      progressText.textContent = finished.cancelled
+        ? `Stopped after ${finished.done} of ${finished.total} images.`
+        : `Saved ${finished.done - finished.failed} of ${finished.total} images for offline${failed}.`;
+      updateState();
+      updateStats();
+    }
+
+    // a download keeps running while the panel is closed or re-rendered
+    jobView = { progress: showProgress, finished: showFinished };
+
+    download.addEventListener('click', () => {
+      downloadAll();
+      updateState();
+      showProgress(job);
+    });
+    cancel.addEventListener('click', () => {
+      if (job) job.cancelled = true;
+    });
+    clear.addEventListener('click', () => {
+      if (!window.confirm('Remove every saved texture image from this browser?')) return;
+      ask({ type: 'clear-images' })
+        .then(() => {
+          progress.hidden = true;
+          progressText.textContent = 'Image cache cleared.';
+        })
+        .catch((err) => { progressText.textContent = `Could not clear the cache: ${err.message}`; })
+        .then(updateStats);
+    });
+
+    if (job) showProgress(job);
+    updateState();
+    updateStats();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init, { once: true });
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,105 @@
+/* popover.js
+   Toolbar popover panels (columns, export, print, snapshot diff, colour search,
+   offline): a `.popover-panel` dialog placed under its toolbar button, toggled by
+   the button and closed by Escape or a click anywhere else. One pair of document
+   listeners serves every panel.
+   Usage:
+     const popover = Popover.create({
+       button: document.getElementById('export-toggle'),
+       id: 'export-panel',                // reused when it's already in the page
+       className: 'export-panel',
+       label: 'Export',
+       focus: 'input',                    // first match is focused on open
+       render: (panel) => fill(panel),    // on every open
+     });
+     popover.open(); popover.close(); popover.toggle(); popover.isOpen();
+*/
+
+(function (global) {
+  const popovers = [];
+  let listening = false;
+
+  function listen() {
+    if (listening) return;
+    listening = true;
+    document.addEventListener('keydown', (event) => {
+      if (event.key !== 'Escape' && event.key !== 'Esc') return;
+      popovers.forEach((p) => p.close());
+    });
+    document.addEventListener('click', (event) => {
+      popovers.forEach((p) => {
+        if (p.isOpen() && !p.contains(event.target)) p.close();
+      });
+    });
+  }
+
+  function create(opts) {
+    const options = opts || {};
+    const button = options.button || null;
+    let panel = null;
+
+    function element() {
+      if (panel) return panel;
+      panel = options.id ? document.getElementById(options.id) : null;
+      if (!panel) {
+        panel = document.createElement('div');
+        if (options.id) panel.id = options.id;
+        panel.className = `popover-panel ${options.className || ''}`.trim();
+        panel.setAttribute('role', 'dialog');
+        if (options.label) panel.setAttribute('aria-label', options.label);
+        panel.hidden = true;
+        document.body.appendChild(panel);
+      }
+      return panel;
+    }
+
+    function isOpen() {
+      return !!panel && !panel.hidden;
+    }
+
+    function open() {
+      element();
+      if (typeof options.render === 'function') options.render(panel);
+      panel.hidden = false;
+      if (button) {
+        button.setAttribute('aria-expanded', 'true');
+        const rect = button.getBoundingClientRect();
+        panel.style.top = `${Math.round(rect.bottom + 6)}px`;
+        panel.style.right = `${Math.max(8, Math.round(global.innerWidth - rect.right))}px`;
+      }
+      const first = panel.querySelector(options.focus || 'button, input, select');
+      if (first) first.focus();
+    }
+
+    function close() {
+      if (!isOpen()) return;
+      panel.hidden = true;
+      if (button) {
+        button.setAttribute('aria-expanded', 'false');
+        button.focus();
+      }
+    }
+
+    function toggle() {
+      if (isOpen()) close();
+      else open();
+    }
+
+    // clicks on the panel or its button don't count as "outside"
+    function contains(target) {
+      return (!!panel && panel.contains(target)) || (!!button && button.contains(target));
+    }
+
+    if (button) {
+      button.setAttribute('aria-haspopup', 'dialog');
+      button.setAttribute('aria-expanded', 'false');
+      button.addEventListener('click', toggle);
+    }
+    const popover = { element, isOpen, open, close, toggle, contains };
+    popovers.push(popover);
+    listen();
+    return popover;
+  }
+
+  global.Popover = { create };
+})(window);
@@ -0,0 +1,281 @@
+/* print.js
+   Print-ready spec sheets. Lays out the compare selection or the current filtered
+   list as one product per page or a 2 x 3 sampler grid, each with the (cropped)
+   texture, code, name, finishes, sheet sizes, texture scale, description and a QR
+   code to the product page. The browser's "Save as PDF" turns it into a booklet.
+   Requires viewer.js (window.Viewer), qrcode.js (window.QRCode) and Popover
+   (popover.js); uses
+   compare.js (window.Compare) when present.
+*/
+
+(function () {
+  const LAYOUTS = {
+    single: { label: 'One product per page', perPage: 1 },
+    grid: { label: '2 × 3 sampler grid', perPage: 6 },
+  };
+  const PRINTING_CLASS = 'is-printing';
+  const LARGE_JOB = 150;          // ask before laying out more products than this
+  const IMAGE_WAIT_MS = 20000;    // print anyway if some images never arrive
+
+  let panel = null;
+  let popover = null;
+  let toggleButton = null;
+  let root = null;
+  let source = null;   // 'compare' | 'filtered'; null -> compare when something is selected
+  let layout = 'single';
+
+  function init() {
+    if (!window.Viewer || !window.QRCode) return;
+    toggleButton = document.getElementById('print-toggle');
+    if (!toggleButton) return;
+    popover = window.Popover.create({
+      button: toggleButton,
+      id: 'print-panel',
+      className: 'print-panel',
+      label: 'Print spec sheets',
+      focus: 'input:not(:disabled)',
+      render: (el) => {
+        panel = el;
+        renderPanel();
+      },
+    });
+    window.addEventListener('afterprint', cleanup);
+  }
+
+  // --------- Records ----------
+  function selectedKeys() {
+    return window.Compare ? window.Compare.selectedKeys() : [];
+  }
+
+  // compare keys are Viewer.rowKey(record), so they resolve against the loaded records
+  function compareRecords() {
+    const byKey = new Map((window.Viewer.records() || []).map((r) => [window.Viewer.rowKey(r), r]));
+    return selectedKeys().map((k) => byKey.get(k)).filter(Boolean);
+  }
+
+  // a selection always wins unless the filtered list was picked, even when some
+  // of it no longer resolves (the summary says so instead of switching lists)
+  function currentSource() {
+    if (source === 'filtered') return 'filtered';
+    return selectedKeys().length ? 'compare' : 'filtered';
+  }
+
+  function recordsToPrint() {
+    return currentSource() === 'compare' ? compareRecords() : (window.Viewer.visible() || []).slice();
+  }
+
+  // --------- Values ----------
+  function text(v) {
+    return v == null ? '' : String(v).trim();
+  }
+
+  function list(v) {
+    if (v == null || v === '') return [];
+    return (Array.isArray(v) ? v : [v]).filter((x) => x != null && x !== '');
+  }
+
+  function finishLabels(record) {
+    return list(window.Viewer.fieldValue(record, 'finish')).map((f) => (
+      f && typeof f === 'object' ? [f.code, f.name].map(text).filter(Boolean).join(' ') : text(f)
+    )).filter(Boolean);
+  }
+
+  function scaleText(record) {
+    const scale = window.Viewer.formatScale(window.Viewer.fieldValue(record, 'texture_scale')) || '';
+    const noRepeat = window.Viewer.fieldValue(record, 'no_repeat') === true
+      ? window.Viewer.formatScale(window.Viewer.fieldValue(record, 'no_repeat_texture_scale')) || ''
+      : '';
+    if (scale && noRepeat && noRepeat !== scale) return `${scale} (no repeat: ${noRepeat})`;
+    return scale || noRepeat;
+  }
+
+  // --------- Sheets ----------
+  function el(tag, className, content) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (content != null) node.textContent = content;
+    return node;
+  }
+
+  function renderMedia(record, waits) {
+    const media = el('div', 'print-media');
+    const url = text(window.Viewer.fieldValue(record, 'texture_image_url'));
+    if (!url) {
+      media.appendChild(el('div', 'print-placeholder', 'No image'));
+      return media;
+    }
+    if (record.banner_cropped === true) {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'print-image';
+      media.appendChild(canvas);
+      waits.push(Promise.resolve(window.Viewer.drawBannerCrop(canvas, url, 93)));
+    } else {
+      const img = document.createElement('img');
+      img.className = 'print-image';
+      img.alt = `${text(record.code)} ${text(record.name)}`.trim();
+      img.referrerPolicy = 'no-referrer';
+      waits.push(new Promise((resolve) => {
+        img.onload = () => resolve(true);
+        img.onerror = () => resolve(false);
+      }));
+      img.src = url;
+      media.appendChild(img);
+    }
+    return media;
+  }
+
+  function renderQr(record) {
+    const link = text(record['product-link']);
+    if (!link) return null;
+    const wrap = el('figure', 'print-qr');
+    try {
+      wrap.innerHTML = window.QRCode.toSvg(link, { margin: 2, title: link });
+    } catch (err) {
+      return null; // link too long to encode; the URL is still printed
+    }
+    wrap.appendChild(el('figcaption', 'print-qr-caption', link));
+    return wrap;
+  }
+
+  function fact(dl, label, value) {
+    if (!value) return;
+    dl.appendChild(el('dt', '', label));
+    dl.appendChild(el('dd', '', value));
+  }
+
+  function renderEntry(record, className, waits) {
+    const entry = el('article', className);
+    entry.appendChild(renderMedia(record, waits));
+
+    const head = el('header', 'print-head');
+    head.appendChild(el('div', 'print-code', text(record.code)));
+    head.appendChild(el('h2', 'print-name', text(record.name)));
+    const sub = [text(record.type), list(record['surface-group']).join(', ')].filter(Boolean).join(' · ');
+    if (sub) head.appendChild(el('div', 'print-sub', sub));
+    entry.appendChild(head);
+
+    const body = el('div', 'print-body');
+    const dl = el('dl', 'print-facts');
+    fact(dl, 'Finishes', finishLabels(record).join(', '));
+    fact(dl, 'Sheet sizes', list(window.Viewer.fieldValue(record, 'sheet_sizes')).map((v) => window.Units.formatSheet(text(v))).join(', '));
+    fact(dl, 'Texture scale', scaleText(record));
+    body.appendChild(dl);
+    const description = text(window.Viewer.fieldValue(record, 'description'));
+    if (description) body.appendChild(el('p', 'print-description', description));
+    entry.appendChild(body);
+
+    const qr = renderQr(record);
+    if (qr) entry.appendChild(qr);
+    return entry;
+  }
+
+  function build(records) {
+    if (!root) {
+      root = el('div', 'print-root');
+      root.id = 'print-root';
+      document.body.appendChild(root);
+    }
+    root.innerHTML = '';
+    root.dataset.layout = layout;
+    const waits = [];
+    const perPage = LAYOUTS[layout].perPage;
+    for (let i = 0; i < records.length; i += perPage) {
+      const page = el('section', `print-page print-page--${layout}`);
+      records.slice(i, i + perPage).forEach((record) => {
+        page.appendChild(renderEntry(record, layout === 'grid' ? 'print-card' : 'print-sheet', waits));
+      });
+      root.appendChild(page);
+    }
+    return waits;
+  }
+
+  function cleanup() {
+    if (!document.body.classList.contains(PRINTING_CLASS)) return;
+    document.body.classList.remove(PRINTING_CLASS);
+    if (root) root.innerHTML = '';
+  }
+
+  function runPrint() {
+    const records = recordsToPrint();
+    if (!records.length) return;
+    if (records.length > LARGE_JOB
+      && !window.confirm(`Lay out ${records.length} products for printing? This can take a while.`)) return;
+    const go = panel.querySelector('.print-go');
+    go.disabled = true;
+    go.textContent = 'Loading images…';
+
+    const waits = build(records);
+    document.body.classList.add(PRINTING_CLASS);
+    const timeout = new Promise((resolve) => window.setTimeout(resolve, IMAGE_WAIT_MS));
+    Promise.race([Promise.all(waits), timeout]).then(() => {
+      closePanel();
+      window.print();
+      if (!('onafterprint' in window)) window.setTimeout(cleanup, 1000);
+    });
+  }
+
+  // --------- Panel ----------
+  function closePanel() {
+    if (popover) popover.close();
+  }
+
+  function radioGroup(className, legendText, name, options, current, onPick) {
+    const group = el('fieldset', className);
+    group.appendChild(el('legend', '', legendText));
+    options.forEach((opt) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = name;
+      input.value = opt.value;
+      input.checked = opt.value === current;
+      input.disabled = !!opt.disabled;
+      input.addEventListener('change', () => onPick(opt.value));
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${opt.label}`));
+      group.appendChild(label);
+    });
+    return group;
+  }
+
+  function renderPanel() {
+    panel.innerHTML = '';
+    const compareCount = compareRecords().length;
+    const selectedCount = selectedKeys().length;
+    const filteredCount = (window.Viewer.visible() || []).length;
+
+    panel.appendChild(radioGroup('print-options', 'Products', 'print-source', [
+      { value: 'compare', label: `Compare selection (${compareCount})`, disabled: !selectedCount },
+      { value: 'filtered', label: `Filtered list (${filteredCount})` },
+    ], currentSource(), (value) => { source = value; updateSummary(); }));
+
+    panel.appendChild(radioGroup('print-options', 'Layout', 'print-layout', Object.keys(LAYOUTS).map((key) => (
+      { value: key, label: LAYOUTS[key].label }
+    )), layout, (value) => { layout = value; updateSummary(); }));
+
+    const footer = el('div', 'print-footer');
+    const summary = el('span', 'print-summary');
+    footer.appendChild(summary);
+    const go = el('button', 'print-go', 'Print…');
+    go.type = 'button';
+    go.addEventListener('click', runPrint);
+    footer.appendChild(go);
+    panel.appendChild(footer);
+
+    function updateSummary() {
+      const count = recordsToPrint().length;
+      const pages = Math.ceil(count / LAYOUTS[layout].perPage);
+      const lost = currentSource() === 'compare' ? selectedCount - compareCount : 0;
+      summary.textContent = `${count} products · ${pages} ${pages === 1 ? 'page' : 'pages'}`
+        + (lost ? ` · ${lost} selected ${lost === 1 ? 'product is' : 'products are'} not in the loaded data` : '');
+      go.disabled = !count;
+    }
+    updateSummary();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init, { once: true });
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,350 @@
+/* qrcode.js
+   Minimal QR Code generator (byte mode, error correction level M, versions 1-15,
+   i.e. up to ~400 bytes) for product links on printed spec sheets.
+   Usage:
+     const svg = QRCode.toSvg('https://www.wilsonart.com/...', { margin: 4 });
+     const { size, modules } = QRCode.encode(text);   // modules[y][x] === true -> dark
+*/
+
+(function (global) {
+  const MAX_VERSION = 15;
+  // Level M, indexed by version (index 0 unused).
+  const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24];
+  const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10];
+  const FORMAT_ECC_BITS_M = 0;
+
+  // --------- Sizes ----------
+  function numRawDataModules(ver) {
+    let result = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+      const numAlign = Math.floor(ver / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (ver >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function numDataCodewords(ver) {
+    return Math.floor(numRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ver] * NUM_ERROR_CORRECTION_BLOCKS[ver];
+  }
+
+  function alignmentPositions(ver) {
+    if (ver === 1) return [];
+    const size = ver * 4 + 17;
+    const numAlign = Math.floor(ver / 7) + 2;
+    const step = Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  // --------- Reed-Solomon over GF(256), polynomial 0x11D ----------
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i -= 1) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z & 0xFF;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i += 1) {
+      for (let j = 0; j < result.length; j += 1) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (let i = 0; i < data.length; i += 1) {
+      const factor = data[i] ^ result.shift();
+      result.push(0);
+      for (let j = 0; j < divisor.length; j += 1) result[j] ^= gfMultiply(divisor[j], factor);
+    }
+    return result;
+  }
+
+  // --------- Data ----------
+  function utf8Bytes(text) {
+    if (typeof TextEncoder !== 'undefined') return Array.from(new TextEncoder().encode(text));
+    return Array.from(unescape(encodeURIComponent(text)), (c) => c.charCodeAt(0));
+  }
+
+  function encodeData(bytes, ver) {
+    const bits = [];
+    const push = (value, len) => {
+      for (let i = len - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1);
+    };
+    push(0x4, 4); // byte mode
+    push(bytes.length, ver <= 9 ? 8 : 16);
+    bytes.forEach((b) => push(b, 8));
+    const capacity = numDataCodewords(ver) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      let b = 0;
+      for (let j = 0; j < 8; j += 1) b = (b << 1) | bits[i + j];
+      codewords.push(b);
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) codewords.push(pad);
+    return codewords;
+  }
+
+  function addEccAndInterleave(data, ver) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ver];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ver];
+    const rawCodewords = Math.floor(numRawDataModules(ver) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i += 1) {
+      const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = rsRemainder(dat, divisor);
+      if (i < numShortBlocks) dat.push(0);
+      blocks.push(dat.concat(ecc));
+    }
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i += 1) {
+      blocks.forEach((block, j) => {
+        // skip the padding byte of short blocks
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  // --------- Matrix ----------
+  function createMatrix(ver) {
+    const size = ver * 4 + 17;
+    const modules = [];
+    const isFunction = [];
+    for (let y = 0; y < size; y += 1) {
+      modules.push(new Array(size).fill(false));
+      isFunction.push(new Array(size).fill(false));
+    }
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+    return { ver, size, modules, isFunction, set };
+  }
+
+  function drawFunctionPatterns(m) {
+    const { size, set } = m;
+    for (let i = 0; i < size; i += 1) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy += 1) {
+        for (let dx = -4; dx <= 4; dx += 1) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+    const align = alignmentPositions(m.ver);
+    const last = align.length - 1;
+    for (let i = 0; i <= last; i += 1) {
+      for (let j = 0; j <= last; j += 1) {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) continue;
+        for (let dy = -2; dy <= 2; dy += 1) {
+          for (let dx = -2; dx <= 2; dx += 1) {
+            set(align[i] + dx, align[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      }
+    }
+    drawFormatBits(m, 0); // reserve; redrawn once the mask is chosen
+    drawVersion(m);
+  }
+
+  function bit(value, i) {
+    return ((value >>> i) & 1) !== 0;
+  }
+
+  function drawFormatBits(m, mask) {
+    const { size, set } = m;
+    const data = (FORMAT_ECC_BITS_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i += 1) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    for (let i = 0; i <= 5; i += 1) set(8, i, bit(bits, i));
+    set(8, 7, bit(bits, 6));
+    set(8, 8, bit(bits, 7));
+    set(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i += 1) set(14 - i, 8, bit(bits, i));
+    for (let i = 0; i < 8; i += 1) set(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i += 1) set(8, size - 15 + i, bit(bits, i));
+    set(8, size - 8, true); // always-dark module
+  }
+
+  function drawVersion(m) {
+    if (m.ver < 7) return;
+    let rem = m.ver;
+    for (let i = 0; i < 12; i += 1) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (m.ver << 12) | rem;
+    for (let i = 0; i < 18; i += 1) {
+      const dark = bit(bits, i);
+      const a = m.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      m.set(a, b, dark);
+      m.set(b, a, dark);
+    }
+  }
+
+  function drawCodewords(m, data) {
+    const { size, modules, isFunction } = m;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert += 1) {
+        for (let j = 0; j < 2; j += 1) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < data.length * 8) {
+            modules[y][x] = bit(data[i >>> 3], 7 - (i & 7));
+            i += 1;
+          }
+        }
+      }
+    }
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ];
+
+  function applyMask(m, mask) {
+    const fn = MASKS[mask];
+    for (let y = 0; y < m.size; y += 1) {
+      for (let x = 0; x < m.size; x += 1) {
+        if (!m.isFunction[y][x] && fn(x, y)) m.modules[y][x] = !m.modules[y][x];
+      }
+    }
+  }
+
+  // Standard penalty rules N1-N4; the lowest score gives the most readable symbol.
+  function penalty(m) {
+    const { size, modules } = m;
+    let score = 0;
+    const finderLike = [true, false, true, true, true, false, true];
+    const lineAt = (horizontal, i) => (j) => (horizontal ? modules[i][j] : modules[j][i]);
+
+    for (let pass = 0; pass < 2; pass += 1) {
+      const horizontal = pass === 0;
+      for (let i = 0; i < size; i += 1) {
+        const at = lineAt(horizontal, i);
+        let runColor = at(0);
+        let runLen = 1;
+        for (let j = 1; j <= size; j += 1) {
+          if (j < size && at(j) === runColor) {
+            runLen += 1;
+            continue;
+          }
+          if (runLen >= 5) score += 3 + (runLen - 5);
+          if (j < size) {
+            runColor = at(j);
+            runLen = 1;
+          }
+        }
+        for (let j = 0; j + 7 <= size; j += 1) {
+          let match = true;
+          for (let k = 0; k < 7 && match; k += 1) match = at(j + k) === finderLike[k];
+          if (!match) continue;
+          const lightBefore = j >= 4 && [1, 2, 3, 4].every((d) => !at(j - d));
+          const lightAfter = j + 11 <= size && [0, 1, 2, 3].every((d) => !at(j + 7 + d));
+          if (lightBefore || lightAfter) score += 40;
+        }
+      }
+    }
+
+    for (let y = 0; y < size - 1; y += 1) {
+      for (let x = 0; x < size - 1; x += 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) if (modules[y][x]) dark += 1;
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  // --------- Public ----------
+  function encode(text) {
+    const bytes = utf8Bytes(String(text == null ? '' : text));
+    let ver = 1;
+    for (; ver <= MAX_VERSION; ver += 1) {
+      const needed = 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8;
+      if (needed <= numDataCodewords(ver) * 8) break;
+    }
+    if (ver > MAX_VERSION) throw new RangeError(`Text too long for a QR code (${bytes.length} bytes)`);
+
+    const codewords = addEccAndInterleave(encodeData(bytes, ver), ver);
+    const m = createMatrix(ver);
+    drawFunctionPatterns(m);
+    drawCodewords(m, codewords);
+
+    let bestMask = 0;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < 8; mask += 1) {
+      applyMask(m, mask);
+      drawFormatBits(m, mask);
+      const score = penalty(m);
+      if (score < bestScore) {
+        bestScore = score;
+        bestMask = mask;
+      }
+      applyMask(m, mask); // XOR again to undo
+    }
+    applyMask(m, bestMask);
+    drawFormatBits(m, bestMask);
+    return { version: ver, size: m.size, modules: m.modules };
+  }
+
+  function toSvg(text, opts = {}) {
+    const margin = Number.isFinite(opts.margin) ? opts.margin : 4;
+    const { size, modules } = encode(text);
+    const full = size + margin * 2;
+    const parts = [];
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (modules[y][x]) parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      }
+    }
+    const title = opts.title ? `<title>${String(opts.title).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</title>` : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges" role="img">${title}`
+      + `<rect width="${full}" height="${full}" fill="#fff"/><path d="${parts.join('')}" fill="#000"/></svg>`;
+  }
+
+  global.QRCode = {
+    encode,
+    toSvg,
+  };
+})(window);
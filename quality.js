@@ -0,0 +1,240 @@
+/* quality.js
+   Data quality view: how many loaded products are missing each key field, per
+   type, and which values look wrong (pixel ratio disagreeing with texture_scale,
+   the same code twice within a type, a product link without the code in it).
+   Missing means what it does for the fetch scripts' --missing / --report flags.
+   Every problem is also a value of the "Data issues" facet, so clicking a count
+   selects it (and the type) and shows those rows in the table.
+   Values are read through Viewer.fieldValue once the viewer is up, so "missing"
+   follows the same alias fallbacks as the table (colors -> color, ...).
+   Requires Filters (filters.js); load before viewer.js.
+   Usage:
+     DataQuality.init({ onPick: (issue, type) => showRows(issue, type) });
+     DataQuality.refresh(records);          // after the data changes
+     DataQuality.render(container);         // the dashboard
+     DataQuality.issuesFor(record);         // ['Missing description', ...]
+*/
+
+(function (global) {
+  const FACET_KEY = 'data_issue';
+  // relative difference between the image's and the scale's width / height
+  const RATIO_TOLERANCE = 0.02;
+  const EXAMPLE_LIMIT = 10;
+  const FIELDS = [
+    { key: 'texture_image_url', label: 'Image' },
+    { key: 'description', label: 'Description' },
+    { key: 'colors', label: 'Colors' },
+    { key: 'texture_scale', label: 'Texture scale', valid: validSize },
+    { key: 'sheet_sizes', label: 'Sheet sizes' },
+    { key: 'finish', label: 'Finish' },
+    // TFL keeps its collections in their own field (the TFL Collection column)
+    { key: 'design_collections', label: 'Design collections', aliases: ['design_tfl_collection'] },
+  ];
+  const CHECKS = [
+    { label: 'Pixel ratio disagrees with texture scale', explain: ratioMismatch },
+    { label: 'Duplicate code', explain: duplicateOf },
+    { label: 'Link does not match code', explain: linkMismatch },
+  ];
+
+  let _opts = {};
+  let records = [];
+  let issues = new WeakMap();        // record -> [issue label]
+  let duplicates = new WeakMap();    // record -> number of records sharing its type and code
+
+  global.Filters.registerFacet(FACET_KEY, {
+    label: 'Data issues',
+    values: (row) => issuesFor(row),
+  });
+
+  // --------- Checks ----------
+  // same rule as the scrapers' isEmptyField
+  function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value.trim().length === 0;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  }
+
+  function validSize(value) {
+    return !!value && Number(value.width) > 0 && Number(value.height) > 0;
+  }
+
+  function valueOf(record, key) {
+    const viewer = global.Viewer;
+    return viewer && typeof viewer.fieldValue === 'function' ? viewer.fieldValue(record, key) : record[key];
+  }
+
+  function missing(record, field) {
+    const keys = [field.key].concat(field.aliases || []);
+    return keys.every((key) => {
+      const value = valueOf(record, key);
+      return isEmpty(value) || (field.valid && !field.valid(value));
+    });
+  }
+
+  function missingLabel(field) {
+    return `Missing ${field.label.toLowerCase()}`;
+  }
+
+  function ratioOf(size) {
+    if (Number(size.ratio) > 0) return Number(size.ratio);
+    return Number(size.width) / Number(size.height);
+  }
+
+  /** "2000 x 853 px is 2.345:1, scale 2.592:1", or '' when they agree (or can't be compared). */
+  function ratioMismatch(record) {
+    const pixels = record.texture_image_pixels;
+    const scale = record.texture_scale;
+    if (!validSize(pixels) || !validSize(scale)) return '';
+    const imageRatio = ratioOf(pixels);
+    const scaleRatio = Number(scale.width) / Number(scale.height);
+    if (Math.abs(imageRatio - scaleRatio) / scaleRatio <= RATIO_TOLERANCE) return '';
+    return `${pixels.width} x ${pixels.height} px is ${imageRatio.toFixed(3)}:1, scale ${scaleRatio.toFixed(3)}:1`;
+  }
+
+  function duplicateOf(record) {
+    const count = duplicates.get(record);
+    return count > 1 ? `${count} ${String(record.type || '').trim()} products use this code` : '';
+  }
+
+  // product pages end in "<name>-<code>", e.g. .../eggplant-y0864
+  function linkMismatch(record) {
+    const link = String(record['product-link'] || '').trim();
+    const code = String(record.code || '').trim().toLowerCase();
+    if (!link || !code || link.toLowerCase().includes(code)) return '';
+    return link;
+  }
+
+  function keyFor(record) {
+    return `${String(record.type || '').trim()}::${String(record.code || '').trim().toLowerCase()}`;
+  }
+
+  /** Recount everything for a new set of records (duplicates need all of them). */
+  function refresh(list) {
+    records = Array.isArray(list) ? list : [];
+    const byKey = new Map();
+    records.forEach((r) => {
+      if (!String(r.code || '').trim()) return;
+      const key = keyFor(r);
+      byKey.set(key, (byKey.get(key) || 0) + 1);
+    });
+    duplicates = new WeakMap();
+    issues = new WeakMap();
+    records.forEach((r) => {
+      if (String(r.code || '').trim()) duplicates.set(r, byKey.get(keyFor(r)));
+      const found = FIELDS.filter((field) => missing(r, field)).map(missingLabel);
+      CHECKS.forEach((check) => { if (check.explain(r)) found.push(check.label); });
+      issues.set(r, found);
+    });
+  }
+
+  function issuesFor(record) {
+    return (record && issues.get(record)) || [];
+  }
+
+  // --------- Dashboard ----------
+  function el(tag, className, content) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (content != null) node.textContent = content;
+    return node;
+  }
+
+  function typesOf() {
+    return Array.from(new Set(records.map((r) => String(r.type || '').trim()).filter(Boolean))).sort();
+  }
+
+  function countCell(issue, type, rows, totalRows) {
+    const td = el('td', 'quality-count');
+    const count = rows.filter((r) => issuesFor(r).includes(issue)).length;
+    if (!count) {
+      td.appendChild(el('span', 'quality-zero', '0'));
+      return td;
+    }
+    const button = el('button', 'quality-pick', String(count));
+    button.type = 'button';
+    button.title = `Show the ${count} ${type ? `${type} ` : ''}products: ${issue.toLowerCase()}`;
+    button.addEventListener('click', () => {
+      if (typeof _opts.onPick === 'function') _opts.onPick(issue, type);
+    });
+    td.appendChild(button);
+    if (totalRows) td.appendChild(el('span', 'quality-share', ` ${((count / totalRows) * 100).toFixed(1)}%`));
+    return td;
+  }
+
+  function issueTable(caption, firstHeader, labels, types) {
+    const table = el('table', 'quality-table');
+    table.appendChild(el('caption', '', caption));
+    const head = document.createElement('tr');
+    head.appendChild(el('th', '', firstHeader));
+    types.forEach((type) => head.appendChild(el('th', '', `${type} (${records.filter((r) => String(r.type || '').trim() === type).length})`)));
+    head.appendChild(el('th', '', `All (${records.length})`));
+    head.querySelectorAll('th').forEach((th) => th.setAttribute('scope', 'col'));
+    const thead = document.createElement('thead');
+    thead.appendChild(head);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    labels.forEach((item) => {
+      const tr = document.createElement('tr');
+      const th = el('th', '', item.text);
+      th.setAttribute('scope', 'row');
+      tr.appendChild(th);
+      types.forEach((type) => {
+        const rows = records.filter((r) => String(r.type || '').trim() === type);
+        tr.appendChild(countCell(item.issue, type, rows, rows.length));
+      });
+      tr.appendChild(countCell(item.issue, null, records, records.length));
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    return table;
+  }
+
+  function examples(check) {
+    const hits = records.filter((r) => issuesFor(r).includes(check.label));
+    if (!hits.length) return null;
+    const details = el('details', 'quality-examples');
+    details.appendChild(el('summary', '', `${check.label}: ${hits.length}`));
+    const list = el('ul');
+    hits.slice(0, EXAMPLE_LIMIT).forEach((r) => {
+      const li = el('li');
+      li.appendChild(el('strong', '', [r.type, r.code].filter(Boolean).join(' ')));
+      li.appendChild(document.createTextNode(` ${r.name || ''} — ${check.explain(r)}`));
+      list.appendChild(li);
+    });
+    if (hits.length > EXAMPLE_LIMIT) list.appendChild(el('li', 'quality-more', `and ${hits.length - EXAMPLE_LIMIT} more`));
+    details.appendChild(list);
+    return details;
+  }
+
+  function render(container) {
+    if (!container) return;
+    container.innerHTML = '';
+    container.appendChild(el('h2', 'quality-title', 'Data quality'));
+    if (!records.length) {
+      container.appendChild(el('p', 'quality-intro', 'No data loaded.'));
+      return;
+    }
+    container.appendChild(el('p', 'quality-intro', `Checks over all ${records.length} loaded products, whatever the filters. Click a count to show those products in the table.`));
+    const types = typesOf();
+    container.appendChild(issueTable('Missing values', 'Field', FIELDS.map((field) => ({ text: field.label, issue: missingLabel(field) })), types));
+    container.appendChild(issueTable('Suspicious values', 'Check', CHECKS.map((check) => ({ text: check.label, issue: check.label })), types));
+    CHECKS.forEach((check) => {
+      const node = examples(check);
+      if (node) container.appendChild(node);
+    });
+  }
+
+  function init(opts) {
+    _opts = opts || {};
+  }
+
+  global.DataQuality = {
+    FACET_KEY,
+    init,
+    refresh,
+    render,
+    issuesFor,
+  };
+})(window);
@@ -0,0 +1,200 @@
+/* similar.js
+   "Find similar": the Similar button on a row or card ranks every other product by
+   how much it looks like that one, most similar first. The score (0-100) blends the
+   image signatures from the image-features sidecar (perceptual hash for pattern,
+   colour histogram for colour; see imagehash.js) with overlap of design groups,
+   species, shade and finish. Without signatures only the attributes count, and
+   products lacking them rank below those that have them.
+   Requires DataSources (sources.js), ImageHash (imagehash.js) and ImageFeatures
+   (imagefeatures.js); load before viewer.js. Uses Viewer at click time.
+   Usage:
+     SimilarSearch.init({ clearButton, onChange: (message) => rebuild(message) });
+     SimilarSearch.start(record);                // rank against `record`
+     record[SimilarSearch.SCORE_KEY];            // 0-100 while active
+*/
+
+(function (global) {
+  const SCORE_KEY = '__similarity';
+  const BUTTON_CLASS = 'similar-btn';
+  // image vs attribute share of the score, and pattern vs colour within the image part
+  const IMAGE_WEIGHT = 0.65;
+  const HASH_WEIGHT = 0.4;
+  const ATTRIBUTE_FIELDS = ['design_groups', 'species', 'shade', 'finish'];
+
+  let _opts = {};
+  let _reference = null;
+  let _ranked = 0;
+  let clearButton = null;
+
+  function init(opts) {
+    _opts = opts || {};
+    clearButton = _opts.clearButton || null;
+    if (clearButton) clearButton.addEventListener('click', stop);
+    // rows and cards are re-rendered all the time, so listen once on the document
+    document.addEventListener('click', (event) => {
+      const button = event.target && event.target.closest ? event.target.closest(`.${BUTTON_CLASS}`) : null;
+      if (!button || !global.Viewer) return;
+      const record = global.Viewer.recordForElement(button);
+      if (!record) return;
+      if (record === _reference) stop();
+      else start(record);
+    });
+    syncClearButton();
+  }
+
+  function active() {
+    return !!_reference;
+  }
+
+  function isReference(record) {
+    return !!_reference && record === _reference;
+  }
+
+  function label(record) {
+    return [record.code, record.name].map((v) => String(v == null ? '' : v).trim()).filter(Boolean).join(' ');
+  }
+
+  /** "Similar to Y0864 Black: 1474 ranked" for the status line, '' when off. */
+  function summary() {
+    if (!_reference) return '';
+    return `Similar to ${label(_reference)}: ${_ranked} ranked`;
+  }
+
+  /** The Similar button for a row or card; pressed on the current reference. */
+  function buttonHtml(record) {
+    const pressed = isReference(record);
+    const title = pressed ? 'Stop ranking by similarity' : 'Rank other products by how much they look like this one';
+    return `<button type="button" class="${BUTTON_CLASS}" aria-pressed="${pressed}" title="${title}">Similar</button>`;
+  }
+
+  // --------- Scoring ----------
+  function tokens(record, key) {
+    const raw = record[key];
+    const list = raw == null ? [] : (Array.isArray(raw) ? raw : [raw]);
+    const out = new Set();
+    list.forEach((v) => {
+      // finish entries are { code, name }; the name is what looks alike
+      const text = v && typeof v === 'object' ? (v.name || v.code) : v;
+      const norm = String(text == null ? '' : text).trim().toLowerCase();
+      if (norm) out.add(norm);
+    });
+    return out;
+  }
+
+  // Mean Jaccard overlap over the fields either product has values for.
+  function attributeSimilarity(a, b) {
+    let sum = 0;
+    let fields = 0;
+    ATTRIBUTE_FIELDS.forEach((key) => {
+      const ta = tokens(a, key);
+      const tb = tokens(b, key);
+      if (!ta.size && !tb.size) return;
+      let shared = 0;
+      ta.forEach((t) => { if (tb.has(t)) shared += 1; });
+      sum += shared / (ta.size + tb.size - shared);
+      fields += 1;
+    });
+    return fields ? sum / fields : 0;
+  }
+
+  function imageSimilarity(featuresA, featuresB) {
+    if (!featuresA || !featuresB) return null;
+    const hash = global.ImageHash.hashSimilarity(featuresA.phash, featuresB.phash);
+    const hist = global.ImageHash.histogramSimilarity(featuresA.hist, featuresB.hist);
+    if (hash == null && hist == null) return null;
+    if (hash == null) return hist;
+    if (hist == null) return hash;
+    return HASH_WEIGHT * hash + (1 - HASH_WEIGHT) * hist;
+  }
+
+  function setScore(record, value) {
+    global.DataSources.annotate(record, SCORE_KEY, value);
+  }
+
+  function rank() {
+    const refFeatures = global.ImageFeatures.get(_reference);
+    const useImage = !!imageSimilarity(refFeatures, refFeatures);
+    _ranked = 0;
+    global.DataSources.records().forEach((record) => {
+      if (record === _reference) {
+        setScore(record, 100);
+        return;
+      }
+      const attributes = attributeSimilarity(_reference, record);
+      let score = attributes;
+      if (useImage) {
+        const image = imageSimilarity(refFeatures, global.ImageFeatures.get(record));
+        score = (1 - IMAGE_WEIGHT) * attributes + IMAGE_WEIGHT * (image || 0);
+      }
+      setScore(record, Math.round(score * 1000) / 10);
+      _ranked += 1;
+    });
+  }
+
+  function notify(message) {
+    syncClearButton();
+    if (typeof _opts.onChange === 'function') _opts.onChange(message);
+  }
+
+  function syncClearButton() {
+    if (!clearButton) return;
+    clearButton.hidden = !_reference;
+    clearButton.textContent = _reference ? `Similar to ${label(_reference)} ×` : '';
+    clearButton.title = 'Stop ranking by similarity';
+  }
+
+  /** Rank every loaded product against `record`. */
+  function start(record) {
+    if (!record) return Promise.resolve(false);
+    return global.ImageFeatures.load().then((hasFeatures) => {
+      _reference = record;
+      rank();
+      const imageless = !imageSimilarity(global.ImageFeatures.get(record), global.ImageFeatures.get(record));
+      let note = '';
+      if (!hasFeatures) note = 'No image signatures (analyse the images from Color search, or run "node wilsonart-image-features.js"), ranked by attributes only';
+      else if (imageless) note = 'No image signature for this product, ranked by attributes only';
+      notify(note);
+      return true;
+    });
+  }
+
+  function stop() {
+    if (!_reference) return;
+    _reference = null;
+    global.DataSources.records().forEach((record) => {
+      if (record[SCORE_KEY] !== undefined) setScore(record, undefined);
+    });
+    notify('Similarity off');
+  }
+
+  /** Sources were added or removed: rank the new set against the same product. */
+  function refresh() {
+    if (!_reference) return;
+    // a reloaded source brings a new object for the same product
+    const key = global.ImageFeatures.keyFor(_reference);
+    const records = global.DataSources.records();
+    if (!records.includes(_reference)) {
+      const same = records.find((r) => global.ImageFeatures.keyFor(r) === key);
+      if (!same) {
+        _reference = null;
+        syncClearButton();
+        return;
+      }
+      _reference = same;
+    }
+    rank();
+  }
+
+  global.SimilarSearch = {
+    SCORE_KEY,
+    init,
+    active,
+    isReference,
+    summary,
+    buttonHtml,
+    start,
+    stop,
+    refresh,
+    attributeSimilarity,
+  };
+})(window);
@@ -0,0 +1,234 @@
+/* sorting.js
+   Type-aware, multi-column row sorting for the viewer table.
+   Usage:
+     const sorted = TableSort.sort(rows, [
+       { key: 'code', dir: 'asc' },            // primary
+       { key: 'texture_scale', dir: 'desc' },  // secondary (shift-click)
+     ], { aliases: { colors: ['color'] } });
+
+   Empty values always sink to the bottom, whichever way a column is sorted.
+   Ties fall back to the original source order so results are stable.
+   Add-on columns can pick a comparator: TableSort.setKind('__colorDistance', 'number').
+*/
+
+(function (global) {
+  const ORIGINAL_INDEX_KEY = '__sourceRowIndex';
+  const SHEET_SIZE_PARSE_RE = /^(\d+(?:\.\d+)?)' x (\d+(?:\.\d+)?)'$/;
+
+  // Column key -> comparator kind. Anything not listed sorts naturally as text.
+  const SORT_KINDS = {
+    [ORIGINAL_INDEX_KEY]: 'number',
+    texture_scale: 'area',
+    no_repeat_texture_scale: 'area',
+    texture_image_pixels: 'area',
+    sheet_sizes: 'sheet',
+    finish: 'finish',
+    no_repeat: 'boolean',
+  };
+
+  const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+  const arrify = (v) => v == null ? [] : (Array.isArray(v) ? v : [v]);
+
+  function cleanList(values) {
+    const out = [];
+    for (let i = 0; i < values.length; i += 1) {
+      const value = values[i];
+      if (value == null) continue;
+      const str = typeof value === 'string' ? value.trim() : value;
+      if (str === '') continue;
+      out.push(str);
+    }
+    return out;
+  }
+
+  function rawValue(row, key, aliases) {
+    if (!row || typeof row !== 'object') return undefined;
+    const direct = row[key];
+    if (cleanList(arrify(direct)).length) return direct;
+    const alts = aliases && aliases[key];
+    if (Array.isArray(alts)) {
+      for (let i = 0; i < alts.length; i += 1) {
+        const alt = row[alts[i]];
+        if (cleanList(arrify(alt)).length) return alt;
+      }
+    }
+    return direct;
+  }
+
+  // --------- Sort keys (null means "empty") ----------
+
+  function areaKey(value) {
+    if (!value || typeof value !== 'object') return null;
+    const w = Number(value.width);
+    const h = Number(value.height);
+    const hasW = Number.isFinite(w) && w > 0;
+    const hasH = Number.isFinite(h) && h > 0;
+    if (hasW && hasH) return w * h;
+    if (hasW) return w;
+    if (hasH) return h;
+    return null;
+  }
+
+  // Matches the scrapers' sortSheetSizeLabels: width feet, then height feet.
+  function parseSheet(label) {
+    if (typeof label !== 'string') return null;
+    const match = SHEET_SIZE_PARSE_RE.exec(label.trim());
+    if (!match) return null;
+    const widthFeet = Number(match[1]);
+    const heightFeet = Number(match[2]);
+    if (!Number.isFinite(widthFeet) || !Number.isFinite(heightFeet)) return null;
+    return [widthFeet, heightFeet];
+  }
+
+  function sheetKey(value) {
+    const sizes = [];
+    const labels = cleanList(arrify(value));
+    for (let i = 0; i < labels.length; i += 1) {
+      const parsed = parseSheet(labels[i]);
+      if (parsed) sizes.push(parsed);
+    }
+    if (!sizes.length) return null;
+    sizes.sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+    const flat = [];
+    for (let i = 0; i < sizes.length; i += 1) flat.push(sizes[i][0], sizes[i][1]);
+    return flat;
+  }
+
+  // Matches the scrapers' sortFinishEntries: numeric part of the code, then the code itself.
+  function compareFinishCodes(a, b) {
+    const an = a.match(/\d+/);
+    const bn = b.match(/\d+/);
+    const aNum = an ? Number(an[0]) : NaN;
+    const bNum = bn ? Number(bn[0]) : NaN;
+    const aHas = Number.isFinite(aNum);
+    const bHas = Number.isFinite(bNum);
+    if (aHas && bHas && aNum !== bNum) return aNum - bNum;
+    if (aHas && !bHas) return -1;
+    if (!aHas && bHas) return 1;
+    return collator.compare(a, b);
+  }
+
+  function finishKey(value) {
+    const codes = [];
+    const entries = arrify(value);
+    for (let i = 0; i < entries.length; i += 1) {
+      const entry = entries[i];
+      const code = entry && typeof entry === 'object' ? entry.code : entry;
+      if (code == null) continue;
+      const str = String(code).trim();
+      if (str) codes.push(str);
+    }
+    if (!codes.length) return null;
+    return codes.sort(compareFinishCodes);
+  }
+
+  function booleanKey(value) {
+    if (value === true) return 1;
+    if (value === false) return 0;
+    return null;
+  }
+
+  function numberKey(value) {
+    const n = Number(value);
+    return value == null || value === '' || !Number.isFinite(n) ? null : n;
+  }
+
+  function naturalKey(value) {
+    const parts = cleanList(arrify(value)).map((v) => (typeof v === 'object' ? JSON.stringify(v) : String(v)));
+    return parts.length ? parts.join(', ') : null;
+  }
+
+  function sortKeyFor(kind, value) {
+    switch (kind) {
+      case 'area': return areaKey(value);
+      case 'sheet': return sheetKey(value);
+      case 'finish': return finishKey(value);
+      case 'boolean': return booleanKey(value);
+      case 'number': return numberKey(value);
+      default: return naturalKey(value);
+    }
+  }
+
+  function compareLists(a, b, compareItem) {
+    const len = Math.min(a.length, b.length);
+    for (let i = 0; i < len; i += 1) {
+      const cmp = compareItem(a[i], b[i]);
+      if (cmp !== 0) return cmp;
+    }
+    return a.length - b.length;
+  }
+
+  function compareKeys(kind, a, b) {
+    switch (kind) {
+      case 'sheet': return compareLists(a, b, (x, y) => x - y);
+      case 'finish': return compareLists(a, b, compareFinishCodes);
+      case 'area':
+      case 'boolean':
+      case 'number': return a - b;
+      default: return collator.compare(a, b);
+    }
+  }
+
+  function kindOf(key) {
+    return SORT_KINDS[key] || 'natural';
+  }
+
+  function sourceIndex(row) {
+    return row && typeof row[ORIGINAL_INDEX_KEY] === 'number' ? row[ORIGINAL_INDEX_KEY] : Infinity;
+  }
+
+  // Public API
+  const TableSort = {
+    kindOf,
+    setKind(key, kind) {
+      SORT_KINDS[key] = kind;
+    },
+    sort(rows, spec, opts = {}) {
+      const source = Array.isArray(rows) ? rows : [];
+      const sorts = (Array.isArray(spec) ? spec : []).filter((s) => s && s.key);
+      const aliases = opts.aliases || null;
+      const decorated = source.map((row, index) => ({
+        row,
+        index,
+        source: sourceIndex(row),
+        keys: sorts.map((s) => sortKeyFor(kindOf(s.key), rawValue(row, s.key, aliases))),
+      }));
+
+      decorated.sort((a, b) => {
+        for (let i = 0; i < sorts.length; i += 1) {
+          const ak = a.keys[i];
+          const bk = b.keys[i];
+          if (ak === null && bk === null) continue;
+          if (ak === null) return 1;
+          if (bk === null) return -1;
+          const cmp = compareKeys(kindOf(sorts[i].key), ak, bk);
+          if (cmp !== 0) return sorts[i].dir === 'desc' ? -cmp : cmp;
+        }
+        if (a.source !== b.source) return a.source < b.source ? -1 : 1;
+        return a.index - b.index;
+      });
+
+      return decorated.map((item) => item.row);
+    },
+    /**
+     * Next sort spec after a header click.
+     * Plain click: sort by that column alone (asc -> desc -> off).
+     * Additive (shift) click: add it as the next key, or flip/remove it in place.
+     */
+    toggle(spec, key, additive) {
+      const current = Array.isArray(spec) ? spec.filter((s) => s && s.key) : [];
+      const existing = current.find((s) => s.key === key);
+      const nextDir = !existing ? 'asc' : (existing.dir === 'asc' ? 'desc' : null);
+      if (!additive) {
+        if (existing && current.length > 1) return [{ key, dir: 'asc' }];
+        return nextDir ? [{ key, dir: nextDir }] : [];
+      }
+      if (!existing) return [...current, { key, dir: 'asc' }];
+      if (!nextDir) return current.filter((s) => s.key !== key);
+      return current.map((s) => (s.key === key ? { key, dir: nextDir } : s));
+    },
+  };
+
+  global.TableSort = TableSort;
+})(window);
@@ -0,0 +1,327 @@
+/* sources.js
+   Loaded data sources: the bundled HPL/TFL details plus any JSON files picked or
+   dropped on the page. Each source keeps its own records and type; the viewer
+   merges them. Every record is labelled with the source it came from
+   (record[DataSources.SOURCE_KEY], not enumerable so exports and diffs ignore it).
+   Sources show as removable chips in the toolbar. When a file's type can't be
+   guessed from its name and its records don't carry one, the user picks it.
+   Usage:
+     DataSources.init({ fileInput, chips, onChange: (message) => rebuild(message), onStatus });
+     DataSources.add({ label: 'wilsonart-laminate-details.json', type: 'HPL', records });
+     DataSources.list();   // [{ id, label, type, records }]
+     DataSources.records();                      // every loaded record, source by source
+     DataSources.annotate(record, '__score', 3); // a value exports and diffs don't see
+*/
+
+(function (global) {
+  const SOURCE_KEY = '__source';
+  const KNOWN_TYPES = ['HPL', 'TFL'];
+  const DROP_CLASS = 'is-dropping-files';
+
+  let _opts = {};
+  let _sources = [];
+  let _nextId = 1;
+  let _dragDepth = 0;
+
+  function init(opts) {
+    _opts = opts || {};
+    const input = _opts.fileInput;
+    if (input) {
+      input.multiple = true;
+      input.addEventListener('change', () => {
+        const files = input.files ? Array.from(input.files) : [];
+        readFiles(files).finally(() => { input.value = ''; });
+      });
+    }
+    bindDrop();
+    renderChips();
+  }
+
+  function inferType(name) {
+    if (!name) return '';
+    const lower = String(name).toLowerCase();
+    if (lower.includes('tfl')) return 'TFL';
+    if (lower.includes('laminate')) return 'HPL';
+    return '';
+  }
+
+  /** Set `key` on a record without making it enumerable, so exports and diffs skip it. */
+  function annotate(record, key, value) {
+    try {
+      Object.defineProperty(record, key, {
+        value,
+        writable: true,
+        configurable: true,
+        enumerable: false,
+      });
+    } catch (err) {
+      record[key] = value;
+    }
+  }
+
+  function labelRecords(records, label) {
+    for (let i = 0; i < records.length; i += 1) annotate(records[i], SOURCE_KEY, label);
+  }
+
+  /** Add (or replace, when the label is already loaded) a source. Does not call onChange. */
+  function add(source) {
+    const records = (Array.isArray(source.records) ? source.records : [])
+      .filter((r) => r && typeof r === 'object' && !Array.isArray(r));
+    const label = String(source.label || `Source ${_nextId}`);
+    labelRecords(records, label);
+    const entry = { id: _nextId, label, type: source.type || '', records };
+    _nextId += 1;
+    const existing = _sources.findIndex((s) => s.label === label);
+    if (existing >= 0) _sources.splice(existing, 1, entry);
+    else _sources.push(entry);
+    renderChips();
+    return entry;
+  }
+
+  function remove(id) {
+    const source = _sources.find((s) => s.id === id);
+    if (!source) return;
+    _sources = _sources.filter((s) => s !== source);
+    renderChips();
+    notify(`Removed ${source.label}`);
+  }
+
+  function list() {
+    return _sources.slice();
+  }
+
+  function records() {
+    const out = [];
+    _sources.forEach((s) => { for (let i = 0; i < s.records.length; i += 1) out.push(s.records[i]); });
+    return out;
+  }
+
+  // the set of sources changed; the viewer rebuilds its data
+  function notify(message) {
+    if (typeof _opts.onChange === 'function') _opts.onChange(message);
+  }
+
+  // nothing changed, just tell the user why
+  function status(message) {
+    if (typeof _opts.onStatus === 'function') _opts.onStatus(message);
+  }
+
+  // --------- Files ----------
+  async function parseFile(file) {
+    const text = await file.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`not valid JSON (${err.message})`);
+    }
+    if (!Array.isArray(json)) throw new Error('expected a JSON array of product records');
+    return json;
+  }
+
+  function needsType(records) {
+    return records.some((r) => r && typeof r === 'object' && !(typeof r.type === 'string' && r.type.trim()));
+  }
+
+  async function readFiles(files) {
+    if (!files.length) return;
+    const skipped = [];
+    const parsed = [];
+    for (let i = 0; i < files.length; i += 1) {
+      const file = files[i];
+      if (!/\.json$/i.test(file.name) && file.type !== 'application/json') {
+        skipped.push(`${file.name}: not a .json file`);
+        continue;
+      }
+      try {
+        const records = await parseFile(file);
+        parsed.push({ label: file.name, type: inferType(file.name), records });
+      } catch (err) {
+        skipped.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    let loaded = parsed;
+    const unknown = parsed.filter((p) => !p.type && needsType(p.records));
+    if (unknown.length) {
+      const choices = await promptTypes(unknown);
+      if (choices) {
+        unknown.forEach((p, i) => { p.type = choices[i]; });
+      } else {
+        unknown.forEach((p) => skipped.push(`${p.label}: cancelled`));
+        loaded = parsed.filter((p) => !unknown.includes(p));
+      }
+    }
+
+    const skippedText = skipped.join('; ');
+    if (!loaded.length) {
+      status(`Nothing loaded (${skippedText})`);
+      return;
+    }
+    loaded.forEach((p) => add(p));
+    notify(`Loaded ${loaded.map((p) => p.label).join(', ')}${skipped.length ? ` — skipped ${skippedText}` : ''}`);
+  }
+
+  // --------- Type prompt ----------
+  function knownTypes() {
+    const types = new Set(KNOWN_TYPES);
+    _sources.forEach((s) => {
+      if (s.type) types.add(s.type);
+      s.records.forEach((r) => {
+        if (typeof r.type === 'string' && r.type.trim()) types.add(r.type.trim());
+      });
+    });
+    return Array.from(types);
+  }
+
+  /** Resolves to one type per pending file ('' = leave untyped), or null on cancel. */
+  function promptTypes(pending) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.className = 'source-type-overlay';
+      const dialog = document.createElement('form');
+      dialog.className = 'popover-panel source-type-prompt';
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', 'source-type-title');
+
+      const title = document.createElement('h2');
+      title.id = 'source-type-title';
+      title.textContent = 'Which product type is in these files?';
+      dialog.appendChild(title);
+      const hint = document.createElement('p');
+      hint.className = 'source-type-hint';
+      hint.textContent = 'The file name doesn’t say, and some records have no "type". Records that do have one keep it.';
+      dialog.appendChild(hint);
+
+      const types = knownTypes();
+      const selects = pending.map((p) => {
+        const label = document.createElement('label');
+        label.className = 'source-type-row';
+        const name = document.createElement('span');
+        name.className = 'source-type-name';
+        name.textContent = `${p.label} (${p.records.length})`;
+        name.title = p.label;
+        const select = document.createElement('select');
+        types.forEach((t) => select.appendChild(new Option(t, t)));
+        select.appendChild(new Option('No type', ''));
+        label.appendChild(name);
+        label.appendChild(select);
+        dialog.appendChild(label);
+        return select;
+      });
+
+      const footer = document.createElement('div');
+      footer.className = 'source-type-footer';
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.textContent = 'Cancel';
+      const ok = document.createElement('button');
+      ok.type = 'submit';
+      ok.textContent = 'Load';
+      footer.appendChild(cancel);
+      footer.appendChild(ok);
+      dialog.appendChild(footer);
+
+      const finish = (result) => {
+        document.removeEventListener('keydown', onKey, true);
+        overlay.remove();
+        resolve(result);
+      };
+      const onKey = (event) => {
+        if (event.key === 'Escape' || event.key === 'Esc') {
+          event.preventDefault();
+          event.stopPropagation();
+          finish(null);
+        }
+      };
+      cancel.addEventListener('click', () => finish(null));
+      dialog.addEventListener('submit', (event) => {
+        event.preventDefault();
+        finish(selects.map((s) => s.value));
+      });
+      document.addEventListener('keydown', onKey, true);
+
+      overlay.appendChild(dialog);
+      document.body.appendChild(overlay);
+      if (selects[0]) selects[0].focus();
+    });
+  }
+
+  // --------- Drag and drop ----------
+  function hasFiles(event) {
+    const types = event.dataTransfer && event.dataTransfer.types;
+    return !!types && Array.from(types).includes('Files');
+  }
+
+  function bindDrop() {
+    document.addEventListener('dragenter', (event) => {
+      if (!hasFiles(event)) return;
+      _dragDepth += 1;
+      document.body.classList.add(DROP_CLASS);
+    });
+    document.addEventListener('dragleave', (event) => {
+      if (!hasFiles(event)) return;
+      _dragDepth = Math.max(0, _dragDepth - 1);
+      if (!_dragDepth) document.body.classList.remove(DROP_CLASS);
+    });
+    document.addEventListener('dragover', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    });
+    document.addEventListener('drop', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      _dragDepth = 0;
+      document.body.classList.remove(DROP_CLASS);
+      readFiles(Array.from(event.dataTransfer.files || []));
+    });
+  }
+
+  // --------- Chips ----------
+  function renderChips() {
+    const wrap = _opts.chips;
+    if (!wrap) return;
+    wrap.innerHTML = '';
+    _sources.forEach((source) => {
+      const chip = document.createElement('span');
+      chip.className = 'source-chip';
+      chip.title = `${source.label}: ${source.records.length} records${source.type ? ` (${source.type})` : ''}`;
+
+      const label = document.createElement('span');
+      label.className = 'source-chip__label';
+      label.textContent = source.label;
+      chip.appendChild(label);
+
+      const meta = document.createElement('span');
+      meta.className = 'source-chip__meta';
+      meta.textContent = [source.type, source.records.length].filter((v) => v !== '').join(' · ');
+      chip.appendChild(meta);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'source-chip__remove';
+      removeBtn.setAttribute('aria-label', `Remove ${source.label}`);
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', () => remove(source.id));
+      chip.appendChild(removeBtn);
+
+      wrap.appendChild(chip);
+    });
+  }
+
+  const DataSources = {
+    SOURCE_KEY,
+    init,
+    add,
+    remove,
+    list,
+    records,
+    annotate,
+    readFiles,
+    inferType,
+  };
+
+  global.DataSources = DataSources;
+})(window);
@@ -0,0 +1,398 @@
+/* surface.js
+   Real-world scale preview. Adds a "Surface preview" section to the product
+   detail drawer that tiles the texture across a surface of the size you enter
+   (a 10' x 26" countertop, a 30" x 36" door, ...) using texture_scale inches, so
+   the pattern shows at its true size relative to the surface. No-repeat designs
+   can use no_repeat_texture_scale instead, with the preview's own repeats outlined.
+   Dashed lines show where seams fall when the surface is cut from one of the
+   record's sheet_sizes (sheet length runs with the pattern's width).
+   Lengths are typed and shown in the toolbar's units (units.js).
+   Requires viewer.js (window.Viewer), detail.js (window.ProductDetail) and Units (units.js).
+*/
+
+(function () {
+  const STORAGE_KEY = 'wilsonart-viewer:surface-preview';
+  const PRESETS = [
+    { label: 'Countertop', width: 120, height: 26 },
+    { label: 'Island top', width: 96, height: 42 },
+    { label: 'Tabletop', width: 60, height: 30 },
+    { label: 'Cabinet door', width: 30, height: 36 },
+    { label: 'Wall panel', width: 48, height: 96 },
+  ];
+  const MAX_HEIGHT = 320;   // css px the preview may grow to
+  const MAX_TILES = 5000;   // give up drawing past this many repeats
+  const AUTO_SHEET = 'auto';
+  const NO_SHEET = '';
+
+  // one decoded texture at a time; the drawer shows one product
+  let textureCache = { url: '', promise: null };
+
+  // --------- Lengths ----------
+  // typed and shown in the units picked in the toolbar (units.js); inches inside
+  function parseLength(value) {
+    return window.Units.parseLength(value);
+  }
+
+  function formatLength(inches) {
+    return window.Units.formatLength(inches);
+  }
+
+  /** "4' x 8'" -> { width: 48, height: 96, label } or null; the label in the shown units */
+  function parseSheet(label) {
+    const sheet = window.Units.parseSheet(label);
+    return sheet ? { width: sheet.width, height: sheet.height, label: window.Units.formatSheet(label) } : null;
+  }
+
+  function scaleOf(value) {
+    if (!value || typeof value !== 'object') return null;
+    const width = Number(value.width);
+    const height = Number(value.height);
+    return width > 0 && height > 0 ? { width, height } : null;
+  }
+
+  // --------- Sheets and seams ----------
+  function multiples(step, total) {
+    const out = [];
+    for (let at = step; at < total - 1e-6; at += step) out.push(at);
+    return out;
+  }
+
+  /**
+   * Sheets laid with their length along the pattern's width (across the surface,
+   * or down it when the pattern is turned). Returns seam positions in inches.
+   */
+  function sheetLayout(surface, sheet, turned) {
+    const long = Math.max(sheet.width, sheet.height);
+    const short = Math.min(sheet.width, sheet.height);
+    const across = turned ? short : long;
+    const down = turned ? long : short;
+    const seamsX = multiples(across, surface.width);
+    const seamsY = multiples(down, surface.height);
+    return { sheet, seamsX, seamsY, count: (seamsX.length + 1) * (seamsY.length + 1) };
+  }
+
+  function bestSheet(surface, sheets, turned) {
+    let best = null;
+    sheets.forEach((sheet) => {
+      const layout = sheetLayout(surface, sheet, turned);
+      if (!best || layout.count < best.count) best = layout;
+    });
+    return best;
+  }
+
+  // --------- Storage ----------
+  function readSettings() {
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed && parsed.width > 0 && parsed.height > 0) return parsed;
+    } catch (err) {
+      // unreadable; fall back to the first preset
+    }
+    return { width: PRESETS[0].width, height: PRESETS[0].height, turned: false };
+  }
+
+  function saveSettings(settings) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+      // storage unavailable; the surface lasts for this page only
+    }
+  }
+
+  // --------- Texture ----------
+  function loadImage(url, crossOrigin) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      if (crossOrigin) img.crossOrigin = 'anonymous';
+      img.referrerPolicy = 'no-referrer';
+      img.onload = () => resolve(img.naturalWidth ? img : null);
+      img.onerror = () => resolve(null);
+      img.src = url;
+    });
+  }
+
+  // CORS first so canvases drawn from it can be saved; hosts without CORS still display
+  function loadTextureImage(url) {
+    return loadImage(url, true).then((img) => img || loadImage(url, false));
+  }
+
+  /** Resolves to a drawable (img, or canvas for banner-cropped records) or null. Shared with match.js. */
+  function loadTexture(record) {
+    const url = String(window.Viewer.fieldValue(record, 'texture_image_url') || '').trim();
+    if (!url) return Promise.resolve(null);
+    const key = `${record.banner_cropped === true ? 'banner:' : ''}${url}`;
+    if (textureCache.url === key) return textureCache.promise;
+    let promise;
+    if (record.banner_cropped === true) {
+      const canvas = document.createElement('canvas');
+      promise = Promise.resolve(window.Viewer.drawBannerCrop(canvas, url, 93)).then((ok) => (ok ? canvas : null));
+    } else {
+      promise = loadTextureImage(url);
+    }
+    textureCache = { url: key, promise };
+    return promise;
+  }
+
+  /** Copy of an img/canvas turned 90° clockwise. */
+  function turnedCopy(source) {
+    const w = source.naturalWidth || source.width;
+    const h = source.naturalHeight || source.height;
+    const canvas = document.createElement('canvas');
+    canvas.width = h;
+    canvas.height = w;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+    ctx.translate(h, 0);
+    ctx.rotate(Math.PI / 2);
+    ctx.drawImage(source, 0, 0, w, h);
+    return canvas;
+  }
+
+  // --------- Drawing ----------
+  function line(ctx, x1, y1, x2, y2) {
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+  }
+
+  function draw(canvas, state) {
+    const { surface, tile, texture, layout, outlineTiles } = state;
+    const maxWidth = Math.max(200, (canvas.parentElement && canvas.parentElement.clientWidth) || 480);
+    const ppi = Math.min(maxWidth / surface.width, MAX_HEIGHT / surface.height);
+    const cssW = Math.max(1, Math.round(surface.width * ppi));
+    const cssH = Math.max(1, Math.round(surface.height * ppi));
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(cssW * dpr);
+    canvas.height = Math.round(cssH * dpr);
+    canvas.style.width = `${cssW}px`;
+    canvas.style.height = `${cssH}px`;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cssW, cssH);
+
+    const tw = tile.width * ppi;
+    const th = tile.height * ppi;
+    const tiles = Math.ceil(cssW / tw) * Math.ceil(cssH / th);
+    if (texture && tiles <= MAX_TILES) {
+      for (let y = 0; y < cssH; y += th) {
+        for (let x = 0; x < cssW; x += tw) ctx.drawImage(texture, x, y, tw, th);
+      }
+    } else {
+      ctx.fillStyle = '#2a2f3a';
+      ctx.fillRect(0, 0, cssW, cssH);
+    }
+
+    if (outlineTiles) {
+      ctx.strokeStyle = 'rgba(255,255,255,.55)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 3]);
+      multiples(tw, cssW).forEach((x) => line(ctx, x, 0, x, cssH));
+      multiples(th, cssH).forEach((y) => line(ctx, 0, y, cssW, y));
+    }
+
+    if (layout) {
+      ctx.setLineDash([6, 4]);
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = '#f59e0b';
+      layout.seamsX.forEach((at) => line(ctx, at * ppi, 0, at * ppi, cssH));
+      layout.seamsY.forEach((at) => line(ctx, 0, at * ppi, cssW, at * ppi));
+    }
+
+    ctx.setLineDash([]);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255,255,255,.35)';
+    ctx.strokeRect(0.5, 0.5, cssW - 1, cssH - 1);
+  }
+
+  // --------- Section ----------
+  function field(labelText, control) {
+    const label = document.createElement('label');
+    label.className = 'surface-field';
+    const span = document.createElement('span');
+    span.textContent = labelText;
+    label.appendChild(span);
+    label.appendChild(control);
+    return label;
+  }
+
+  function presetLabel(preset) {
+    return `${preset.label} (${formatLength(preset.width)} × ${formatLength(preset.height)})`;
+  }
+
+  function render(record) {
+    const textureScale = scaleOf(window.Viewer.fieldValue(record, 'texture_scale'));
+    const noRepeatScale = window.Viewer.fieldValue(record, 'no_repeat') === true
+      ? scaleOf(window.Viewer.fieldValue(record, 'no_repeat_texture_scale'))
+      : null;
+    if (!window.Viewer.fieldValue(record, 'texture_image_url')) return null;
+    if (!textureScale && !noRepeatScale) {
+      const note = document.createElement('p');
+      note.className = 'detail-empty';
+      note.textContent = 'No texture scale for this product, so it can’t be shown at real size.';
+      return note;
+    }
+
+    const settings = readSettings();
+    const sheets = (Array.isArray(record.sheet_sizes) ? record.sheet_sizes : [record.sheet_sizes])
+      .map(parseSheet).filter(Boolean);
+    let sheetChoice = AUTO_SHEET;
+    let scaleChoice = noRepeatScale ? 'no_repeat' : 'texture';
+
+    const wrap = document.createElement('div');
+    wrap.className = 'surface-preview';
+    const controls = document.createElement('div');
+    controls.className = 'surface-controls';
+
+    const preset = document.createElement('select');
+    PRESETS.forEach((p, i) => preset.appendChild(new Option(presetLabel(p), String(i))));
+    preset.appendChild(new Option('Custom', 'custom'));
+    const widthInput = document.createElement('input');
+    widthInput.type = 'text';
+    widthInput.size = 7;
+    widthInput.value = formatLength(settings.width);
+    widthInput.title = window.Units.isMetric() ? 'e.g. 305 cm, 660 mm or centimetres' : 'e.g. 10\', 26", 10\' 6" or inches';
+    const heightInput = document.createElement('input');
+    heightInput.type = 'text';
+    heightInput.size = 7;
+    heightInput.value = formatLength(settings.height);
+    heightInput.title = widthInput.title;
+
+    const sheetSelect = document.createElement('select');
+    if (sheets.length) sheetSelect.appendChild(new Option('Fewest seams', AUTO_SHEET));
+    sheets.forEach((sheet, i) => sheetSelect.appendChild(new Option(sheet.label, String(i))));
+    sheetSelect.appendChild(new Option('No seams', NO_SHEET));
+    sheetSelect.disabled = !sheets.length;
+    if (!sheets.length) sheetChoice = NO_SHEET;
+
+    const turn = document.createElement('input');
+    turn.type = 'checkbox';
+    turn.checked = !!settings.turned;
+    const turnLabel = document.createElement('label');
+    turnLabel.className = 'surface-turn';
+    turnLabel.appendChild(turn);
+    turnLabel.appendChild(document.createTextNode(' Turn pattern 90°'));
+
+    controls.appendChild(field('Surface', preset));
+    controls.appendChild(field('Width', widthInput));
+    controls.appendChild(field('Height', heightInput));
+    controls.appendChild(field('Sheet', sheetSelect));
+    let scaleSelect = null;
+    if (noRepeatScale && textureScale) {
+      scaleSelect = document.createElement('select');
+      scaleSelect.appendChild(new Option(`No-repeat (${window.Viewer.formatScale(noRepeatScale)})`, 'no_repeat'));
+      scaleSelect.appendChild(new Option(`Texture (${window.Viewer.formatScale(textureScale)})`, 'texture'));
+      scaleSelect.addEventListener('change', () => { scaleChoice = scaleSelect.value; update(); });
+      controls.appendChild(field('Image scale', scaleSelect));
+    }
+    controls.appendChild(turnLabel);
+    wrap.appendChild(controls);
+
+    const stage = document.createElement('div');
+    stage.className = 'surface-stage';
+    const canvas = document.createElement('canvas');
+    canvas.className = 'surface-canvas';
+    canvas.setAttribute('role', 'img');
+    stage.appendChild(canvas);
+    wrap.appendChild(stage);
+    const note = document.createElement('p');
+    note.className = 'surface-note';
+    note.setAttribute('aria-live', 'polite');
+    wrap.appendChild(note);
+
+    let texture = null;
+    let turnedTexture = null;
+
+    function surfaceFromInputs() {
+      const width = parseLength(widthInput.value);
+      const height = parseLength(heightInput.value);
+      widthInput.classList.toggle('is-invalid', !(width > 0));
+      heightInput.classList.toggle('is-invalid', !(height > 0));
+      return width > 0 && height > 0 ? { width, height } : null;
+    }
+
+    function syncPreset(surface) {
+      const index = PRESETS.findIndex((p) => surface && p.width === surface.width && p.height === surface.height);
+      preset.value = index >= 0 ? String(index) : 'custom';
+    }
+
+    function update() {
+      const surface = surfaceFromInputs();
+      syncPreset(surface);
+      if (!surface) {
+        note.textContent = `Enter the surface width and height, e.g. ${formatLength(120)} and ${formatLength(26)}.`;
+        return;
+      }
+      const turned = turn.checked;
+      saveSettings({ width: surface.width, height: surface.height, turned });
+
+      const base = scaleChoice === 'no_repeat' && noRepeatScale ? noRepeatScale : (textureScale || noRepeatScale);
+      const tile = turned ? { width: base.height, height: base.width } : base;
+      let layout = null;
+      if (sheetChoice === AUTO_SHEET) layout = bestSheet(surface, sheets, turned);
+      else if (sheetChoice !== NO_SHEET) layout = sheetLayout(surface, sheets[Number(sheetChoice)], turned);
+
+      const source = turned ? (turnedTexture || (texture && (turnedTexture = turnedCopy(texture)))) : texture;
+      const outlineTiles = !!noRepeatScale;
+      draw(canvas, { surface, tile, texture: source, layout, outlineTiles });
+
+      const size = `${formatLength(surface.width)} × ${formatLength(surface.height)}`;
+      canvas.setAttribute('aria-label', `${size} surface in ${[record.code, record.name].filter(Boolean).join(' ')}`);
+      const parts = [`${size} surface, pattern ${window.Viewer.formatScale(tile)} per repeat`];
+      if (layout) {
+        const seams = layout.seamsX.length + layout.seamsY.length;
+        parts.push(`${layout.count} ${layout.count === 1 ? 'piece' : 'pieces'} of ${layout.sheet.label}${seams ? ` (${seams} ${seams === 1 ? 'seam' : 'seams'}, dashed)` : ', no seams'}`);
+        const other = sheetChoice === AUTO_SHEET ? bestSheet(surface, sheets, !turned) : sheetLayout(surface, layout.sheet, !turned);
+        if (other && other.count < layout.count) parts.push(`turning the pattern needs ${other.count}`);
+      }
+      if (outlineTiles) parts.push('no-repeat design: the sheet itself doesn’t repeat; dotted lines mark where this preview repeats the sample');
+      if (!texture) parts.push('loading image…');
+      note.textContent = `${parts.join(' · ')}.`;
+    }
+
+    preset.addEventListener('change', () => {
+      const p = PRESETS[Number(preset.value)];
+      if (!p) return;
+      widthInput.value = formatLength(p.width);
+      heightInput.value = formatLength(p.height);
+      update();
+    });
+    widthInput.addEventListener('change', update);
+    heightInput.addEventListener('change', update);
+    sheetSelect.addEventListener('change', () => { sheetChoice = sheetSelect.value; update(); });
+    turn.addEventListener('change', update);
+
+    update();
+    loadTexture(record).then((img) => {
+      texture = img;
+      turnedTexture = null;
+      if (!img) {
+        note.textContent = 'The texture image couldn’t be loaded.';
+        return;
+      }
+      if (canvas.isConnected) update();
+    });
+    return wrap;
+  }
+
+  function init() {
+    if (!window.Viewer || !window.ProductDetail) return;
+    window.ProductDetail.registerSection('Surface preview', render);
+  }
+
+  window.SurfacePreview = {
+    parseLength,
+    formatLength,
+    parseSheet,
+    loadTexture,
+    turnedCopy,
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init, { once: true });
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,364 @@
+/* sw.js
+   Service worker that lets the viewer work offline.
+   - App files and both details JSON files are precached on install. Same-origin
+     requests go to the network first (so a fresh scrape shows up) and fall back
+     to the cache after NETWORK_TIMEOUT_MS or when offline. The viewer's
+     `cache: 'no-store'` only skips the HTTP cache; this worker still answers.
+   - Texture images (any cross-origin image) are cache-first in their own cache,
+     trimmed least-recently-used to IMAGE_CACHE_MAX_BYTES. Opaque (no-CORS)
+     responses don't say how big they are and browsers charge them a padded size
+     against quota, so the browser's own storage estimate is checked as well.
+     Whether a host sends CORS headers is found out once per origin.
+   - offline.js talks to it over postMessage to download images ahead of time,
+     read cache stats and clear the image cache.
+   Bump APP_VERSION when the file list or app files change so clients refetch them.
+*/
+
+const APP_VERSION = 'v7';
+const APP_CACHE = `wilsonart-viewer-app-${APP_VERSION}`;
+const IMAGE_CACHE = 'wilsonart-viewer-images';
+const META_CACHE = 'wilsonart-viewer-meta';
+const LRU_INDEX_URL = './__image-lru.json';
+const CORS_INDEX_URL = './__image-cors.json';
+const IMAGE_CACHE_MAX_BYTES = 1024 * 1024 * 1024;   // 1 GB
+// ...and never more than this share of the origin's quota
+const QUOTA_SHARE = 0.8;
+// opaque responses don't reveal their size; a floor for the index until the estimate says more
+const OPAQUE_SIZE_ESTIMATE = 400 * 1024;
+const TRIM_BATCH = 10;
+const NETWORK_TIMEOUT_MS = 4000;
+const LRU_SAVE_DELAY_MS = 2000;
+
+const PRECACHE = [
+  './',
+  './index.html',
+  './styles.css',
+  './manifest.webmanifest',
+  './icon.svg',
+  './theme.js',
+  './popover.js',
+  './filters.js',
+  './sorting.js',
+  './columns.js',
+  './urlstate.js',
+  './sources.js',
+  './diff.js',
+  './calibration.js',
+  './colorlab.js',
+  './imagefeatures.js',
+  './colorsearch.js',
+  './imagehash.js',
+  './similar.js',
+  './tags.js',
+  './units.js',
+  './quality.js',
+  './offline.js',
+  './viewer.js',
+  './compare.js',
+  './detail.js',
+  './surface.js',
+  './match.js',
+  './boards.js',
+  './export.js',
+  './qrcode.js',
+  './print.js',
+  './wilsonart-laminate-details.json',
+  './wilsonart-tfl-laminate-details.json',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then((cache) => cache.addAll(PRECACHE.map((url) => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith('wilsonart-viewer-app-') && key !== APP_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (isImageRequest(request, url)) {
+    event.respondWith(imageResponse(request));
+  }
+});
+
+// --------- App files ----------
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('network timeout')), ms);
+    promise.then(
+      (value) => { clearTimeout(timer); resolve(value); },
+      (err) => { clearTimeout(timer); reject(err); }
+    );
+  });
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(APP_CACHE);
+  // the URL state lives in the query string; the page is the same file
+  const key = request.mode === 'navigate' ? './index.html' : request;
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  });
+  try {
+    return await withTimeout(network, NETWORK_TIMEOUT_MS);
+  } catch (err) {
+    const cached = await cache.match(key, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    // nothing cached: wait for the slow network after all
+    return network;
+  }
+}
+
+// --------- Images ----------
+function isImageRequest(request, url) {
+  return request.destination === 'image' || /\.(?:jpe?g|png|webp|gif|avif)$/i.test(url.pathname);
+}
+
+let lru = null;       // url -> { bytes, used }
+let lruLoading = null;
+let lruSaveTimer = 0;
+let corsByOrigin = null;          // origin -> true (sends CORS headers) | false
+let corsLoading = null;
+const corsProbes = new Map();     // origin -> Promise<boolean> while the first request runs
+
+function loadLru() {
+  if (lru) return Promise.resolve(lru);
+  if (lruLoading) return lruLoading;
+  lruLoading = caches.open(META_CACHE)
+    .then((cache) => cache.match(LRU_INDEX_URL))
+    .then((res) => (res ? res.json() : {}))
+    .catch(() => ({}))
+    .then(async (stored) => {
+      lru = new Map(Object.entries(stored || {}));
+      // images cached without an index entry (the worker stopped before saving)
+      const cache = await caches.open(IMAGE_CACHE);
+      const keys = await cache.keys();
+      const present = new Set(keys.map((req) => req.url));
+      keys.forEach((req) => {
+        if (!lru.has(req.url)) lru.set(req.url, { bytes: OPAQUE_SIZE_ESTIMATE, used: 0 });
+      });
+      Array.from(lru.keys()).forEach((url) => { if (!present.has(url)) lru.delete(url); });
+      return lru;
+    });
+  return lruLoading;
+}
+
+function scheduleLruSave() {
+  clearTimeout(lruSaveTimer);
+  lruSaveTimer = setTimeout(saveLru, LRU_SAVE_DELAY_MS);
+}
+
+function saveLru() {
+  if (!lru) return Promise.resolve();
+  const body = JSON.stringify(Object.fromEntries(lru));
+  return caches.open(META_CACHE)
+    .then((cache) => cache.put(LRU_INDEX_URL, new Response(body, { headers: { 'Content-Type': 'application/json' } })));
+}
+
+function totalBytes() {
+  let total = 0;
+  lru.forEach((entry) => { total += entry.bytes; });
+  return total;
+}
+
+// What the browser charges this origin, padding included; null when it won't say.
+async function storageEstimate() {
+  try {
+    if (!self.navigator.storage || typeof self.navigator.storage.estimate !== 'function') return null;
+    const { usage, quota } = await self.navigator.storage.estimate();
+    return Number.isFinite(usage) && quota > 0 ? { usage, quota } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function limitFor(estimate) {
+  return estimate ? Math.min(IMAGE_CACHE_MAX_BYTES, estimate.quota * QUOTA_SHARE) : IMAGE_CACHE_MAX_BYTES;
+}
+
+async function evictOldest(count, keepUrl) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const oldest = Array.from(lru.entries()).sort((a, b) => a[1].used - b[1].used);
+  let evicted = 0;
+  for (let i = 0; i < oldest.length && evicted < count; i += 1) {
+    const url = oldest[i][0];
+    if (url === keepUrl) continue;
+    await cache.delete(url);
+    lru.delete(url);
+    evicted += 1;
+  }
+  return evicted;
+}
+
+async function trimImages(keepUrl) {
+  // our own count first: exact for CORS responses
+  while (totalBytes() > IMAGE_CACHE_MAX_BYTES) {
+    if (!(await evictOldest(1, keepUrl))) return;
+  }
+  // then the browser's, which is the one that runs out with opaque responses
+  let estimate = await storageEstimate();
+  while (estimate && estimate.usage > limitFor(estimate)) {
+    if (!(await evictOldest(TRIM_BATCH, keepUrl))) return;
+    const next = await storageEstimate();
+    // the estimate can lag the deletes; don't empty the cache waiting for it
+    if (!next || next.usage >= estimate.usage) return;
+    estimate = next;
+  }
+}
+
+async function responseBytes(response) {
+  if (response.type === 'opaque') return OPAQUE_SIZE_ESTIMATE;
+  const length = Number(response.headers.get('content-length'));
+  if (length > 0) return length;
+  const blob = await response.clone().blob();
+  return blob.size;
+}
+
+function loadCors() {
+  if (corsByOrigin) return Promise.resolve(corsByOrigin);
+  if (corsLoading) return corsLoading;
+  corsLoading = caches.open(META_CACHE)
+    .then((cache) => cache.match(CORS_INDEX_URL))
+    .then((res) => (res ? res.json() : {}))
+    .catch(() => ({}))
+    .then((stored) => {
+      corsByOrigin = new Map(Object.entries(stored || {}));
+      return corsByOrigin;
+    });
+  return corsLoading;
+}
+
+function rememberCors(origin, sendsCors) {
+  corsByOrigin.set(origin, sendsCors);
+  const body = JSON.stringify(Object.fromEntries(corsByOrigin));
+  return caches.open(META_CACHE)
+    .then((cache) => cache.put(CORS_INDEX_URL, new Response(body, { headers: { 'Content-Type': 'application/json' } })))
+    .catch(() => {});
+}
+
+// CORS when the host allows it (canvas can read those pixels, and their size is known);
+// an opaque response only for plain <img> requests that don't need either.
+// The first request to a host finds out which, so later ones make a single request.
+async function fetchImage(url, mode) {
+  const init = { credentials: 'omit', referrerPolicy: 'no-referrer' };
+  const cors = () => fetch(url, Object.assign({ mode: 'cors' }, init));
+  const noCors = () => fetch(url, Object.assign({ mode: 'no-cors' }, init));
+  if (mode === 'cors') return cors();
+  const origin = new URL(url).origin;
+  await loadCors();
+  if (corsByOrigin.get(origin) === false) return noCors();
+  if (corsByOrigin.get(origin) === true) return cors().catch(noCors);
+  const probe = corsProbes.get(origin);
+  if (probe) return (await probe) ? cors().catch(noCors) : noCors();
+  let settle;
+  corsProbes.set(origin, new Promise((resolve) => { settle = resolve; }));
+  try {
+    const res = await cors();
+    rememberCors(origin, true);
+    settle(true);
+    return res;
+  } catch (err) {
+    // a CORS failure looks like a network error; only a working no-cors fetch tells them apart
+    try {
+      const res = await noCors();
+      rememberCors(origin, false);
+      settle(false);
+      return res;
+    } catch (offline) {
+      settle(false);
+      throw offline;
+    }
+  } finally {
+    corsProbes.delete(origin);
+  }
+}
+
+async function cacheImage(url, mode) {
+  const cache = await caches.open(IMAGE_CACHE);
+  await loadLru();
+  const cached = await cache.match(url);
+  if (cached && (mode !== 'cors' || cached.type !== 'opaque')) {
+    const entry = lru.get(url) || { bytes: await responseBytes(cached), used: 0 };
+    entry.used = Date.now();
+    lru.set(url, entry);
+    scheduleLruSave();
+    return { response: cached, bytes: entry.bytes, hit: true };
+  }
+  const response = await fetchImage(url, mode);
+  if (response.ok || response.type === 'opaque') {
+    const bytes = await responseBytes(response);
+    try {
+      await cache.put(url, response.clone());
+    } catch (err) {
+      if (!err || err.name !== 'QuotaExceededError') throw err;
+      // the estimate was behind; make room and try once more, else just don't cache it
+      await evictOldest(TRIM_BATCH, url);
+      try {
+        await cache.put(url, response.clone());
+      } catch (again) {
+        scheduleLruSave();
+        return { response, bytes: 0, hit: false };
+      }
+    }
+    lru.set(url, { bytes, used: Date.now() });
+    await trimImages(url);
+    scheduleLruSave();
+    return { response, bytes, hit: false };
+  }
+  return { response, bytes: 0, hit: false };
+}
+
+async function imageResponse(request) {
+  try {
+    const result = await cacheImage(request.url, request.mode);
+    return result.response;
+  } catch (err) {
+    return fetch(request);
+  }
+}
+
+// --------- Messages from offline.js ----------
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  const port = event.ports && event.ports[0];
+  const reply = (value) => { if (port) port.postMessage(value); };
+  let work = null;
+  if (data.type === 'cache-image' && data.url) {
+    // same rules as a thumbnail <img>, so a download-all covers what the table shows
+    work = cacheImage(data.url, 'no-cors')
+      .then((result) => reply({ ok: result.response.ok || result.response.type === 'opaque', hit: result.hit, bytes: result.bytes }))
+      .catch((err) => reply({ ok: false, error: err.message }));
+  } else if (data.type === 'image-stats') {
+    work = Promise.all([loadLru(), storageEstimate()]).then(([, estimate]) => reply({
+      count: lru.size,
+      bytes: totalBytes(),
+      maxBytes: limitFor(estimate),
+      usage: estimate ? estimate.usage : null,
+    }));
+  } else if (data.type === 'clear-images') {
+    work = caches.delete(IMAGE_CACHE)
+      .then(() => {
+        lru = new Map();
+        return saveLru();
+      })
+      .then(() => reply({ ok: true }));
+  } else if (data.type === 'flush') {
+    work = saveLru().then(() => reply({ ok: true }));
+  }
+  if (work) event.waitUntil(work);
+});
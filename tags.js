@@ -0,0 +1,308 @@
+/* tags.js
+   Private tags ("in showroom", "client favorite", "avoid – scratches") and a
+   free-text note per product. They are kept in this browser (localStorage),
+   keyed "<type>::<code>" so they survive catalog rescrapes, and can be exported
+   as a JSON overlay and imported on another machine (imported tags are merged).
+   Tags are a "My tags" facet and column, and tags and notes are searchable.
+   They are edited in the detail drawer's "Tags & notes" section.
+   Requires Filters (filters.js) and DataSources (sources.js); load before viewer.js.
+   The overlay downloads through export.js (window.LaminateExport).
+   Usage:
+     ProductTags.init({ onChange: (message) => rebuildFilters(message) });
+     ProductTags.tagsFor(record);              // ['client favorite', ...]
+     record[ProductTags.TAGS_KEY];             // the same, set by refresh()
+*/
+
+(function (global) {
+  const STORAGE_KEY = 'wilsonart-viewer:product-tags';
+  const FACET_KEY = 'my_tags';
+  const TAGS_KEY = '__tags';
+  const OVERLAY_FORMAT = 'wilsonart-viewer-tags';
+  const OVERLAY_VERSION = 1;
+  const MAX_TAG_LENGTH = 40;
+
+  let _opts = {};
+  // key -> { tags: [], note: '' }
+  let entries = readEntries();
+
+  global.Filters.registerFacet(FACET_KEY, {
+    label: 'My tags',
+    values: (row) => tagsFor(row),
+    open: true,
+  });
+  global.Filters.registerSearchText((row) => {
+    const entry = entries[keyFor(row)];
+    return entry ? entry.tags.concat(entry.note || []) : null;
+  });
+
+  // --------- Storage ----------
+  function cleanTags(list) {
+    const out = [];
+    (Array.isArray(list) ? list : []).forEach((tag) => {
+      const text = String(tag == null ? '' : tag).replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+      if (text && !out.some((t) => t.toLowerCase() === text.toLowerCase())) out.push(text);
+    });
+    return out;
+  }
+
+  function cleanEntries(raw) {
+    const out = Object.create(null);
+    if (!raw || typeof raw !== 'object') return out;
+    Object.keys(raw).forEach((key) => {
+      const value = raw[key];
+      if (!value || typeof value !== 'object') return;
+      const tags = cleanTags(value.tags);
+      const note = typeof value.note === 'string' ? value.note : '';
+      if (tags.length || note.trim()) out[key] = { tags, note };
+    });
+    return out;
+  }
+
+  function readEntries() {
+    try {
+      const parsed = JSON.parse(global.localStorage.getItem(STORAGE_KEY) || 'null');
+      return cleanEntries(parsed && parsed.products);
+    } catch (err) {
+      return Object.create(null);
+    }
+  }
+
+  function saveEntries() {
+    try {
+      global.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: OVERLAY_VERSION, products: entries }));
+    } catch (err) {
+      // storage may be full or disabled; tags still apply for this page
+    }
+  }
+
+  // --------- Records ----------
+  function keyFor(record) {
+    if (!record) return '';
+    const code = String(record.code || record.name || '').trim();
+    return `${String(record.type || '').trim()}::${code}`;
+  }
+
+  function tagsFor(record) {
+    const entry = entries[keyFor(record)];
+    return entry ? entry.tags.slice() : [];
+  }
+
+  function noteFor(record) {
+    const entry = entries[keyFor(record)];
+    return entry ? entry.note : '';
+  }
+
+  /** Every tag in use, most used first. */
+  function allTags() {
+    const counts = new Map();
+    Object.keys(entries).forEach((key) => {
+      entries[key].tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+  }
+
+  /** Copy tags onto every loaded record (for sorting and the column). */
+  function refresh() {
+    global.DataSources.records().forEach((record) => {
+      const tags = tagsFor(record);
+      global.DataSources.annotate(record, TAGS_KEY, tags.length ? tags : undefined);
+    });
+  }
+
+  function update(record, change) {
+    const key = keyFor(record);
+    const entry = entries[key] || { tags: [], note: '' };
+    const next = {
+      tags: cleanTags(change.tags != null ? change.tags : entry.tags),
+      note: change.note != null ? String(change.note) : entry.note,
+    };
+    if (next.tags.length || next.note.trim()) entries[key] = next;
+    else delete entries[key];
+    saveEntries();
+    refresh();
+    notify('');
+  }
+
+  function notify(message) {
+    if (typeof _opts.onChange === 'function') _opts.onChange(message);
+  }
+
+  // --------- Overlay import / export ----------
+  function exportOverlay() {
+    const payload = {
+      format: OVERLAY_FORMAT,
+      version: OVERLAY_VERSION,
+      exported: new Date().toISOString(),
+      products: entries,
+    };
+    global.LaminateExport.download(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), 'wilsonart-viewer-tags.json');
+  }
+
+  /** Merge an exported overlay: tags are combined, differing notes are both kept. Returns products touched. */
+  function importOverlay(json) {
+    if (!json || json.format !== OVERLAY_FORMAT || !json.products || typeof json.products !== 'object') {
+      throw new Error('not a tags file');
+    }
+    const incoming = cleanEntries(json.products);
+    const keys = Object.keys(incoming);
+    keys.forEach((key) => {
+      const mine = entries[key];
+      const theirs = incoming[key];
+      if (!mine) {
+        entries[key] = theirs;
+        return;
+      }
+      const notes = [mine.note, theirs.note].map((n) => n.trim()).filter(Boolean);
+      entries[key] = {
+        tags: cleanTags(mine.tags.concat(theirs.tags)),
+        note: notes.length === 2 && notes[0] !== notes[1] ? notes.join('\n') : (notes[0] || ''),
+      };
+    });
+    saveEntries();
+    refresh();
+    return keys.length;
+  }
+
+  // --------- Detail drawer section ----------
+  function renderSection(record) {
+    const wrap = document.createElement('div');
+    wrap.className = 'tags-editor';
+
+    const list = document.createElement('ul');
+    list.className = 'tags-list';
+    list.setAttribute('aria-label', 'Tags');
+    wrap.appendChild(list);
+
+    const form = document.createElement('form');
+    form.className = 'tags-add';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = MAX_TAG_LENGTH;
+    input.placeholder = 'Add a tag (e.g. in showroom)';
+    input.setAttribute('aria-label', 'New tag');
+    const datalistId = `tags-suggestions-${Math.random().toString(36).slice(2, 8)}`;
+    const datalist = document.createElement('datalist');
+    datalist.id = datalistId;
+    input.setAttribute('list', datalistId);
+    const add = document.createElement('button');
+    add.type = 'submit';
+    add.textContent = 'Add';
+    form.appendChild(input);
+    form.appendChild(datalist);
+    form.appendChild(add);
+    wrap.appendChild(form);
+
+    const note = document.createElement('textarea');
+    note.className = 'tags-note';
+    note.rows = 3;
+    note.placeholder = 'Private note';
+    note.setAttribute('aria-label', 'Private note');
+    note.value = noteFor(record);
+    wrap.appendChild(note);
+
+    const footer = document.createElement('div');
+    footer.className = 'tags-footer';
+    const message = document.createElement('span');
+    message.className = 'tags-message';
+    message.setAttribute('aria-live', 'polite');
+    const exportBtn = document.createElement('button');
+    exportBtn.type = 'button';
+    exportBtn.textContent = 'Export all tags';
+    const importBtn = document.createElement('button');
+    importBtn.type = 'button';
+    importBtn.textContent = 'Import tags…';
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = 'application/json,.json';
+    file.hidden = true;
+    footer.appendChild(message);
+    footer.appendChild(exportBtn);
+    footer.appendChild(importBtn);
+    footer.appendChild(file);
+    wrap.appendChild(footer);
+
+    function renderTags() {
+      list.innerHTML = '';
+      const tags = tagsFor(record);
+      tags.forEach((tag) => {
+        const li = document.createElement('li');
+        li.className = 'pill tags-pill';
+        li.appendChild(document.createTextNode(tag));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'tags-remove';
+        remove.setAttribute('aria-label', `Remove tag ${tag}`);
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+          update(record, { tags: tagsFor(record).filter((t) => t !== tag) });
+          renderTags();
+          input.focus();
+        });
+        li.appendChild(remove);
+        list.appendChild(li);
+      });
+      datalist.innerHTML = '';
+      allTags().filter((t) => !tags.includes(t)).forEach((t) => datalist.appendChild(new Option(t)));
+      exportBtn.disabled = !Object.keys(entries).length;
+    }
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      // "a, b" adds two tags
+      const added = input.value.split(',');
+      if (!cleanTags(added).length) return;
+      update(record, { tags: tagsFor(record).concat(added) });
+      input.value = '';
+      renderTags();
+    });
+    note.addEventListener('change', () => update(record, { note: note.value }));
+    exportBtn.addEventListener('click', exportOverlay);
+    importBtn.addEventListener('click', () => file.click());
+    file.addEventListener('change', () => {
+      const chosen = file.files && file.files[0];
+      file.value = '';
+      if (!chosen) return;
+      chosen.text()
+        .then((text) => {
+          const count = importOverlay(JSON.parse(text));
+          renderTags();
+          note.value = noteFor(record);
+          message.textContent = `Imported tags for ${count} product${count === 1 ? '' : 's'}.`;
+          notify(`Imported tags from ${chosen.name}`);
+        })
+        .catch((err) => {
+          message.textContent = `${chosen.name}: ${err.message}`;
+        });
+    });
+
+    renderTags();
+    return wrap;
+  }
+
+  function init(opts) {
+    _opts = opts || {};
+  }
+
+  // the drawer loads after this file
+  function registerSection() {
+    if (global.ProductDetail) global.ProductDetail.registerSection('Tags & notes', renderSection);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', registerSection, { once: true });
+  } else {
+    registerSection();
+  }
+
+  global.ProductTags = {
+    FACET_KEY,
+    TAGS_KEY,
+    init,
+    tagsFor,
+    noteFor,
+    allTags,
+    refresh,
+    exportOverlay,
+    importOverlay,
+  };
+})(window);
@@ -0,0 +1,124 @@
+/* theme.js
+   Dark, light and high-contrast themes, plus an optional neutral-gray surround
+   for texture previews. "Auto" follows prefers-color-scheme (and
+   prefers-contrast: more); an explicit choice and the surround are kept in
+   localStorage. The theme is data-theme on <html>, so styles.css does the rest.
+   Loaded in <head> so the page never paints in the wrong theme; the toolbar
+   controls (#theme-select, #surround-toggle) are wired once the body exists.
+   Usage:
+     Theme.set('light');          // 'auto' | 'dark' | 'light' | 'contrast'
+     Theme.current();             // the theme in effect, never 'auto'
+     Theme.setSurround(true);
+*/
+
+(function (global) {
+  const THEME_KEY = 'wilsonart-viewer:theme';
+  const SURROUND_KEY = 'wilsonart-viewer:neutral-surround';
+  const THEMES = {
+    auto: 'Auto theme',
+    dark: 'Dark',
+    light: 'Light',
+    contrast: 'High contrast',
+  };
+  // browser chrome colour per theme (matches --bg)
+  const CHROME_COLORS = { dark: '#0b0c0f', light: '#f4f5f7', contrast: '#000000' };
+  const SURROUND_CLASS = 'has-neutral-surround';
+
+  const root = document.documentElement;
+  const media = (query) => (typeof global.matchMedia === 'function' ? global.matchMedia(query) : null);
+  const prefersLight = media('(prefers-color-scheme: light)');
+  const prefersContrast = media('(prefers-contrast: more)');
+
+  function read(key) {
+    try {
+      return global.localStorage.getItem(key);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function write(key, value) {
+    try {
+      if (value == null) global.localStorage.removeItem(key);
+      else global.localStorage.setItem(key, value);
+    } catch (err) {
+      // storage unavailable; the choice lasts for this page only
+    }
+  }
+
+  let choice = THEMES[read(THEME_KEY)] ? read(THEME_KEY) : 'auto';
+  let surround = read(SURROUND_KEY) === '1';
+
+  function current() {
+    if (choice !== 'auto') return choice;
+    if (prefersContrast && prefersContrast.matches) return 'contrast';
+    return prefersLight && prefersLight.matches ? 'light' : 'dark';
+  }
+
+  function apply() {
+    const theme = current();
+    root.setAttribute('data-theme', theme);
+    root.classList.toggle(SURROUND_CLASS, surround);
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta) meta.setAttribute('content', CHROME_COLORS[theme]);
+    syncControls();
+  }
+
+  function set(next) {
+    if (!THEMES[next]) return;
+    choice = next;
+    // 'auto' is the default, so it isn't stored
+    write(THEME_KEY, next === 'auto' ? null : next);
+    apply();
+  }
+
+  function setSurround(on) {
+    surround = !!on;
+    write(SURROUND_KEY, surround ? '1' : null);
+    apply();
+  }
+
+  // --------- Toolbar controls ----------
+  function syncControls() {
+    const select = document.getElementById('theme-select');
+    if (select) select.value = choice;
+    const toggle = document.getElementById('surround-toggle');
+    if (toggle) toggle.setAttribute('aria-pressed', surround ? 'true' : 'false');
+  }
+
+  function initControls() {
+    const select = document.getElementById('theme-select');
+    if (select) {
+      select.innerHTML = '';
+      Object.keys(THEMES).forEach((key) => select.appendChild(new Option(THEMES[key], key)));
+      select.addEventListener('change', () => set(select.value));
+    }
+    const toggle = document.getElementById('surround-toggle');
+    if (toggle) toggle.addEventListener('click', () => setSurround(!surround));
+    syncControls();
+  }
+
+  // the system setting can change while the page is open (e.g. at sunset)
+  [prefersLight, prefersContrast].forEach((query) => {
+    if (!query) return;
+    const onChange = () => { if (choice === 'auto') apply(); };
+    if (typeof query.addEventListener === 'function') query.addEventListener('change', onChange);
+    else if (typeof query.addListener === 'function') query.addListener(onChange);
+  });
+
+  apply();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initControls, { once: true });
+  } else {
+    initControls();
+  }
+
+  global.Theme = {
+    THEMES,
+    choice: () => choice,
+    current,
+    set,
+    surround: () => surround,
+    setSurround,
+  };
+})(window);
@@ -0,0 +1,162 @@
+/* units.js
+   Imperial / metric display of lengths. The data stays in inches and in the
+   scraped sheet labels ("4' x 8'"); only what is shown changes. Metric shows
+   texture scales in centimetres and sheet sizes in millimetres, converted from
+   the parsed labels. The size range filters read and show their bounds in the
+   current unit too. The choice is kept in localStorage.
+   Usage:
+     Units.init({ onChange: (mode) => rerender() });
+     Units.setMode('metric');                 // or 'imperial'
+     Units.formatScale({ width: 96, height: 60 });   // 96" x 60"  |  243.8 x 152.4 cm
+     Units.formatSheet("4' x 8'");                   // 4' x 8'    |  1219 x 2438 mm
+     Units.formatLength(126);                        // 10' 6"     |  320.04 cm
+     Units.parseLength('30 cm');                     // inches (ft, in, mm, cm, m; bare = shown unit)
+*/
+
+(function (global) {
+  const STORAGE_KEY = 'wilsonart-viewer:units';
+  const MODES = ['imperial', 'metric'];
+  const MM_PER_INCH = 25.4;
+
+  let _opts = {};
+  let mode = readMode();
+
+  function readMode() {
+    try {
+      const stored = global.localStorage.getItem(STORAGE_KEY);
+      if (MODES.includes(stored)) return stored;
+    } catch (err) {
+      // storage unavailable; start imperial
+    }
+    return 'imperial';
+  }
+
+  function getMode() {
+    return mode;
+  }
+
+  function isMetric() {
+    return mode === 'metric';
+  }
+
+  function setMode(next) {
+    if (!MODES.includes(next) || next === mode) return;
+    mode = next;
+    try {
+      global.localStorage.setItem(STORAGE_KEY, mode);
+    } catch (err) {
+      // storage unavailable; the choice lasts for this page only
+    }
+    syncButtons();
+    if (typeof _opts.onChange === 'function') _opts.onChange(mode);
+  }
+
+  // --------- Parsing ----------
+  // rounded so 66.04 cm reads back as exactly 26"
+  function fromMm(mm) {
+    return Math.round((mm / MM_PER_INCH) * 1e6) / 1e6;
+  }
+
+  // inches from a typed or scraped length; `bare` is the unit of a number without one
+  function readLength(value, bare) {
+    const s = String(value == null ? '' : value).trim().toLowerCase()
+      .replace(/[″”]/g, '"').replace(/[′’]/g, "'").replace(/,/g, '.');
+    const metric = s.match(/^(\d+(?:\.\d+)?)\s*(mm|cm|m)$/);
+    if (metric) return fromMm(Number(metric[1]) * { mm: 1, cm: 10, m: 1000 }[metric[2]]);
+    if (bare === 'cm' && /^\d+(?:\.\d+)?$/.test(s)) return fromMm(Number(s) * 10);
+    const m = s.match(/^(?:(\d+(?:\.\d+)?)\s*(?:'|ft|feet|foot))?\s*(?:(\d+(?:\.\d+)?)\s*(?:"|in|inch|inches)?)?$/);
+    if (!s || !m || (m[1] == null && m[2] == null)) return NaN;
+    return (m[1] != null ? Number(m[1]) * 12 : 0) + (m[2] != null ? Number(m[2]) : 0);
+  }
+
+  /**
+   * Inches from 10', 26", 10' 6", 4.5 ft, 30 in, 762 mm, 76.2 cm, 0.76 m or a bare
+   * number (inches in imperial mode, centimetres in metric). NaN if unreadable.
+   */
+  function parseLength(value) {
+    return readLength(value, isMetric() ? 'cm' : 'in');
+  }
+
+  /** "4' x 8'" -> { width: 48, height: 96 } in inches, or null. Bare numbers are inches. */
+  function parseSheet(label) {
+    const parts = String(label == null ? '' : label).split(/\s*[x×]\s*/i);
+    if (parts.length !== 2) return null;
+    const width = readLength(parts[0], 'in');
+    const height = readLength(parts[1], 'in');
+    if (!(width > 0) || !(height > 0)) return null;
+    return { width, height };
+  }
+
+  // --------- Formatting ----------
+  function trim(n, places) {
+    return Number(n).toFixed(places).replace(/\.?0+$/, '');
+  }
+
+  function round(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  /** 26 -> 26", 120 -> 10', 126 -> 10' 6"; metric: 66.04 cm, 304.8 cm, 320.04 cm */
+  function formatLength(inches) {
+    if (!Number.isFinite(inches)) return '';
+    // to the 0.1 mm, so whole and hundredth inches survive a round trip through the inputs
+    if (isMetric()) return `${trim(inches * MM_PER_INCH / 10, 2)} cm`;
+    if (inches < 36) return `${round(inches)}"`;
+    const feet = Math.floor(inches / 12);
+    const rest = round(inches - feet * 12);
+    return rest ? `${feet}' ${rest}"` : `${feet}'`;
+  }
+
+  /** Texture scale { width, height } in inches: 96" x 60" or 243.8 x 152.4 cm. '' when empty. */
+  function formatScale(scale) {
+    if (!scale || typeof scale !== 'object') return '';
+    const hasW = scale.width != null && Number.isFinite(Number(scale.width));
+    const hasH = scale.height != null && Number.isFinite(Number(scale.height));
+    if (!hasW && !hasH) return '';
+    if (isMetric()) {
+      const w = hasW ? trim(Number(scale.width) * MM_PER_INCH / 10, 1) : '';
+      const h = hasH ? trim(Number(scale.height) * MM_PER_INCH / 10, 1) : '';
+      return `${w} x ${h} cm`;
+    }
+    const w = hasW ? trim(scale.width, 3) : '';
+    const h = hasH ? trim(scale.height, 3) : '';
+    return `${w}${w ? '"' : ''} x ${h}${h ? '"' : ''}`;
+  }
+
+  /** A scraped sheet label as shown: unchanged in imperial, millimetres in metric. */
+  function formatSheet(label) {
+    const text = label == null ? '' : String(label).trim();
+    if (!isMetric()) return text;
+    const sheet = parseSheet(text);
+    if (!sheet) return text;
+    return `${Math.round(sheet.width * MM_PER_INCH)} x ${Math.round(sheet.height * MM_PER_INCH)} mm`;
+  }
+
+  // --------- Toolbar toggle ----------
+  function syncButtons() {
+    document.querySelectorAll('[data-units]').forEach((btn) => {
+      btn.setAttribute('aria-pressed', btn.getAttribute('data-units') === mode ? 'true' : 'false');
+    });
+  }
+
+  function init(opts) {
+    _opts = opts || {};
+    document.querySelectorAll('[data-units]').forEach((btn) => {
+      btn.addEventListener('click', () => setMode(btn.getAttribute('data-units')));
+    });
+    syncButtons();
+  }
+
+  global.Units = {
+    MM_PER_INCH,
+    init,
+    mode: getMode,
+    isMetric,
+    setMode,
+    parseLength,
+    parseSheet,
+    formatLength,
+    formatScale,
+    formatSheet,
+  };
+})(window);
@@ -0,0 +1,158 @@
+/* urlstate.js
+   Keeps search, facet selections and view options in the query string so a
+   reload or a pasted link restores them, and Back/Forward step through changes.
+   The hash is left alone (product deep links live there).
+   Usage:
+     const initial = UrlState.read();   // { filters, sort, view }
+     UrlState.write({ filters: Filters.serialize(), sort: sortSpec, view: 'cards' });
+     UrlState.onNavigate((state) => { ... });   // Back / Forward
+
+   Format: ?q=oak&color=Brown&color=Gray&finish=Matte&img=1&sheet_sizes.height=..96&sort=code,-texture_scale&view=cards
+   Every facet key is its own repeatable parameter; a range is "<min>..<max>" in
+   inches, either side empty when unbounded.
+*/
+
+(function (global) {
+  const RESERVED = {
+    query: 'q',
+    withImageOnly: 'img',
+    withoutImageOnly: 'noimg',
+    sort: 'sort',
+    view: 'view',
+  };
+
+  let _facetKeys = [];
+  let _rangeKeys = [];
+  let _lastWriteQueryOnly = false;
+  let _lastSearch = global.location.search;
+
+  function setFacetKeys(keys) {
+    _facetKeys = Array.isArray(keys) ? keys.slice() : [];
+  }
+
+  function setRangeKeys(keys) {
+    _rangeKeys = Array.isArray(keys) ? keys.slice() : [];
+  }
+
+  // "24..48" -> [24, 48], "..96" -> [null, 96]; null when there is no usable bound
+  function parseRange(raw) {
+    const m = String(raw || '').match(/^([\d.]*)\.\.([\d.]*)$/);
+    if (!m) return null;
+    const bound = (text) => (text && Number.isFinite(Number(text)) ? Number(text) : null);
+    const pair = [bound(m[1]), bound(m[2])];
+    return pair[0] === null && pair[1] === null ? null : pair;
+  }
+
+  function parseSort(raw) {
+    if (!raw) return [];
+    return raw.split(',').map((part) => part.trim()).filter(Boolean).map((part) => (
+      part.startsWith('-') ? { key: part.slice(1), dir: 'desc' } : { key: part, dir: 'asc' }
+    )).filter((s) => s.key);
+  }
+
+  function read(search = global.location.search) {
+    const params = new URLSearchParams(search);
+    const facets = {};
+    for (let i = 0; i < _facetKeys.length; i += 1) {
+      const key = _facetKeys[i];
+      const values = params.getAll(key).filter((v) => v !== '');
+      if (values.length) facets[key] = values;
+    }
+    const ranges = {};
+    for (let i = 0; i < _rangeKeys.length; i += 1) {
+      const pair = parseRange(params.get(_rangeKeys[i]));
+      if (pair) ranges[_rangeKeys[i]] = pair;
+    }
+    return {
+      filters: {
+        query: params.get(RESERVED.query) || '',
+        withImageOnly: params.get(RESERVED.withImageOnly) === '1',
+        withoutImageOnly: params.get(RESERVED.withoutImageOnly) === '1',
+        facets,
+        ranges,
+      },
+      sort: parseSort(params.get(RESERVED.sort)),
+      view: params.get(RESERVED.view) || '',
+    };
+  }
+
+  function build(state) {
+    const params = new URLSearchParams();
+    const filters = state && state.filters ? state.filters : {};
+    if (filters.query) params.set(RESERVED.query, filters.query);
+    if (filters.withImageOnly) params.set(RESERVED.withImageOnly, '1');
+    if (filters.withoutImageOnly) params.set(RESERVED.withoutImageOnly, '1');
+    const facets = filters.facets || {};
+    for (let i = 0; i < _facetKeys.length; i += 1) {
+      const key = _facetKeys[i];
+      const values = Array.isArray(facets[key]) ? facets[key] : [];
+      values.forEach((v) => params.append(key, v));
+    }
+    const ranges = filters.ranges || {};
+    for (let i = 0; i < _rangeKeys.length; i += 1) {
+      const pair = ranges[_rangeKeys[i]];
+      if (!Array.isArray(pair)) continue;
+      params.set(_rangeKeys[i], pair.map((n) => (n == null ? '' : String(n))).join('..'));
+    }
+    const sort = Array.isArray(state && state.sort) ? state.sort : [];
+    if (sort.length) {
+      params.set(RESERVED.sort, sort.map((s) => (s.dir === 'desc' ? `-${s.key}` : s.key)).join(','));
+    }
+    if (state && state.view && state.view !== 'table') params.set(RESERVED.view, state.view);
+    const str = params.toString();
+    return str ? `?${str}` : '';
+  }
+
+  // true when two query strings only differ in the search text
+  function onlyQueryDiffers(a, b) {
+    const pa = new URLSearchParams(a);
+    const pb = new URLSearchParams(b);
+    pa.delete(RESERVED.query);
+    pb.delete(RESERVED.query);
+    pa.sort();
+    pb.sort();
+    return pa.toString() === pb.toString();
+  }
+
+  /**
+   * Push a history entry for the new state. Consecutive search-box edits are
+   * folded into one entry so Back skips over each keystroke.
+   * { replace: true } rewrites the current entry instead (e.g. normalizing on load).
+   */
+  function write(state, opts = {}) {
+    const search = build(state);
+    const current = global.location.search;
+    if (search === current) return;
+    const url = `${global.location.pathname}${search}${global.location.hash}`;
+    const queryOnly = onlyQueryDiffers(search, current);
+    try {
+      if (opts.replace || (queryOnly && _lastWriteQueryOnly)) global.history.replaceState(global.history.state, '', url);
+      else global.history.pushState(null, '', url);
+    } catch (err) {
+      // history unavailable (e.g. sandboxed iframe); state still applies in memory
+    }
+    _lastWriteQueryOnly = queryOnly;
+    _lastSearch = global.location.search;
+  }
+
+  function onNavigate(fn) {
+    global.addEventListener('popstate', () => {
+      // hash-only navigation (product drawer) leaves the filters alone
+      if (global.location.search === _lastSearch) return;
+      _lastSearch = global.location.search;
+      _lastWriteQueryOnly = false;
+      fn(read());
+    });
+  }
+
+  const UrlState = {
+    setFacetKeys,
+    setRangeKeys,
+    read,
+    build,
+    write,
+    onNavigate,
+  };
+
+  global.UrlState = UrlState;
+})(window);
@@ -1,6 +1,10 @@
 /* viewer.js
    Renders Wilsonart laminate detail datasets (HPL + TFL) with thumbnails and filters.
-   Requires Filters (filters.js) to be loaded before this file.
+   Requires Filters (filters.js), TableSort (sorting.js), ColumnLayout (columns.js),
+   UrlState (urlstate.js), DataSources (sources.js), SnapshotDiff (diff.js),
+   DisplayCalibration (calibration.js), ColorSearch (colorsearch.js),
+   SimilarSearch (similar.js), ProductTags (tags.js), Units (units.js) and
+   DataQuality (quality.js) to be loaded before this file.
 
    UPDATE: If a row has `banner_cropped: true`, we crop exactly 93 source pixels
    from the *bottom* of the image using <canvas>. This ensures the crop is in
@@ -18,34 +22,103 @@ injectViewerStyles();
 // Elements (created if missing)
 const statusEl = document.getElementById('status') || mk('#status');
 const qEl = document.getElementById('q') || mk('#q', 'input');
+const liveStatusEl = document.getElementById('live-status');
 const fileEl = document.getElementById('file') || mk('#file', 'input');
+const sourceChipsEl = document.getElementById('source-chips');
 const reloadEl = document.getElementById('reload') || mk('#reload', 'button');
+const columnsToggleEl = document.getElementById('columns-toggle');
+const diffToggleEl = document.getElementById('diff-toggle');
+const colorSearchToggleEl = document.getElementById('color-search-toggle');
+const similarClearEl = document.getElementById('similar-clear');
 const headRow = document.getElementById('head-row') || mk('#head-row', 'tr');
 const bodyRows = document.getElementById('body-rows') || mk('#body-rows', 'tbody');
 const filtersContainer = document.getElementById('filters') || mk('#filters');
+const gridWrap = bodyRows.closest('.grid-wrap');
+const tableEl = bodyRows.closest('table');
+const cardGrid = document.getElementById('card-grid');
+const qualityView = document.getElementById('quality-view');
+const viewToggleButtons = document.querySelectorAll('[data-view-mode]');
 const lightbox = ensureLightbox();
 const lightboxImg = lightbox.querySelector('.lightbox-img');
 const lightboxCanvas = lightbox.querySelector('.lightbox-canvas');
 const lightboxCaption = lightbox.querySelector('.lightbox-caption');
 const lightboxClose = lightbox.querySelector('.lightbox-close');
+const lightboxStage = lightbox.querySelector('.lightbox-stage');
+const lightboxPrev = lightbox.querySelector('.lightbox-prev');
+const lightboxNext = lightbox.querySelector('.lightbox-next');
+const lightboxTrueSizeBtn = lightbox.querySelector('.lightbox-true-size');
+const lightboxCalibrateBtn = lightbox.querySelector('.lightbox-calibrate');
 let lightboxLastFocus = null;
+let lightboxRecord = null; // record shown, while stepping through `visible`
+let lightboxIndex = -1;
+const lightboxZoom = { scale: 1, x: 0, y: 0 };
+const lightboxPointers = new Map(); // pointerId -> { x, y } for drag / pinch
+let lightboxGesture = null;
+let lightboxTrueSize = false;            // 1:1 mode: an inch of laminate is an inch on screen
+let lightboxReady = Promise.resolve(false); // settles once the shown img/canvas has its size
+const LIGHTBOX_SWIPE_PX = 50;
+const LIGHTBOX_WHEEL_SPEED = 0.0015;
+const LIGHTBOX_KEY_ZOOM = 1.5;
+const LIGHTBOX_MIN_MAX_ZOOM = 4;        // always allow at least 4x
+const LIGHTBOX_NATIVE_ZOOM_FACTOR = 2;  // ...and up to 2x past 1:1 source pixels
 
 let rawData = [];
 let visible = [];
+let sortSpec = []; // [{ key, dir: 'asc' | 'desc' }], primary first
+let renderColumns = []; // COLUMNS after the user's column layout, set when the header is built
+let viewMode = 'table'; // 'table' | 'cards' | 'quality'
+let applyingUrlState = false; // true while Back/Forward re-applies state, so it isn't pushed again
+let urlSynced = false; // the first write after load only normalizes the URL it was opened with
+let filtersInitialized = false; // later source changes keep the user's selections
+let loadedTypes = new Set(); // record types in rawData, for type-specific columns
 
-// Columns to render
+// size ranges: bounds are inches, typed and shown in the current units
+const SCALE_DIMENSIONS = [{ key: 'width', label: 'Width' }, { key: 'height', label: 'Height' }];
+const scaleSizes = (key) => (row) => {
+  const scale = fieldValue(row, key);
+  return scale && typeof scale === 'object' ? [scale] : [];
+};
+[
+  { key: 'texture_scale', label: 'Texture scale', dimensions: SCALE_DIMENSIONS, values: scaleSizes('texture_scale') },
+  { key: 'no_repeat_texture_scale', label: 'No repeat texture', dimensions: SCALE_DIMENSIONS, values: scaleSizes('no_repeat_texture_scale') },
+  {
+    key: 'sheet_sizes',
+    label: 'Sheet size',
+    dimensions: [{ key: 'width', label: 'Width' }, { key: 'height', label: 'Length' }],
+    values: (row) => normalizeArray(fieldValue(row, 'sheet_sizes')).map((label) => Units.parseSheet(label)).filter(Boolean),
+  },
+].forEach((range) => Filters.registerRange(range.key, {
+  ...range,
+  parse: (text) => Units.parseLength(text),
+  format: (inches) => Units.formatLength(inches),
+}));
+
+// diff mode isn't in the URL, so neither is its Change facet
+// diff and colour-match facets only mean something for this session's data
+UrlState.setFacetKeys(Filters.facetKeys().filter((k) => k !== SnapshotDiff.FACET_KEY && k !== ColorSearch.FACET_KEY));
+UrlState.setRangeKeys(Filters.rangeKeys());
+TableSort.setKind(ColorSearch.DISTANCE_KEY, 'number');
+TableSort.setKind(SimilarSearch.SCORE_KEY, 'number');
+const initialUrlState = UrlState.read();
+
+// Columns to render. `types` marks a type-specific column: it only shows while
+// records of one of those types are loaded.
 const COLUMNS = [
   { key: 'texture_image_url', label: 'Image', render: renderImage },
   { key: 'code', label: 'Code', render: (r) => safe(r.code) },
   { key: 'name', label: 'Name', render: (r) => safe(r.name) },
+  { key: SimilarSearch.SCORE_KEY, label: 'Similar', render: renderSimilarity },
   { key: 'product-link', label: 'Link', render: (r) => r['product-link'] ? `<a class="link" href="${escapeAttr(r['product-link'])}" target="_blank" rel="noopener">Open</a>` : '' },
   { key: 'surface-group', label: 'Surface', render: (r) => safe(r['surface-group']) },
   { key: 'type', label: 'Type', render: (r) => safe(r.type) },
+  { key: ProductTags.TAGS_KEY, label: 'My tags', render: renderTags },
 
   { key: 'design_groups', label: 'Design', render: renderPills },
   { key: 'colors', label: 'Colors', render: renderPills },
-  { key: 'sheet_sizes', label: 'Sheets', render: renderPills },
+  { key: ColorSearch.DISTANCE_KEY, label: 'ΔE', render: renderColorDistance, when: ColorSearch.active },
+  { key: 'sheet_sizes', label: 'Sheets', render: renderSheets },
   { key: 'texture_scale', label: 'Texture', render: renderScale },
+  { key: 'texture_image_pixels', label: 'Pixels', render: renderPixels },
   { key: 'species', label: 'Species', render: renderPills },
   { key: 'cut', label: 'Cut', render: renderPills },
   { key: 'match', label: 'Match', render: renderPills },
@@ -54,10 +127,12 @@ const COLUMNS = [
   { key: 'performance_enhancements', label: 'Performance Enhancements', render: renderPills },
   { key: 'specialty_features', label: 'Specialty Features', render: renderPills },
   { key: 'design_collections', label: 'Design Collections', render: renderPills },
+  { key: 'design_tfl_collection', label: 'TFL Collection', render: renderPills, types: ['TFL'] },
 
   { key: 'no_repeat', label: 'No Repeat', render: (r) => r.no_repeat === true ? 'Yes' : (r.no_repeat === false ? 'No' : '') },
   { key: 'no_repeat_texture_scale', label: 'No Repeat Texture', render: renderScale },
   { key: 'description', label: 'Description', render: (r) => safe(r.description) },
+  { key: DataSources.SOURCE_KEY, label: 'Source', render: (r) => safe(r[DataSources.SOURCE_KEY]) },
 ];
 
 function mk(sel, tag = 'div') {
@@ -71,6 +146,7 @@ function mk(sel, tag = 'div') {
 
 function safe(v) { return v == null ? '' : String(v); }
 function escapeAttr(v) { return String(v).replace(/"/g, '&quot;'); }
+function escapeHtml(v) { return String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
 function normalizeArray(v) { return v == null ? [] : (Array.isArray(v) ? v : [v]); }
 
 function ensureType(records, fallbackType) {
@@ -92,14 +168,6 @@ function ensureType(records, fallbackType) {
   return records;
 }
 
-function inferTypeFromFileName(name) {
-  if (!name) return '';
-  const lower = String(name).toLowerCase();
-  if (lower.includes('tfl')) return 'TFL';
-  if (lower.includes('laminate')) return 'HPL';
-  return '';
-}
-
 const COLUMN_ALIASES = {
   colors: ['color'],
   performance_enhancements: ['performace_enchancments'],
@@ -108,6 +176,11 @@ const COLUMN_ALIASES = {
 
 const ORIGINAL_INDEX_KEY = '__sourceRowIndex';
 
+function availableColumns() {
+  return dedupeColumns(COLUMNS).filter((col) => (!col.types || col.types.some((t) => loadedTypes.has(t)))
+    && (!col.when || col.when()));
+}
+
 function dedupeColumns(cols) {
   const seen = new Set();
   const out = [];
@@ -200,10 +273,42 @@ function renderScale(value, row) {
     source = row.texture_scale;
   }
   if (!source || (typeof source.width !== 'number' && typeof source.height !== 'number')) return '';
-  const w = source.width != null ? Number(source.width).toFixed(3).replace(/\.?0+$/,'') : '';
-  const h = source.height != null ? Number(source.height).toFixed(3).replace(/\.?0+$/,'') : '';
-  if (!w && !h) return '';
-  return `${w}${w ? '"' : ''} x ${h}${h ? '"' : ''}`;
+  return Units.formatScale(source);
+}
+
+// sheet labels stay as scraped ("4' x 8'"); metric mode shows them in mm
+function renderSheets(value, row) {
+  const list = Array.isArray(value) ? value : (value == null ? [] : [value]);
+  return renderPills.call(this, list.map((label) => (typeof label === 'string' ? Units.formatSheet(label) : label)), row);
+}
+
+function renderPixels(value) {
+  if (!value || typeof value !== 'object') return '';
+  const w = Number(value.width);
+  const h = Number(value.height);
+  if (!Number.isFinite(w) || !Number.isFinite(h)) return '';
+  return `${w} &times; ${h}`;
+}
+
+// ΔE to the colour being searched, with a dot of the record's closest colour
+function renderColorDistance(row) {
+  const d = row[ColorSearch.DISTANCE_KEY];
+  if (d == null) return '';
+  const hex = ColorSearch.nearestHex(row);
+  const dot = hex ? `<span class="color-dot" style="background:${escapeAttr(hex)}" title="Closest color ${escapeAttr(hex)}"></span>` : '';
+  return `${dot}${d.toFixed(1)}`;
+}
+
+// the user's own tags; typed by hand or imported, so escaped
+function renderTags(row) {
+  return ProductTags.tagsFor(row).map((tag) => `<span class="pill tag-pill">${escapeHtml(tag)}</span>`).join('');
+}
+
+// similarity score (0-100) to the reference product, and the button that picks one
+function renderSimilarity(row) {
+  const score = row[SimilarSearch.SCORE_KEY];
+  const shown = score == null || SimilarSearch.isReference(row) ? '' : `<span class="similar-score">${Math.round(score)}</span>`;
+  return `${shown}${SimilarSearch.buttonHtml(row)}`;
 }
 
 /**
@@ -240,7 +345,35 @@ function renderImage(row) {
 function setStatus(msg) {
   const total = Array.isArray(rawData) ? rawData.length : 0;
   const vis = Array.isArray(visible) ? visible.length : 0;
-  statusEl.innerHTML = `${msg} &mdash; <span class="count">${vis}</span> shown of <span class="count">${total}</span>`;
+  statusEl.innerHTML = `${msg} &mdash; ${shownByType(vis)} shown of <span class="count">${total}</span>`;
+  announceStatus(statusEl.textContent);
+}
+
+// Screen readers hear the status once typing or clicking settles, not on every keystroke.
+const STATUS_ANNOUNCE_DELAY_MS = 600;
+let statusAnnounceTimer = 0;
+
+function announceStatus(text) {
+  if (!liveStatusEl) return;
+  window.clearTimeout(statusAnnounceTimer);
+  statusAnnounceTimer = window.setTimeout(() => {
+    if (liveStatusEl.textContent !== text) liveStatusEl.textContent = text;
+  }, STATUS_ANNOUNCE_DELAY_MS);
+}
+
+// "812 HPL / 210 TFL" once more than one type is loaded, else just the count
+function shownByType(vis) {
+  if (loadedTypes.size < 2) return `<span class="count">${vis}</span>`;
+  const counts = new Map(Array.from(loadedTypes, (t) => [t, 0]));
+  let untyped = 0;
+  for (let i = 0; i < visible.length; i += 1) {
+    const type = visible[i] && visible[i].type;
+    if (counts.has(type)) counts.set(type, counts.get(type) + 1);
+    else untyped += 1;
+  }
+  const parts = Array.from(counts, ([type, n]) => `<span class="count">${n}</span> ${type}`);
+  if (untyped) parts.push(`<span class="count">${untyped}</span> untyped`);
+  return parts.join(' / ');
 }
 
 async function loadDefault() {
@@ -257,84 +390,805 @@ async function loadDefault() {
       } catch (parseErr) {
         throw new Error(`Invalid JSON from ${url}: ${parseErr.message}`);
       }
-      const records = Array.isArray(json) ? json : [];
-      return ensureType(records, type);
+      if (!Array.isArray(json)) throw new Error(`${url} is not a JSON array`);
+      return { label: url.split('/').pop(), type, records: json };
     });
 
     const datasets = await Promise.all(datasetPromises);
-    const merged = [];
-    for (let i = 0; i < datasets.length; i += 1) {
-      const chunk = datasets[i];
-      if (!Array.isArray(chunk)) continue;
-      for (let j = 0; j < chunk.length; j += 1) {
-        merged.push(chunk[j]);
-      }
-    }
-
-    rawData = annotateData(merged);
-
-    // init filters UI
-    Filters.init({
-      data: rawData,
-      containerId: 'filters',
-      queryInput: qEl,
-      onChange: () => {
-        visible = Filters.apply(rawData);
-        renderTable();
-        setStatus('Ready');
-      }
-    });
+    datasets.forEach((dataset) => DataSources.add(dataset));
+    applySources();
   } catch (err) {
     setStatus(`Failed to load default JSON files (${err.message})`);
     console.error(err);
   }
 }
 
-function renderTable() {
+/**
+ * Merge every loaded source into rawData and rebuild the filters, keeping the
+ * current search and facet selections.
+ */
+function applySources(message) {
+  const sources = DataSources.list();
+  sources.forEach((source) => ensureType(source.records, source.type));
+  // in diff mode only the before/after pair is shown
+  let merged = SnapshotDiff.merge(sources);
+  if (!merged) {
+    merged = [];
+    sources.forEach((source) => {
+      for (let j = 0; j < source.records.length; j += 1) {
+        merged.push(source.records[j]);
+      }
+    });
+  }
+
+  const filterState = filtersInitialized ? Filters.serialize() : initialUrlState.filters;
+  rawData = annotateData(merged);
+  const types = new Set(rawData.map((r) => r.type).filter(Boolean));
+  if (types.size !== loadedTypes.size || [...types].some((t) => !loadedTypes.has(t))) {
+    headRow.dataset.built = ''; // type-specific columns come and go
+  }
+  loadedTypes = types;
+  ColorSearch.refresh();
+  SimilarSearch.refresh();
+  ProductTags.refresh();
+  DataQuality.refresh(rawData);
+  resetFilters(filterState);
+  const status = [message, SnapshotDiff.summary(), ColorSearch.summary(), SimilarSearch.summary()].filter(Boolean).join(' — ');
+  if (status) setStatus(status);
+  announceData();
+}
+
+// Facets and counts are built from rawData; rebuild them, keeping `filterState`.
+function resetFilters(filterState) {
+  // source row numbers, diff marks and tags change under the cached rows
+  rowNodeCache = new WeakMap();
+  rowHeightCache = new WeakMap();
+  cardNodeCache = new WeakMap();
+  Filters.init({
+    data: rawData,
+    containerId: 'filters',
+    queryInput: qEl,
+    initialState: filterState,
+    onChange: () => {
+      updateVisible();
+      renderResults();
+      setStatus('Ready');
+      syncUrl();
+    }
+  });
+  filtersInitialized = true;
+}
+
+function updateVisible() {
+  visible = sortRows(Filters.apply(rawData));
+}
+
+function sortRows(rows) {
+  if (!sortSpec.length) return rows;
+  return TableSort.sort(rows, sortSpec, { aliases: COLUMN_ALIASES });
+}
+
+function sortButton(key, label) {
+  return `<button type="button" class="sort-btn" data-sort-key="${escapeAttr(key)}" title="Sort by ${escapeAttr(label)} (shift-click to add)">${label}<span class="sort-indicator" aria-hidden="true"></span></button>`;
+}
+
+// Lets add-ons (detail drawer etc.) know a new dataset is in place.
+function announceData() {
+  document.dispatchEvent(new CustomEvent('viewer:data', { detail: { records: rawData } }));
+}
+
+function renderResults(options = {}) {
+  if (viewMode === 'quality') DataQuality.render(qualityView);
+  else if (viewMode === 'cards') renderCards(options);
+  else renderTable(options);
+}
+
+function renderTable(options = {}) {
   // header once
   if (!headRow.dataset.built) {
-    const renderCols = dedupeColumns(COLUMNS);
+    renderColumns = ColumnLayout.apply(availableColumns());
     const headerCells = [
-      '<th scope="col" class="col-index">#</th>',
-      ...renderCols.map(c => {
+      `<th scope="col" class="col-index" data-sort-key="${ORIGINAL_INDEX_KEY}">${sortButton(ORIGINAL_INDEX_KEY, '#')}</th>`,
+      ...renderColumns.map(c => {
         const colClass = c && c.key ? ` class="col-${c.key}"` : '';
-        return `<th scope="col"${colClass}>${c.label}</th>`;
+        return `<th scope="col"${colClass} data-col-key="${escapeAttr(c.key)}" data-sort-key="${escapeAttr(c.key)}">${sortButton(c.key, c.label)}</th>`;
       }),
     ];
     headRow.innerHTML = headerCells.join('');
+    headRow.setAttribute('aria-rowindex', '1');
     headRow.dataset.built = '1';
+    updateSortIndicators();
+    ColumnLayout.attachHeader(headRow);
+    // compare.js adds its header cell after this mutation; measure frozen offsets once it has
+    nextFrame(() => ColumnLayout.refreshFrozen(headRow));
   }
   const rows = visible || [];
-  const html = rows.map((r, index) => {
-    const baseIndex = (r && typeof r[ORIGINAL_INDEX_KEY] === 'number') ? r[ORIGINAL_INDEX_KEY] + 1 : index + 1;
-    const numberCell = `<td class="col-index">${baseIndex}.</td>`;
-    const renderCols = dedupeColumns(COLUMNS);
-    const tds = renderCols.map(col => {
-      const rendered = (col.render.length === 1 ? col.render(r) : col.render.call(col, r[col.key], r));
-      const colClass = col && col.key ? ` class="col-${col.key}"` : '';
-      return `<td${colClass}>${rendered}</td>`;
-    }).join('');
-    return `<tr>${numberCell}${tds}</tr>`;
+  // the header is row 1
+  if (tableEl) tableEl.setAttribute('aria-rowcount', String(rows.length + 1));
+  // keep the first visible row in place across filter changes; a new sort order starts at the top
+  const anchor = options.resetScroll ? null : captureScrollAnchor();
+  if (options.resetScroll && gridWrap) gridWrap.scrollTop = 0;
+  virtualState.rows = rows;
+  virtualState.start = -1;
+  virtualState.end = -1;
+  restoreScrollAnchor(anchor);
+  renderWindow();
+}
+
+function updateSortIndicators() {
+  const cells = headRow.querySelectorAll('th[data-sort-key]');
+  cells.forEach((th) => {
+    const key = th.getAttribute('data-sort-key');
+    const position = sortSpec.findIndex(s => s.key === key);
+    const indicator = th.querySelector('.sort-indicator');
+    if (position < 0) {
+      th.removeAttribute('aria-sort');
+      th.classList.remove('is-sorted');
+      if (indicator) indicator.textContent = '';
+      return;
+    }
+    const dir = sortSpec[position].dir;
+    // aria-sort is only meaningful on the primary sort column
+    if (position === 0) th.setAttribute('aria-sort', dir === 'desc' ? 'descending' : 'ascending');
+    else th.removeAttribute('aria-sort');
+    th.classList.add('is-sorted');
+    if (indicator) {
+      const arrow = dir === 'desc' ? '\u25BC' : '\u25B2';
+      indicator.textContent = sortSpec.length > 1 ? `${arrow}${position + 1}` : arrow;
+    }
+  });
+}
+
+headRow.addEventListener('click', (event) => {
+  const button = event.target && event.target.closest ? event.target.closest('.sort-btn') : null;
+  if (!button) return;
+  const key = button.getAttribute('data-sort-key');
+  if (!key) return;
+  sortSpec = TableSort.toggle(sortSpec, key, event.shiftKey);
+  updateSortIndicators();
+  visible = sortSpec.length ? sortRows(visible) : Filters.apply(rawData);
+  renderResults({ resetScroll: true });
+  syncUrl();
+});
+
+// ------------------------- URL state -------------------------
+
+function syncUrl() {
+  if (applyingUrlState || !rawData.length) return;
+  const sort = sortSpec.filter((s) => s.key !== ColorSearch.DISTANCE_KEY && s.key !== SimilarSearch.SCORE_KEY);
+  UrlState.write({ filters: Filters.serialize(), sort, view: viewMode }, { replace: !urlSynced });
+  urlSynced = true;
+}
+
+// Back / Forward: restore view options first so the filter change renders once, correctly.
+UrlState.onNavigate((state) => {
+  applyingUrlState = true;
+  try {
+    sortSpec = state.sort;
+    updateSortIndicators();
+    setViewMode(state.view);
+    Filters.setState(state.filters);
+  } finally {
+    applyingUrlState = false;
+  }
+});
+
+// ------------------------- virtual rows -------------------------
+
+/**
+ * Only the rows near the viewport are in the DOM. Everything above and below
+ * the window is stood in for by two spacer rows whose heights are the sum of
+ * the measured (or estimated) heights of the rows they replace.
+ * Built <tr> nodes are cached per record so scrolling back does not rebuild
+ * the row or redraw its banner canvas.
+ */
+const VIRTUAL_OVERSCAN_PX = 600;
+const VIRTUAL_DEFAULT_ROW_HEIGHT = 141;
+
+const virtualState = {
+  rows: [],
+  start: -1,
+  end: -1,
+  frame: 0,
+};
+let rowNodeCache = new WeakMap();
+let rowHeightCache = new WeakMap();
+const nodeRecords = new WeakMap(); // built <tr> / card -> record
+
+function estimatedRowHeight(row) {
+  const measured = row && typeof row === 'object' ? rowHeightCache.get(row) : undefined;
+  return measured || VIRTUAL_DEFAULT_ROW_HEIGHT;
+}
+
+function rowOffsetTop(rows, index) {
+  let offset = 0;
+  for (let i = 0; i < index && i < rows.length; i += 1) {
+    offset += estimatedRowHeight(rows[i]);
+  }
+  return offset;
+}
+
+function bodyScrollTop() {
+  if (!gridWrap) return 0;
+  const headHeight = headRow ? headRow.offsetHeight || 0 : 0;
+  return Math.max(0, gridWrap.scrollTop - headHeight);
+}
+
+function captureScrollAnchor() {
+  const rows = virtualState.rows;
+  if (!gridWrap || !rows.length) return null;
+  const top = bodyScrollTop();
+  let offset = 0;
+  for (let i = 0; i < rows.length; i += 1) {
+    const height = estimatedRowHeight(rows[i]);
+    if (offset + height > top) {
+      return { row: rows[i], delta: top - offset };
+    }
+    offset += height;
+  }
+  return null;
+}
+
+function restoreScrollAnchor(anchor) {
+  if (!anchor || !gridWrap) return;
+  const index = virtualState.rows.indexOf(anchor.row);
+  if (index < 0) return;
+  const headHeight = headRow ? headRow.offsetHeight || 0 : 0;
+  const target = rowOffsetTop(virtualState.rows, index) + anchor.delta;
+  if (target > 0) gridWrap.scrollTop = target + headHeight;
+}
+
+function buildRowNode(r) {
+  const baseIndex = (r && typeof r[ORIGINAL_INDEX_KEY] === 'number') ? r[ORIGINAL_INDEX_KEY] + 1 : '';
+  const numberCell = `<td class="col-index" tabindex="-1">${baseIndex}${baseIndex ? '.' : ''}</td>`;
+  const tds = renderColumns.map(col => {
+    const rendered = (col.render.length === 1 ? col.render(r) : col.render.call(col, r[col.key], r));
+    const colClass = col && col.key ? ` class="col-${col.key}"` : '';
+    return `<td${colClass} tabindex="-1">${rendered}</td>`;
   }).join('');
-  bodyRows.innerHTML = html;
+  const holder = document.createElement('tbody');
+  holder.innerHTML = `<tr>${numberCell}${tds}</tr>`;
+  const tr = holder.firstElementChild;
+  // the grid is one tab stop; arrow keys reach the cells and Enter their controls
+  tr.querySelectorAll('a[href], button').forEach((el) => { el.tabIndex = -1; });
+  markDiff(tr, r);
+  initializeThumbCanvases(tr);
+  return tr;
+}
+
+/**
+ * Snapshot diff marks: row status class and badge, plus the old value as a
+ * tooltip on each changed cell (column aliases count as the same field).
+ */
+function markDiff(tr, r) {
+  const status = SnapshotDiff.statusOf(r);
+  if (!status) return;
+  tr.classList.add(`diff-${status}`);
+  tr.firstElementChild.appendChild(diffBadge(r));
+  renderColumns.forEach((col, i) => {
+    const keys = [col.key, ...(COLUMN_ALIASES[col.key] || [])];
+    const key = keys.find((k) => SnapshotDiff.change(r, k));
+    if (!key) return;
+    const td = tr.children[i + 1];
+    td.classList.add('is-changed');
+    td.title = `Before: ${SnapshotDiff.describe(SnapshotDiff.change(r, key).before)}`;
+  });
+}
 
-  // After rendering, draw any banner canvases using SOURCE-pixel crop
-  initializeThumbCanvases();
+function diffBadge(r) {
+  const badge = document.createElement('span');
+  badge.className = `diff-badge diff-badge--${SnapshotDiff.statusOf(r)}`;
+  badge.textContent = SnapshotDiff.statusLabel(r);
+  const changed = SnapshotDiff.changedKeys(r);
+  if (changed.length) badge.title = `Changed: ${changed.join(', ')}`;
+  return badge;
 }
 
-if (bodyRows) {
-  bodyRows.addEventListener('click', (event) => {
-    const thumb = findThumb(event.target);
-    if (!thumb) return;
+function rowNodeFor(r) {
+  if (!r || typeof r !== 'object') return buildRowNode(r);
+  let tr = rowNodeCache.get(r);
+  if (!tr) {
+    tr = buildRowNode(r);
+    rowNodeCache.set(r, tr);
+    nodeRecords.set(tr, r);
+  }
+  return tr;
+}
+
+function spacerRow(height) {
+  const tr = document.createElement('tr');
+  tr.className = 'virtual-spacer';
+  tr.setAttribute('aria-hidden', 'true');
+  const td = document.createElement('td');
+  td.colSpan = Math.max(1, headRow.children.length);
+  td.style.height = `${Math.max(0, Math.round(height))}px`;
+  tr.appendChild(td);
+  return tr;
+}
+
+function renderWindow() {
+  const rows = virtualState.rows;
+  const top = bodyScrollTop();
+  const viewport = gridWrap ? gridWrap.clientHeight || 0 : 0;
+  const from = top - VIRTUAL_OVERSCAN_PX;
+  const to = top + viewport + VIRTUAL_OVERSCAN_PX;
+
+  let start = 0;
+  let offset = 0;
+  while (start < rows.length && offset + estimatedRowHeight(rows[start]) < from) {
+    offset += estimatedRowHeight(rows[start]);
+    start += 1;
+  }
+  const before = offset;
+  let end = start;
+  while (end < rows.length && (offset < to || end === start)) {
+    offset += estimatedRowHeight(rows[end]);
+    end += 1;
+  }
+  let after = 0;
+  for (let i = end; i < rows.length; i += 1) {
+    after += estimatedRowHeight(rows[i]);
+  }
+
+  if (start === virtualState.start && end === virtualState.end) {
+    updateSpacers(before, after);
+    return;
+  }
+  virtualState.start = start;
+  virtualState.end = end;
+
+  const nodes = [spacerRow(before)];
+  for (let i = start; i < end; i += 1) {
+    const tr = rowNodeFor(rows[i]);
+    tr.setAttribute('aria-rowindex', String(i + 2));
+    nodes.push(tr);
+  }
+  nodes.push(spacerRow(after));
+  bodyRows.replaceChildren(...nodes);
+  syncGridTabStop();
+  // auto table layout can shift column widths as different rows come into view
+  if (ColumnLayout.hasFrozen()) ColumnLayout.refreshFrozen(headRow);
+
+  if (measureRenderedRows(start, end)) {
+    scheduleWindowRender();
+  }
+}
+
+function updateSpacers(before, after) {
+  const first = bodyRows.firstElementChild;
+  const last = bodyRows.lastElementChild;
+  if (first && first.classList.contains('virtual-spacer')) first.firstElementChild.style.height = `${Math.round(before)}px`;
+  if (last && last !== first && last.classList.contains('virtual-spacer')) last.firstElementChild.style.height = `${Math.round(after)}px`;
+}
+
+// Returns true when a measured height differs from the estimate we laid out with.
+function measureRenderedRows(start, end) {
+  const rows = virtualState.rows;
+  let changed = false;
+  for (let i = start; i < end; i += 1) {
+    const r = rows[i];
+    if (!r || typeof r !== 'object') continue;
+    const tr = rowNodeCache.get(r);
+    const height = tr ? tr.offsetHeight : 0;
+    if (!height) continue;
+    if (rowHeightCache.get(r) !== height) {
+      if (Math.abs(estimatedRowHeight(r) - height) > 1) changed = true;
+      rowHeightCache.set(r, height);
+    }
+  }
+  return changed;
+}
+
+function nextFrame(fn) {
+  const raf = window.requestAnimationFrame || ((cb) => setTimeout(cb, 16));
+  return raf(fn);
+}
+
+function scheduleWindowRender() {
+  if (virtualState.frame) return;
+  virtualState.frame = nextFrame(() => {
+    virtualState.frame = 0;
+    if (viewMode === 'cards') renderCardWindow();
+    else if (viewMode === 'table') renderWindow();
+  });
+}
+
+// The record behind a rendered row or card (or anything inside one).
+function recordForElement(el) {
+  let current = el;
+  while (current && current !== document.body) {
+    if (nodeRecords.has(current)) return nodeRecords.get(current);
+    current = current.parentElement;
+  }
+  return null;
+}
+
+function rowKeyFor(r) {
+  if (!r) return '';
+  return [r.type, r.code, r.name].map(v => safe(v).trim()).filter(Boolean).join('::');
+}
+
+/**
+ * Scroll a row into the rendered window (by compare key: type::code::name)
+ * and return its <tr> (or card in card view), or null when the row is filtered out
+ * or the quality view is open.
+ */
+function revealRow(key) {
+  // the quality view shows no rows
+  if (viewMode === 'quality') return null;
+  if (viewMode === 'cards') return revealCard(key);
+  const rows = virtualState.rows;
+  let index = -1;
+  for (let i = 0; i < rows.length; i += 1) {
+    if (rowKeyFor(rows[i]) === key) {
+      index = i;
+      break;
+    }
+  }
+  if (index < 0) return null;
+  if (gridWrap) {
+    const headHeight = headRow ? headRow.offsetHeight || 0 : 0;
+    const viewport = gridWrap.clientHeight || 0;
+    const target = rowOffsetTop(rows, index) - Math.max(0, (viewport - estimatedRowHeight(rows[index])) / 2);
+    gridWrap.scrollTop = Math.max(0, target + headHeight);
+  }
+  renderWindow();
+  return rowNodeCache.get(rows[index]) || null;
+}
+
+// ------------------------- keyboard grid -------------------------
+
+// One table cell is in the tab order at a time (roving tabindex). Arrow keys,
+// Home/End (Ctrl for the first/last row) and PageUp/PageDown move it; rows
+// outside the rendered window are scrolled in first. Enter opens the lightbox on
+// an image cell, activates a cell's link or button, or opens the product details;
+// Space toggles Compare. `/` anywhere focuses the search box.
+const GRID_PAGE_ROWS = 10;
+let gridCell = null; // the <td> holding tabindex=0
+
+function cellIndex(cell) {
+  return Array.prototype.indexOf.call(cell.parentElement.children, cell);
+}
+
+function setGridCell(td, focus) {
+  if (!td) return;
+  if (gridCell && gridCell !== td) gridCell.tabIndex = -1;
+  gridCell = td;
+  td.tabIndex = 0;
+  if (!focus) return;
+  td.focus({ preventScroll: true });
+  td.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+// after the window or the rows change, keep a rendered cell tabbable
+function syncGridTabStop() {
+  if (gridCell && gridCell.isConnected) return;
+  const tr = bodyRows.querySelector('tr:not(.virtual-spacer)');
+  if (!tr) return;
+  const col = gridCell && gridCell.parentElement ? cellIndex(gridCell) : 0;
+  setGridCell(tr.children[Math.max(0, Math.min(tr.children.length - 1, col))], false);
+}
+
+function gridRowAt(index) {
+  const record = virtualState.rows[index];
+  if (!record) return null;
+  const tr = rowNodeCache.get(record);
+  if (tr && tr.isConnected) return tr;
+  return revealRow(rowKeyFor(record));
+}
+
+function focusGridCell(index, col) {
+  const count = virtualState.rows.length;
+  if (!count) return;
+  const tr = gridRowAt(Math.max(0, Math.min(count - 1, index)));
+  if (!tr) return;
+  setGridCell(tr.children[Math.max(0, Math.min(tr.children.length - 1, col))], true);
+}
+
+function activateGridCell(td, record) {
+  const thumb = td.querySelector('.thumb');
+  if (thumb) {
+    thumb.click();
+    return;
+  }
+  const control = td.querySelector('a[href], button');
+  if (control) control.click();
+  else if (window.ProductDetail) window.ProductDetail.open(record);
+}
+
+function focusHeaderCell(col) {
+  const th = headRow.children[Math.max(0, Math.min(headRow.children.length - 1, col))];
+  const button = th && th.querySelector('button');
+  if (button) button.focus();
+}
+
+bodyRows.addEventListener('keydown', (event) => {
+  if (event.altKey || event.defaultPrevented) return;
+  const td = event.target && event.target.closest ? event.target.closest('td') : null;
+  if (!td || !bodyRows.contains(td)) return;
+  const tr = td.parentElement;
+  const index = virtualState.rows.indexOf(recordForElement(tr));
+  if (index < 0) return;
+  const col = cellIndex(td);
+  const last = virtualState.rows.length - 1;
+  const ctrl = event.ctrlKey || event.metaKey;
+  let target = null;
+  switch (event.key) {
+    case 'ArrowDown': target = [index + 1, col]; break;
+    case 'ArrowUp':
+      if (index === 0) {
+        event.preventDefault();
+        focusHeaderCell(col);
+        return;
+      }
+      target = [index - 1, col];
+      break;
+    case 'ArrowRight': target = [index, col + 1]; break;
+    case 'ArrowLeft': target = [index, col - 1]; break;
+    case 'Home': target = [ctrl ? 0 : index, 0]; break;
+    case 'End': target = [ctrl ? last : index, tr.children.length - 1]; break;
+    case 'PageDown': target = [index + GRID_PAGE_ROWS, col]; break;
+    case 'PageUp': target = [index - GRID_PAGE_ROWS, col]; break;
+    case 'Enter':
+    case ' ':
+    case 'Spacebar': {
+      // buttons and links inside the cell keep their own Enter and Space
+      if (event.target !== td) return;
+      event.preventDefault();
+      if (event.key === 'Enter') {
+        activateGridCell(td, recordForElement(tr));
+      } else {
+        const compareBtn = tr.querySelector('.compare-btn');
+        if (compareBtn) compareBtn.click();
+      }
+      return;
+    }
+    default: return;
+  }
+  event.preventDefault();
+  focusGridCell(target[0], target[1]);
+});
+
+// clicking a cell (or a control in it) makes it the tab stop
+bodyRows.addEventListener('focusin', (event) => {
+  const td = event.target && event.target.closest ? event.target.closest('td') : null;
+  if (td && bodyRows.contains(td) && !td.parentElement.classList.contains('virtual-spacer')) setGridCell(td, false);
+});
+
+headRow.addEventListener('keydown', (event) => {
+  const th = event.target && event.target.closest ? event.target.closest('th') : null;
+  if (!th || event.altKey) return;
+  const col = cellIndex(th);
+  if (event.key === 'ArrowDown') {
+    event.preventDefault();
+    focusGridCell(0, col);
+  } else if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
     event.preventDefault();
-    const fullUrl = thumb.getAttribute('data-full');
-    const altText = thumb.getAttribute('data-alt') || '';
-    const isBanner = thumb.getAttribute('data-banner') === '1';
-    lightboxLastFocus = thumb;
-    showLightbox(fullUrl, altText, isBanner);
+    focusHeaderCell(col + (event.key === 'ArrowRight' ? 1 : -1));
+  }
+});
+
+document.addEventListener('keydown', (event) => {
+  if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey || event.defaultPrevented) return;
+  const target = event.target;
+  if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+  if (lightbox.classList.contains('is-visible')) return;
+  event.preventDefault();
+  qEl.focus();
+  qEl.select();
+});
+
+if (gridWrap) {
+  gridWrap.addEventListener('scroll', scheduleWindowRender, { passive: true });
+  window.addEventListener('resize', scheduleWindowRender);
+}
+
+// ------------------------- card view -------------------------
+
+/**
+ * Card grid alternative to the table. Uses the same `visible` rows, the same
+ * renderImage() output (so banner crops and the lightbox behave identically)
+ * and the same windowing idea: cards sit in fixed-height lines, and only the
+ * lines near the viewport are in the DOM.
+ */
+const CARD_MIN_WIDTH = 220;
+const CARD_GAP = 16;
+const CARD_LINE_HEIGHT = 356; // card height + CARD_GAP, keep in sync with .product-card in styles.css
+
+const cardState = {
+  rows: [],
+  start: -1,
+  end: -1,
+  columns: 0,
+};
+let cardNodeCache = new WeakMap();
+
+function renderFinishPills(row) {
+  const items = Array.isArray(row.finish) ? row.finish : [];
+  return items.map(f => {
+    if (!f) return '';
+    const label = [f.code, f.name].map(v => safe(v).trim()).filter(Boolean).join(' ');
+    return label ? `<span class="pill">${label}</span>` : '';
+  }).join('');
+}
+
+function buildCardNode(r) {
+  const card = document.createElement('article');
+  card.className = 'product-card';
+  card.dataset.code = safe(r.code).trim();
+  card.dataset.name = safe(r.name).trim();
+  card.dataset.type = safe(r.type).trim();
+  const media = renderImage(r) || '<div class="card-placeholder">No image</div>';
+  card.innerHTML = [
+    `<div class="card-media">${media}</div>`,
+    '<div class="card-body">',
+    `  <div class="card-code">${safe(r.code)}</div>`,
+    `  <div class="card-name">${safe(r.name)}</div>`,
+    `  <div class="card-finish">${renderFinishPills(r)}</div>`,
+    '  <div class="card-actions">',
+    '    <button type="button" class="compare-btn" aria-pressed="false">Compare</button>',
+    `    ${SimilarSearch.buttonHtml(r)}`,
+    '  </div>',
+    '</div>',
+  ].join('');
+  const status = SnapshotDiff.statusOf(r);
+  if (status) {
+    card.classList.add(`diff-${status}`);
+    card.querySelector('.card-media').appendChild(diffBadge(r));
+  }
+  initializeThumbCanvases(card);
+  return card;
+}
+
+function cardNodeFor(r) {
+  if (!r || typeof r !== 'object') return buildCardNode(r || {});
+  let card = cardNodeCache.get(r);
+  if (!card) {
+    card = buildCardNode(r);
+    cardNodeCache.set(r, card);
+    nodeRecords.set(card, r);
+  }
+  return card;
+}
+
+function cardColumns() {
+  if (!cardGrid) return 1;
+  // once laid out, the resolved track list ("236px 236px 236px") is what CSS chose
+  const style = window.getComputedStyle(cardGrid);
+  const tracks = String(style.gridTemplateColumns || '').split(/\s+/).filter((t) => /^\d+(?:\.\d+)?px$/.test(t)).length;
+  if (tracks) return tracks;
+  // otherwise do auto-fill's sum on the content box (clientWidth includes the padding)
+  const padding = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+  const width = Math.max(0, (cardGrid.clientWidth || 0) - padding);
+  return Math.max(1, Math.floor((width + CARD_GAP) / (CARD_MIN_WIDTH + CARD_GAP)));
+}
+
+function cardSpacer(height) {
+  const div = document.createElement('div');
+  div.className = 'card-spacer';
+  div.setAttribute('aria-hidden', 'true');
+  div.style.height = `${Math.max(0, height)}px`;
+  return div;
+}
+
+function captureCardAnchor() {
+  const rows = cardState.rows;
+  if (!gridWrap || !rows.length || !cardState.columns) return null;
+  const line = Math.floor(gridWrap.scrollTop / CARD_LINE_HEIGHT);
+  const row = rows[Math.min(rows.length - 1, line * cardState.columns)];
+  return row ? { row, delta: gridWrap.scrollTop - line * CARD_LINE_HEIGHT } : null;
+}
+
+function restoreCardAnchor(anchor) {
+  if (!anchor || !gridWrap) return;
+  const index = cardState.rows.indexOf(anchor.row);
+  if (index < 0) return;
+  const target = Math.floor(index / cardColumns()) * CARD_LINE_HEIGHT + anchor.delta;
+  if (target > 0) gridWrap.scrollTop = target;
+}
+
+function renderCards(options = {}) {
+  if (!cardGrid) return;
+  const anchor = options.resetScroll ? null : captureCardAnchor();
+  if (options.resetScroll && gridWrap) gridWrap.scrollTop = 0;
+  cardState.rows = visible || [];
+  cardState.start = -1;
+  cardState.end = -1;
+  restoreCardAnchor(anchor);
+  renderCardWindow();
+}
+
+function renderCardWindow() {
+  if (!cardGrid) return;
+  const rows = cardState.rows;
+  const columns = cardColumns();
+  const lines = Math.ceil(rows.length / columns);
+  const top = gridWrap ? gridWrap.scrollTop : 0;
+  const viewport = gridWrap ? gridWrap.clientHeight || 0 : 0;
+  const firstLine = Math.max(0, Math.floor((top - VIRTUAL_OVERSCAN_PX) / CARD_LINE_HEIGHT));
+  const lastLine = Math.min(lines, Math.max(firstLine + 1, Math.ceil((top + viewport + VIRTUAL_OVERSCAN_PX) / CARD_LINE_HEIGHT)));
+  const start = Math.min(rows.length, firstLine * columns);
+  const end = Math.min(rows.length, lastLine * columns);
+  if (start === cardState.start && end === cardState.end && columns === cardState.columns) return;
+  cardState.start = start;
+  cardState.end = end;
+  cardState.columns = columns;
+
+  const nodes = [cardSpacer(firstLine * CARD_LINE_HEIGHT)];
+  for (let i = start; i < end; i += 1) {
+    nodes.push(cardNodeFor(rows[i]));
+  }
+  nodes.push(cardSpacer(Math.max(0, lines - lastLine) * CARD_LINE_HEIGHT));
+  cardGrid.replaceChildren(...nodes);
+}
+
+function revealCard(key) {
+  const rows = cardState.rows;
+  let index = -1;
+  for (let i = 0; i < rows.length; i += 1) {
+    if (rowKeyFor(rows[i]) === key) {
+      index = i;
+      break;
+    }
+  }
+  if (index < 0) return null;
+  if (gridWrap) {
+    const viewport = gridWrap.clientHeight || 0;
+    const line = Math.floor(index / cardColumns());
+    gridWrap.scrollTop = Math.max(0, line * CARD_LINE_HEIGHT - Math.max(0, (viewport - CARD_LINE_HEIGHT) / 2));
+  }
+  renderCardWindow();
+  return cardNodeCache.get(rows[index]) || null;
+}
+
+function setViewMode(mode) {
+  const next = mode === 'cards' || (mode === 'quality' && qualityView) ? mode : 'table';
+  if (next === viewMode) return;
+  viewMode = next;
+  if (tableEl) tableEl.hidden = next !== 'table';
+  if (cardGrid) cardGrid.hidden = next !== 'cards';
+  if (qualityView) qualityView.hidden = next !== 'quality';
+  document.body.classList.toggle('is-card-view', next === 'cards');
+  document.body.classList.toggle('is-quality-view', next === 'quality');
+  viewToggleButtons.forEach((btn) => {
+    btn.setAttribute('aria-pressed', btn.getAttribute('data-view-mode') === next ? 'true' : 'false');
   });
+  renderResults({ resetScroll: true });
+  syncUrl();
+}
+
+viewToggleButtons.forEach((btn) => {
+  btn.addEventListener('click', () => setViewMode(btn.getAttribute('data-view-mode')));
+});
+
+// A count on the quality view selects that issue (and type) and lists the rows.
+DataQuality.init({
+  onPick: (issue, type) => {
+    const facets = { [DataQuality.FACET_KEY]: [issue] };
+    if (type) facets.type = [type];
+    Filters.setState({ query: '', facets });
+    setViewMode('table');
+  }
+});
+
+function onThumbClick(event) {
+  const thumb = findThumb(event.target);
+  if (!thumb) return;
+  event.preventDefault();
+  lightboxLastFocus = thumb;
+  const record = recordForElement(thumb);
+  const index = record ? visible.indexOf(record) : -1;
+  if (index >= 0) {
+    openLightboxAt(index);
+    return;
+  }
+  lightboxRecord = null;
+  showLightbox(thumb.getAttribute('data-full'), thumb.getAttribute('data-alt') || '', thumb.getAttribute('data-banner') === '1');
 }
 
+if (bodyRows) bodyRows.addEventListener('click', onThumbClick);
+if (cardGrid) cardGrid.addEventListener('click', onThumbClick);
+
 if (lightbox) {
   lightbox.addEventListener('click', (event) => {
     const target = event.target;
@@ -344,13 +1198,47 @@ if (lightbox) {
       hideLightbox();
     }
   });
+  lightboxPrev.addEventListener('click', () => stepLightbox(-1));
+  lightboxNext.addEventListener('click', () => stepLightbox(1));
+  lightboxTrueSizeBtn.addEventListener('click', toggleTrueSize);
+  lightboxCalibrateBtn.addEventListener('click', () => {
+    DisplayCalibration.calibrate().then(() => {
+      if (!lightboxTrueSize) return;
+      if (DisplayCalibration.isCalibrated()) applyTrueSize();
+      else exitTrueSize();
+    });
+  });
+  window.addEventListener('resize', () => {
+    if (lightboxTrueSize && lightbox.classList.contains('is-visible')) applyTrueSize();
+  });
+  bindLightboxGestures();
 }
 
 document.addEventListener('keydown', (event) => {
   if (!lightbox.classList.contains('is-visible')) return;
+  // arrows and digits belong to the calibration slider (or any field) that has focus
+  if (DisplayCalibration.isOpen()) return;
+  const target = event.target;
+  if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
   const key = event.key || event.keyCode;
   if (key === 'Escape' || key === 'Esc' || key === 27) {
+    event.preventDefault(); // handled; panels underneath should stay open
     hideLightbox();
+  } else if (key === 'ArrowRight' || key === 'ArrowLeft') {
+    event.preventDefault();
+    stepLightbox(key === 'ArrowRight' ? 1 : -1);
+  } else if (key === '+' || key === '=') {
+    event.preventDefault();
+    zoomLightboxTo(lightboxZoom.scale * LIGHTBOX_KEY_ZOOM);
+  } else if (key === '-') {
+    event.preventDefault();
+    zoomLightboxTo(lightboxZoom.scale / LIGHTBOX_KEY_ZOOM);
+  } else if (key === '0') {
+    event.preventDefault();
+    exitTrueSize();
+  } else if (key === '1') {
+    event.preventDefault();
+    toggleTrueSize();
   }
 });
 
@@ -363,15 +1251,65 @@ function findThumb(node) {
   return null;
 }
 
+/**
+ * Open the lightbox on visible[index]; prev/next then step through `visible`
+ * (skipping records without an image).
+ */
+function openLightboxAt(index) {
+  const record = visible[index];
+  if (!record || !record.texture_image_url) return;
+  lightboxRecord = record;
+  lightboxIndex = index;
+  const alt = `${safe(record.code)} ${safe(record.name)}`.trim() || 'preview';
+  showLightbox(record.texture_image_url, alt, record.banner_cropped === true);
+  renderLightboxCaption(record, index);
+}
+
+function lightboxNeighbor(dir) {
+  if (!lightboxRecord) return -1;
+  let index = visible.indexOf(lightboxRecord);
+  if (index < 0) index = Math.min(lightboxIndex, visible.length); // list changed underneath
+  for (let i = index + dir; i >= 0 && i < visible.length; i += dir) {
+    if (visible[i] && visible[i].texture_image_url) return i;
+  }
+  return -1;
+}
+
+function stepLightbox(dir) {
+  const next = lightboxNeighbor(dir);
+  if (next >= 0) openLightboxAt(next);
+}
+
+function renderLightboxCaption(record, index) {
+  if (!lightboxCaption) return;
+  const title = document.createElement('div');
+  title.className = 'lightbox-title';
+  title.textContent = [record.code, record.name].map((v) => safe(v).trim()).filter(Boolean).join(' · ');
+  const finishes = normalizeArray(record.finish)
+    .map((f) => (f && typeof f === 'object' ? [f.code, f.name].map((v) => safe(v).trim()).filter(Boolean).join(' ') : safe(f)))
+    .filter(Boolean);
+  const meta = document.createElement('div');
+  meta.className = 'lightbox-meta';
+  meta.textContent = [finishes.join(', '), renderScale.call({}, record.texture_scale)].filter(Boolean).join(' · ');
+  const count = document.createElement('div');
+  count.className = 'lightbox-count';
+  count.textContent = `${index + 1} / ${visible.length}`;
+  lightboxCaption.replaceChildren(title, meta, count);
+  lightboxPrev.disabled = lightboxNeighbor(-1) < 0;
+  lightboxNext.disabled = lightboxNeighbor(1) < 0;
+}
+
 function showLightbox(url, altText, isBanner) {
   if (!lightbox) return;
   if (!url) return;
+  resetLightboxZoom();
 
   if (isBanner) {
     // Use canvas in lightbox to crop in SOURCE pixels
     lightboxImg.style.display = 'none';
+    lightboxImg.removeAttribute('src');
     lightboxCanvas.style.display = 'block';
-    drawBannerCropToCanvas(lightboxCanvas, url, 93);
+    lightboxReady = drawBannerCropToCanvas(lightboxCanvas, url, 93);
     lightboxCanvas.setAttribute('aria-label', altText || '');
   } else {
     // Use plain <img> in lightbox
@@ -379,12 +1317,29 @@ function showLightbox(url, altText, isBanner) {
     lightboxImg.style.display = 'block';
     lightboxImg.setAttribute('src', url);
     lightboxImg.setAttribute('alt', altText || '');
+    lightboxReady = new Promise((resolve) => {
+      if (lightboxImg.complete && lightboxImg.naturalWidth) {
+        resolve(true);
+        return;
+      }
+      lightboxImg.onload = () => resolve(true);
+      lightboxImg.onerror = () => resolve(false);
+    });
+  }
+  lightboxTrueSizeBtn.disabled = !lightboxTrueSizeInches();
+  if (lightboxTrueSize) {
+    lightboxReady.then(() => {
+      if (lightboxTrueSize && lightbox.classList.contains('is-visible')) applyTrueSize();
+    });
   }
 
   if (lightboxCaption) lightboxCaption.textContent = altText || '';
+  lightboxPrev.disabled = true;
+  lightboxNext.disabled = true;
+  const opening = !lightbox.classList.contains('is-visible');
   lightbox.classList.add('is-visible');
   lightbox.setAttribute('aria-hidden', 'false');
-  if (lightboxClose) {
+  if (opening && lightboxClose) {
     lightboxClose.focus();
   }
 }
@@ -393,15 +1348,220 @@ function hideLightbox() {
   if (!lightbox) return;
   lightbox.classList.remove('is-visible');
   lightbox.setAttribute('aria-hidden', 'true');
+  exitTrueSize();
   if (lightboxImg) {
     lightboxImg.removeAttribute('src');
     lightboxImg.setAttribute('alt', '');
   }
   if (lightboxCaption) lightboxCaption.textContent = '';
-  if (lightboxLastFocus && typeof lightboxLastFocus.focus === 'function') {
-    lightboxLastFocus.focus();
+  // after stepping through images, land on the last one shown
+  let focusTarget = lightboxLastFocus;
+  if (lightboxRecord && recordForElement(lightboxLastFocus) !== lightboxRecord) {
+    const el = revealRow(rowKeyFor(lightboxRecord));
+    const thumb = el && el.querySelector('.thumb');
+    if (thumb) focusTarget = thumb;
+  }
+  if (focusTarget && typeof focusTarget.focus === 'function') {
+    focusTarget.focus();
   }
   lightboxLastFocus = null;
+  lightboxRecord = null;
+  lightboxIndex = -1;
+}
+
+// ---- lightbox zoom & pan (transform on the img/canvas inside .lightbox-stage) ----
+
+function lightboxMedia() {
+  return lightboxCanvas.style.display === 'block' ? lightboxCanvas : lightboxImg;
+}
+
+function applyLightboxZoom() {
+  const media = lightboxMedia();
+  const { scale, x, y } = lightboxZoom;
+  [lightboxImg, lightboxCanvas].forEach((el) => {
+    el.style.transform = el === media && scale !== 1 ? `translate(${x}px, ${y}px) scale(${scale})` : '';
+  });
+  lightbox.classList.toggle('is-zoomed', scale > 1);
+}
+
+function resetLightboxZoom() {
+  lightboxZoom.scale = 1;
+  lightboxZoom.x = 0;
+  lightboxZoom.y = 0;
+  applyLightboxZoom();
+}
+
+// zoom at which one screen pixel shows one source pixel
+function lightboxNativeZoom() {
+  const media = lightboxMedia();
+  const natural = media === lightboxCanvas ? media.width : media.naturalWidth;
+  const shown = media.offsetWidth;
+  return natural && shown ? natural / shown : 1;
+}
+
+// keep the image covering its box; one smaller than the box (1:1 of a small texture) is centred
+function clampLightboxAxis(pos, size, scale) {
+  const spare = size - size * scale;
+  return spare >= 0 ? spare / 2 : Math.min(0, Math.max(spare, pos));
+}
+
+function clampLightboxPan() {
+  const media = lightboxMedia();
+  const { scale } = lightboxZoom;
+  lightboxZoom.x = clampLightboxAxis(lightboxZoom.x, media.offsetWidth, scale);
+  lightboxZoom.y = clampLightboxAxis(lightboxZoom.y, media.offsetHeight, scale);
+}
+
+// ---- 1:1 true size (needs DisplayCalibration and the record's texture_scale) ----
+
+function lightboxTrueSizeInches() {
+  const scale = lightboxRecord ? fieldValue(lightboxRecord, 'texture_scale') : null;
+  const width = scale && typeof scale === 'object' ? Number(scale.width) : NaN;
+  return width > 0 ? width : null;
+}
+
+// zoom at which the image's width spans texture_scale.width real inches
+function lightboxTrueSizeZoom() {
+  const ppi = DisplayCalibration.ppi();
+  const inches = lightboxTrueSizeInches();
+  const shown = lightboxMedia().offsetWidth;
+  return ppi && inches && shown ? (inches * ppi) / shown : null;
+}
+
+function setTrueSize(on) {
+  lightboxTrueSize = on;
+  lightboxTrueSizeBtn.setAttribute('aria-pressed', on ? 'true' : 'false');
+  lightbox.classList.toggle('is-true-size', on);
+}
+
+function applyTrueSize() {
+  const zoom = lightboxTrueSizeZoom();
+  if (!zoom) {
+    resetLightboxZoom();
+    return;
+  }
+  const media = lightboxMedia();
+  lightboxZoom.scale = zoom;
+  lightboxZoom.x = (media.offsetWidth - media.offsetWidth * zoom) / 2;
+  lightboxZoom.y = (media.offsetHeight - media.offsetHeight * zoom) / 2;
+  clampLightboxPan();
+  applyLightboxZoom();
+}
+
+function exitTrueSize() {
+  setTrueSize(false);
+  resetLightboxZoom();
+}
+
+async function toggleTrueSize() {
+  if (lightboxTrueSize) {
+    exitTrueSize();
+    return;
+  }
+  if (!lightboxTrueSizeInches()) return;
+  if (!DisplayCalibration.isCalibrated() && !(await DisplayCalibration.calibrate())) return;
+  setTrueSize(true);
+  lightboxReady.then(() => {
+    if (lightboxTrueSize) applyTrueSize();
+  });
+}
+
+/** Zoom to `scale` keeping the point under (clientX, clientY) in place (default: centre). */
+function zoomLightboxTo(scale, clientX, clientY) {
+  const media = lightboxMedia();
+  setTrueSize(false); // zooming by hand leaves 1:1
+  const max = Math.max(LIGHTBOX_MIN_MAX_ZOOM, lightboxNativeZoom() * LIGHTBOX_NATIVE_ZOOM_FACTOR, lightboxTrueSizeZoom() || 0);
+  const next = Math.min(max, Math.max(1, scale));
+  const rect = lightboxStage.getBoundingClientRect();
+  const px = (clientX == null ? rect.left + rect.width / 2 : clientX) - rect.left - media.offsetLeft;
+  const py = (clientY == null ? rect.top + rect.height / 2 : clientY) - rect.top - media.offsetTop;
+  const ratio = next / lightboxZoom.scale;
+  lightboxZoom.x = px - (px - lightboxZoom.x) * ratio;
+  lightboxZoom.y = py - (py - lightboxZoom.y) * ratio;
+  lightboxZoom.scale = next;
+  clampLightboxPan();
+  applyLightboxZoom();
+}
+
+function lightboxGestureFromPointers() {
+  const pts = Array.from(lightboxPointers.values());
+  if (pts.length >= 2) {
+    const [a, b] = pts;
+    return {
+      type: 'pinch',
+      dist: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+      scale: lightboxZoom.scale,
+      midX: (a.x + b.x) / 2,
+      midY: (a.y + b.y) / 2,
+    };
+  }
+  if (!pts.length) return null;
+  return {
+    type: 'drag',
+    startX: pts[0].x,
+    startY: pts[0].y,
+    originX: lightboxZoom.x,
+    originY: lightboxZoom.y,
+    startScale: lightboxZoom.scale,
+  };
+}
+
+function bindLightboxGestures() {
+  lightboxStage.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    zoomLightboxTo(lightboxZoom.scale * Math.exp(-event.deltaY * LIGHTBOX_WHEEL_SPEED), event.clientX, event.clientY);
+  }, { passive: false });
+
+  lightboxStage.addEventListener('dblclick', (event) => {
+    const target = lightboxZoom.scale > 1 ? 1 : Math.max(2, lightboxNativeZoom());
+    zoomLightboxTo(target, event.clientX, event.clientY);
+  });
+
+  lightboxStage.addEventListener('pointerdown', (event) => {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    lightboxPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (lightboxStage.setPointerCapture) lightboxStage.setPointerCapture(event.pointerId);
+    lightboxGesture = lightboxGestureFromPointers();
+  });
+
+  lightboxStage.addEventListener('pointermove', (event) => {
+    if (!lightboxPointers.has(event.pointerId) || !lightboxGesture) return;
+    lightboxPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    const g = lightboxGesture;
+    if (g.type === 'pinch') {
+      const [a, b] = Array.from(lightboxPointers.values());
+      const midX = (a.x + b.x) / 2;
+      const midY = (a.y + b.y) / 2;
+      zoomLightboxTo(g.scale * (Math.hypot(a.x - b.x, a.y - b.y) / g.dist), midX, midY);
+      // two-finger pan
+      lightboxZoom.x += midX - g.midX;
+      lightboxZoom.y += midY - g.midY;
+      g.midX = midX;
+      g.midY = midY;
+      clampLightboxPan();
+      applyLightboxZoom();
+    } else if (g.startScale > 1) {
+      lightboxZoom.x = g.originX + (event.clientX - g.startX);
+      lightboxZoom.y = g.originY + (event.clientY - g.startY);
+      clampLightboxPan();
+      applyLightboxZoom();
+    }
+  });
+
+  const endPointer = (event) => {
+    if (!lightboxPointers.has(event.pointerId)) return;
+    const g = lightboxGesture;
+    lightboxPointers.delete(event.pointerId);
+    // a horizontal swipe on an unzoomed image steps to the neighbour
+    if (g && g.type === 'drag' && g.startScale <= 1 && event.type === 'pointerup') {
+      const dx = event.clientX - g.startX;
+      const dy = event.clientY - g.startY;
+      if (Math.abs(dx) > LIGHTBOX_SWIPE_PX && Math.abs(dx) > Math.abs(dy) * 1.5) stepLightbox(dx < 0 ? 1 : -1);
+    }
+    lightboxGesture = lightboxGestureFromPointers();
+  };
+  lightboxStage.addEventListener('pointerup', endPointer);
+  lightboxStage.addEventListener('pointercancel', endPointer);
 }
 
 function ensureLightbox() {
@@ -413,10 +1573,18 @@ function ensureLightbox() {
   wrapper.setAttribute('aria-hidden', 'true');
   wrapper.innerHTML = [
     '<div class="lightbox-backdrop" data-close="1"></div>',
-    '<figure class="lightbox-inner" role="dialog" aria-modal="true">',
+    '<figure class="lightbox-inner" role="dialog" aria-modal="true" aria-label="Image viewer">',
     '  <button type="button" class="lightbox-close" data-close="1" aria-label="Close full-size image">&times;</button>',
-    '  <img class="lightbox-img" alt="" />',
-    '  <canvas class="lightbox-canvas" aria-hidden="true"></canvas>',
+    '  <div class="lightbox-stage" title="Scroll or pinch to zoom, drag to pan, swipe for next">',
+    '    <img class="lightbox-img" alt="" draggable="false" />',
+    '    <canvas class="lightbox-canvas" aria-hidden="true"></canvas>',
+    '  </div>',
+    '  <button type="button" class="lightbox-nav lightbox-prev" aria-label="Previous image">&lsaquo;</button>',
+    '  <button type="button" class="lightbox-nav lightbox-next" aria-label="Next image">&rsaquo;</button>',
+    '  <div class="lightbox-tools">',
+    '    <button type="button" class="lightbox-true-size" aria-pressed="false" title="Actual size: one inch on screen is one inch of laminate (key 1)">1:1</button>',
+    '    <button type="button" class="lightbox-calibrate" title="Match an on-screen card to a real one so 1:1 is accurate">Calibrate…</button>',
+    '  </div>',
     '  <figcaption class="lightbox-caption"></figcaption>',
     '</figure>'
   ].join('');
@@ -424,50 +1592,118 @@ function ensureLightbox() {
   return wrapper;
 }
 
-// file picker support (load arbitrary JSON)
-if (fileEl) {
-  fileEl.addEventListener('change', async (e) => {
-    const input = e.target;
-    const files = input && input.files ? input.files : null;
-    const file = files && files.length ? files[0] : null;
-    if (!file) return;
-    setStatus(`Loading file: ${file.name}...`);
-    try {
-      const text = await file.text();
-      const json = JSON.parse(text);
-      const parsed = Array.isArray(json) ? json : [];
-      const fallbackType = inferTypeFromFileName(file.name);
-      rawData = annotateData(ensureType(parsed, fallbackType));
-      Filters.init({
-        data: rawData,
-        containerId: 'filters',
-        queryInput: qEl,
-        onChange: () => {
-          visible = Filters.apply(rawData);
-          renderTable();
-          setStatus(`Loaded ${file.name}`);
-        }
-      });
-    } catch (err) {
-      setStatus(`Failed parsing ${file.name}: ${err.message}`);
-      console.error(err);
-    } finally {
-      if (input) input.value = '';
-    }
-  });
-}
+// extra JSON files (picked or dropped) merge with the bundled datasets
+DataSources.init({
+  fileInput: fileEl,
+  chips: sourceChipsEl,
+  onChange: applySources,
+  onStatus: setStatus,
+});
+
+// two sources side by side: before / after snapshot
+SnapshotDiff.init({
+  toggleButton: diffToggleEl,
+  onChange: applySources,
+});
+
+// rank by distance to a picked colour; nearest first while it is on
+ColorSearch.init({
+  toggleButton: colorSearchToggleEl,
+  onChange: (message) => {
+    sortSpec = ColorSearch.active()
+      ? [{ key: ColorSearch.DISTANCE_KEY, dir: 'asc' }]
+      : sortSpec.filter((s) => s.key !== ColorSearch.DISTANCE_KEY);
+    headRow.dataset.built = ''; // the ΔE column comes and goes
+    applySources(message);
+  },
+});
+
+// tags changed: facet values and the tag column follow
+ProductTags.init({
+  onChange: (message) => {
+    resetFilters(Filters.serialize());
+    if (message) setStatus(message);
+  },
+});
+
+// imperial / metric: every rendered length changes (range inputs too), the data does not
+Units.init({
+  onChange: (mode) => {
+    resetFilters(Filters.serialize());
+    document.dispatchEvent(new CustomEvent('viewer:units', { detail: { mode } }));
+    setStatus(mode === 'metric' ? 'Metric units' : 'Imperial units');
+  },
+});
+
+// rank by likeness to one product; most similar first while it is on
+SimilarSearch.init({
+  clearButton: similarClearEl,
+  onChange: (message) => {
+    sortSpec = SimilarSearch.active()
+      ? [{ key: SimilarSearch.SCORE_KEY, dir: 'desc' }]
+      : sortSpec.filter((s) => s.key !== SimilarSearch.SCORE_KEY);
+    applySources(message);
+    // the reference goes to the top, so show the top
+    updateSortIndicators();
+    renderResults({ resetScroll: true });
+  },
+});
 
 if (reloadEl) {
   reloadEl.addEventListener('click', () => {
     qEl.value = '';
     Filters.reset();
-    visible = Filters.apply(rawData);
-    renderTable();
+    updateVisible();
+    renderResults();
     setStatus('Reset');
   });
 }
 
-// kick off
+ColumnLayout.init({
+  columns: dedupeColumns(COLUMNS),
+  toggleButton: columnsToggleEl,
+  onChange: (reason) => {
+    if (reason === 'layout') {
+      headRow.dataset.built = '';
+      rowNodeCache = new WeakMap();
+      rowHeightCache = new WeakMap();
+      renderResults();
+    } else {
+      scheduleWindowRender();
+    }
+  },
+});
+
+// hooks for compare.js and other add-ons
+// Field value with the same alias fallback the pill columns use (colors -> color, ...).
+function fieldValue(row, key) {
+  if (!row || typeof row !== 'object') return undefined;
+  const value = row[key];
+  if (normalizeArray(value).length || !COLUMN_ALIASES[key]) return value;
+  const aliases = COLUMN_ALIASES[key];
+  for (let i = 0; i < aliases.length; i += 1) {
+    const alt = row[aliases[i]];
+    if (normalizeArray(alt).length) return alt;
+  }
+  return value;
+}
+
+window.Viewer = {
+  revealRow,
+  recordForElement,
+  rowKey: rowKeyFor,
+  records: () => rawData,
+  visible: () => visible,
+  columns: availableColumns,
+  layoutColumns: () => ColumnLayout.apply(availableColumns()),
+  fieldValue,
+  drawBannerCrop: drawBannerCropToCanvas,
+  formatScale: (value) => renderScale.call({}, value),
+};
+
+// kick off: view options from the URL apply before the first render
+sortSpec = initialUrlState.sort;
+setViewMode(initialUrlState.view);
 loadDefault();
 
 // ------------------------- image helpers -------------------------
@@ -479,48 +1715,56 @@ loadDefault();
  * on the original pixels.
  */
 function drawBannerCropToCanvas(canvas, url, cropBottomPx = 93) {
-  if (!canvas) return;
+  if (!canvas) return Promise.resolve(false);
   const ctx = canvas.getContext('2d');
-  if (!ctx) return;
+  if (!ctx) return Promise.resolve(false);
 
   // Clear old content
   canvas.width = 0;
   canvas.height = 0;
 
-  const img = new Image();
-  img.crossOrigin = 'anonymous';
-  img.referrerPolicy = 'no-referrer';
-  img.onload = () => {
-    const W = img.naturalWidth || img.width || 0;
-    const H = img.naturalHeight || img.height || 0;
-    if (!W || !H) return;
+  // Resolves true once drawn (false on error) so callers such as printing can wait
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.referrerPolicy = 'no-referrer';
+    img.onload = () => {
+      const W = img.naturalWidth || img.width || 0;
+      const H = img.naturalHeight || img.height || 0;
+      if (!W || !H) {
+        resolve(false);
+        return;
+      }
 
-    const crop = Math.max(1, Math.min(cropBottomPx, H - 1));
-    const outW = W;
-    const outH = Math.max(1, H - crop);
+      const crop = Math.max(1, Math.min(cropBottomPx, H - 1));
+      const outW = W;
+      const outH = Math.max(1, H - crop);
 
-    canvas.width = outW;
-    canvas.height = outH;
+      canvas.width = outW;
+      canvas.height = outH;
 
-    try {
-      // Draw upper portion 0..H-crop
-      ctx.drawImage(img, 0, 0, W, H - crop, 0, 0, outW, outH);
-    } catch (e) {
-      // Fallback: draw full image if anything goes wrong
-      ctx.drawImage(img, 0, 0);
-    }
-  };
-  img.onerror = () => {
-    // Leave canvas empty on error
-  };
-  img.src = url;
+      try {
+        // Draw upper portion 0..H-crop
+        ctx.drawImage(img, 0, 0, W, H - crop, 0, 0, outW, outH);
+      } catch (e) {
+        // Fallback: draw full image if anything goes wrong
+        ctx.drawImage(img, 0, 0);
+      }
+      resolve(true);
+    };
+    img.onerror = () => {
+      // Leave canvas empty on error
+      resolve(false);
+    };
+    img.src = url;
+  });
 }
 
 /**
- * After each table render, find any <canvas.thumb-canvas[data-src]> and draw.
+ * When a row is built, find any <canvas.thumb-canvas[data-src]> in it and draw.
  */
-function initializeThumbCanvases() {
-  const nodes = bodyRows.querySelectorAll('.thumb-canvas[data-src]');
+function initializeThumbCanvases(root = bodyRows) {
+  const nodes = root.querySelectorAll('.thumb-canvas[data-src]');
   nodes.forEach((canvas) => {
     const url = canvas.getAttribute('data-src');
     if (!url) return;
@@ -551,7 +1795,7 @@ function injectViewerStyles() {
     display: block;
     border-radius: 8px;
     box-shadow: 0 0 0 1px rgba(0,0,0,.06);
-    background: #fff;
+    background: var(--thumb-bg, #fff);
   }
   .thumb-img { object-fit: contain; }
 
@@ -560,7 +1804,7 @@ function injectViewerStyles() {
   .lightbox.is-visible { opacity:1; pointer-events:auto; }
   .lightbox-backdrop { position:absolute; inset:0; background:rgba(0,0,0,.65); }
   .lightbox-inner { position:absolute; inset:auto; top:50%; left:50%; transform:translate(-50%,-50%); max-width:90vw; max-height:90vh; margin:0; }
-  .lightbox-img, .lightbox-canvas { max-width:90vw; max-height:85vh; display:block; border-radius:8px; background:#fff; }
+  .lightbox-img, .lightbox-canvas { max-width:90vw; max-height:85vh; display:block; border-radius:8px; background:var(--thumb-bg, #fff); }
   .lightbox-close { position:absolute; top:-40px; right:0; font-size:28px; width:36px; height:36px; line-height:32px; border-radius:6px; border:0; cursor:pointer; }
   .lightbox-caption { margin-top:8px; color:#fff; text-align:center; font-size:14px; }
   th.col-texture_scale, td.col-texture_scale { min-width:20px; }
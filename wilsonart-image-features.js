@@ -0,0 +1,209 @@
+// wilsonart-image-features.js
+// Purpose:
+//   Pre-pass over the texture images of the HPL and TFL detail files. For every record
+//   with a `texture_image_url` it downloads the image, decodes it in headless Chromium
+//   (so banner-cropped images lose their 93px strip exactly like the viewer does) and
+//   stores image features in a sidecar JSON the viewer loads on demand:
+//     colors : dominant colours in CIE Lab, largest first ([{ lab: [L, a, b], hex, weight }])
+//     phash  : 64-bit DCT perceptual hash of the texture, 16 hex digits ("Find similar")
+//     hist   : 64-bin RGB colour histogram, shares summing to 1 ("Find similar")
+//
+// Usage:
+//   node wilsonart-image-features.js
+//   node wilsonart-image-features.js --limit=50 --offset=100 --concurrency=4 --headless=true
+//   node wilsonart-image-features.js --force          (recompute records already in the sidecar)
+//   node wilsonart-image-features.js --out=wilsonart-image-features.json
+//
+// Notes:
+//   - Records are keyed "<type>::<code>" (e.g. "HPL::Y0864"), the same way the viewer matches them.
+//   - A record is skipped when the sidecar already has every feature for the same image URL,
+//     unless --force; entries from an older version of this script are filled in.
+//   - Progress is saved every 25 records; writes atomically via .tmp rename.
+//   - Requires: `npm i puppeteer` and Node 18+ (global fetch).
+//
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const ColorLab = require('./colorlab.js');
+const ImageHash = require('./imagehash.js');
+
+const ROOT_DIR = __dirname;
+const DATASETS = [
+  { file: 'wilsonart-laminate-details.json', type: 'HPL' },
+  { file: 'wilsonart-tfl-laminate-details.json', type: 'TFL' },
+];
+const BANNER_CROP_PX = 93;
+const SAMPLE_SIZE = 96;         // images are shrunk to fit this many pixels before analysis
+const FETCH_TIMEOUT_MS = 20000;
+const SAVE_EVERY = 25;
+const FEATURES_VERSION = 2;
+
+// -- CLI helpers (accept both "--name value" and "--name=value") --
+function getArg(name, fallback) {
+  const eq = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (eq) return eq.slice(name.length + 3);
+  const idx = process.argv.indexOf(`--${name}`);
+  if (idx !== -1) {
+    const next = process.argv[idx + 1];
+    return next && !next.startsWith('--') ? next : true;
+  }
+  return fallback;
+}
+
+const OUT_PATH = path.resolve(ROOT_DIR, String(getArg('out', 'wilsonart-image-features.json')));
+const LIMIT = parseInt(getArg('limit', '0'), 10) || 0;
+const OFFSET = parseInt(getArg('offset', '0'), 10) || 0;
+const CONCURRENCY = Math.max(1, parseInt(getArg('concurrency', '4'), 10) || 4);
+const FORCE = getArg('force', false) !== false;
+const HEADLESS = !['false', '0', 'off', 'no'].includes(String(getArg('headless', 'true')).toLowerCase());
+
+function logStep(msg) {
+  console.log(`[${new Date().toISOString()}] ${msg}`);
+}
+
+// -------------------- Files --------------------
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function writeJsonAtomic(filePath, data) {
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmp, filePath);
+}
+
+function recordKey(record, type) {
+  const code = String(record.code || record.name || '').trim();
+  return `${String(record.type || type || '').trim()}::${code}`;
+}
+
+function loadRecords() {
+  const out = [];
+  DATASETS.forEach(({ file, type }) => {
+    const records = readJson(path.join(ROOT_DIR, file), []);
+    if (!Array.isArray(records)) return;
+    records.forEach((record) => {
+      const url = record && String(record.texture_image_url || '').trim();
+      if (!url) return;
+      out.push({ key: recordKey(record, type), url, banner: record.banner_cropped === true });
+    });
+  });
+  return out;
+}
+
+// -------------------- Images --------------------
+async function fetchDataUrl(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const type = (res.headers.get('content-type') || 'image/jpeg').split(';')[0];
+    const bytes = Buffer.from(await res.arrayBuffer());
+    return `data:${type};base64,${bytes.toString('base64')}`;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Decoded and cropped in the page; returns RGBA bytes as plain arrays: `sample` is
+// shrunk to fit `size`, `square` is squashed to hashSize x hashSize for the phash.
+async function samplePixels(page, dataUrl, banner) {
+  return page.evaluate(async (src, cropBottom, size, hashSize) => {
+    const img = new Image();
+    await new Promise((resolve, reject) => {
+      img.onload = resolve;
+      img.onerror = () => reject(new Error('image did not decode'));
+      img.src = src;
+    });
+    const w = img.naturalWidth;
+    const h = Math.max(1, img.naturalHeight - cropBottom);
+    const scale = Math.min(1, size / Math.max(w, h));
+    const draw = (width, height) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, w, h, 0, 0, width, height);
+      return Array.from(ctx.getImageData(0, 0, width, height).data);
+    };
+    return {
+      sample: draw(Math.max(1, Math.round(w * scale)), Math.max(1, Math.round(h * scale))),
+      square: draw(hashSize, hashSize),
+    };
+  }, dataUrl, banner ? BANNER_CROP_PX : 0, SAMPLE_SIZE, ImageHash.HASH_SIZE);
+}
+
+async function analyse(page, item) {
+  const dataUrl = await fetchDataUrl(item.url);
+  const pixels = await samplePixels(page, dataUrl, item.banner);
+  return {
+    url: item.url,
+    colors: ColorLab.dominantColors(pixels.sample, { k: 5 }),
+    phash: ImageHash.phash(pixels.square),
+    hist: ImageHash.histogram(pixels.sample),
+  };
+}
+
+function isComplete(entry, item) {
+  return !!entry && entry.url === item.url && Array.isArray(entry.colors) && !!entry.phash && Array.isArray(entry.hist);
+}
+
+// -------------------- Main --------------------
+async function main() {
+  const sidecar = readJson(OUT_PATH, null) || {};
+  const features = sidecar.features && typeof sidecar.features === 'object' ? sidecar.features : {};
+  const all = loadRecords();
+  let todo = all.filter((item) => FORCE || !isComplete(features[item.key], item));
+  todo = todo.slice(OFFSET, LIMIT > 0 ? OFFSET + LIMIT : undefined);
+  logStep(`${all.length} records with images, ${todo.length} to analyse -> ${path.basename(OUT_PATH)}`);
+  if (!todo.length) return;
+
+  const save = () => writeJsonAtomic(OUT_PATH, {
+    version: FEATURES_VERSION,
+    generated: new Date().toISOString(),
+    features,
+  });
+
+  const browser = await puppeteer.launch({ headless: HEADLESS });
+  let done = 0;
+  let failed = 0;
+  let next = 0;
+  try {
+    const worker = async () => {
+      const page = await browser.newPage();
+      while (next < todo.length) {
+        const item = todo[next];
+        next += 1;
+        try {
+          features[item.key] = await analyse(page, item);
+        } catch (err) {
+          failed += 1;
+          logStep(`  - ${item.key}: ${err.message}`);
+        }
+        done += 1;
+        if (done % SAVE_EVERY === 0) {
+          save();
+          logStep(`  ${done}/${todo.length} analysed`);
+        }
+      }
+      await page.close();
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, todo.length) }, worker));
+  } finally {
+    await browser.close();
+    save();
+  }
+  logStep(`Done: ${done - failed} analysed, ${failed} failed`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});